@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+// Writes the dashboard's CSV/JSON capacity report from a HubSpot deals export, e.g. from cron:
+//   npm run report -- deals.csv --format json --line Data --out reports/
+// or straight from the HubSpot API:
+//   HUBSPOT_TOKEN=pat-... npm run report -- --hubspot --out reports/
+// With a timesheet it can also report planned against logged hours, or suggest role weights:
+//   npm run report -- deals.csv --timesheet hours.csv --start 2025-01-01 --report calibration
+// The app's modules are ES modules without file extensions, so they are loaded through jiti.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const Papa = require('papaparse');
+const jiti = require('jiti')(__filename);
+
+const {
+  STATUS_PERIOD_LABELS, buildCsvReport, buildJsonReport, parseDealsCsv, resolveMapping, runCapacityEngine
+} = jiti('../src/utils/capacityEngine');
+const { CAPACITY_STATUSES, DEFAULT_SETTINGS, DEFAULT_TIMELINE_OPTIONS, GRANULARITIES } = jiti('../src/utils/capacity');
+const { getMissingFields } = jiti('../src/utils/columnMapping');
+const { DATE_FORMATS } = jiti('../src/utils/dates');
+const { FISCAL_PATTERNS, normalizeFiscalCalendar } = jiti('../src/utils/fiscalCalendar');
+const { FORECAST_LAYERS } = jiti('../src/utils/pipeline');
+const { importPresets } = jiti('../src/utils/settingsStorage');
+const { parseIcs, parseTimeOffCsv } = jiti('../src/utils/timeOff');
+const { parseRoster } = jiti('../src/utils/roster');
+const { exportTimestamp } = jiti('../src/utils/download');
+const { HUBSPOT_API_URL, createHubSpotClient } = jiti('../src/utils/hubspotClient');
+const { DEFAULT_HUBSPOT_PROPERTIES, syncDeals } = jiti('../src/utils/hubspotSync');
+const { buildCalibrationReport, buildVarianceReport, parseTimesheetCsv } = jiti('../src/utils/timesheets');
+
+// capacity is the dashboard's export; the others need a timesheet
+const REPORTS = ['capacity', 'variance', 'calibration'];
+
+const USAGE = `Usage: npm run report -- <deals.csv> [options]
+       HUBSPOT_TOKEN=<private app token> npm run report -- --hubspot [options]
+
+Report
+  --report <name>          capacity, variance (planned against logged hours per consultant and role) or
+                           calibration (suggested role weights) (default capacity)
+  --format <csv|json>      Report format (default csv)
+  --out <path>             Write to this file, or into this directory as <report>-report-<date>.<format>;
+                           prints to stdout when omitted
+Filters
+  --line <name>            Only projects in this business line, may be repeated
+  --role <role>            Only projects staffed in this role, may be repeated
+  --timeframe <months>     Only projects running at some point in the next this many months
+  --status <status>        ${CAPACITY_STATUSES.join(', ')}
+  --status-period <when>   Period the status applies to: ${Object.keys(STATUS_PERIOD_LABELS).join(', ')} or a quarter
+                           such as 2025-Q3, numbered by fiscal year (default current)
+  --search <text>          Consultant name contains this text
+  --out-from <YYYY-MM-DD>  Only consultants with time off overlapping this window
+  --out-to <YYYY-MM-DD>
+  --seniority <level>      Only roster members at this seniority, may be repeated
+  --home-line <name>       Only roster members from this home business line, may be repeated
+  --skill <tag>            Only roster members with this skill, may be repeated
+Timeline
+  --granularity <unit>     ${Object.keys(GRANULARITIES).join(', ')} (default ${DEFAULT_TIMELINE_OPTIONS.granularity})
+  --start <YYYY-MM-DD>     First period (default: the current one)
+  --horizon <periods>      Number of periods (default ${DEFAULT_TIMELINE_OPTIONS.horizon})
+  --layer <layer>          ${Object.keys(FORECAST_LAYERS).join(', ')} (default ${DEFAULT_TIMELINE_OPTIONS.layer})
+  --fiscal-start <month>   First month of the fiscal year, 1-12 (default: from the settings, else 1)
+  --fiscal-pattern <name>  ${Object.keys(FISCAL_PATTERNS).join(', ')} (default: from the settings, else calendar)
+Inputs
+  --mapping <file.json>    Column mapping (an import profile); detected from the headers when omitted
+  --date-format <order>    ${Object.keys(DATE_FORMATS).join(', ')}: how to read dates like 03/04/2025 in every input file
+                           (default: the mapping's for the deals, else auto)
+  --settings <file.json>   Settings exported from the dashboard
+  --preset <name>          Preset to use from the settings file (default: the first one)
+  --time-off <file>        Consultant time off as CSV, may be repeated
+  --holidays <file>        Company holidays as CSV or .ics, may be repeated
+  --roster <file>          Consultant roster as CSV or JSON (FTE, start/leave dates, seniority, skills)
+  --timesheet <file>       Hours logged as CSV (consultant, deal, date, hours); variance and calibration use
+                           the timeline periods it covers in full
+HubSpot
+  --hubspot                Pull the deals from the HubSpot API instead of a CSV, with the token in HUBSPOT_TOKEN
+  --property <name>        Deal property to fetch, may be repeated (default: the ones the "HubSpot API" profile reads)
+  --hubspot-url <url>      API base URL, e.g. a mock server (default ${HUBSPOT_API_URL})
+  --help`;
+
+const OPTIONS = {
+  report: { type: 'string', default: 'capacity' },
+  format: { type: 'string', default: 'csv' },
+  out: { type: 'string' },
+  line: { type: 'string', multiple: true, default: [] },
+  role: { type: 'string', multiple: true, default: [] },
+  timeframe: { type: 'string' },
+  status: { type: 'string' },
+  'status-period': { type: 'string', default: 'current' },
+  search: { type: 'string' },
+  'out-from': { type: 'string' },
+  'out-to': { type: 'string' },
+  seniority: { type: 'string', multiple: true, default: [] },
+  'home-line': { type: 'string', multiple: true, default: [] },
+  skill: { type: 'string', multiple: true, default: [] },
+  granularity: { type: 'string', default: DEFAULT_TIMELINE_OPTIONS.granularity },
+  start: { type: 'string' },
+  horizon: { type: 'string', default: String(DEFAULT_TIMELINE_OPTIONS.horizon) },
+  layer: { type: 'string', default: DEFAULT_TIMELINE_OPTIONS.layer },
+  'fiscal-start': { type: 'string' },
+  'fiscal-pattern': { type: 'string' },
+  mapping: { type: 'string' },
+  'date-format': { type: 'string' },
+  settings: { type: 'string' },
+  preset: { type: 'string' },
+  'time-off': { type: 'string', multiple: true, default: [] },
+  holidays: { type: 'string', multiple: true, default: [] },
+  roster: { type: 'string' },
+  timesheet: { type: 'string' },
+  hubspot: { type: 'boolean', default: false },
+  property: { type: 'string', multiple: true, default: [] },
+  'hubspot-url': { type: 'string', default: HUBSPOT_API_URL },
+  help: { type: 'boolean', default: false }
+};
+
+const readText = (file) => fs.readFileSync(file, 'utf8');
+
+const checkChoice = (name, value, choices) => {
+  if (!choices.includes(value)) {
+    throw new Error(`--${name} must be one of ${choices.join(', ')}`);
+  }
+};
+
+const loadSettings = (file, preset) => {
+  if (!file) {
+    return DEFAULT_SETTINGS;
+  }
+  const store = importPresets({ presets: {} }, readText(file), path.basename(file, '.json'));
+  const name = preset || store.activePreset;
+  if (!store.presets[name]) {
+    throw new Error(`Preset "${name}" not found in ${file}`);
+  }
+  return store.presets[name];
+};
+
+// Skipped rows and guessed dates are reported but don't stop the report
+const loadAbsences = (timeOffFiles, holidayFiles, dateFormat) => {
+  const load = (file, companyWide) => {
+    const text = readText(file);
+    const options = { source: path.basename(file), companyWide, dateFormat };
+    const { entries, errors, warnings } = /\.ics$/i.test(file) ? parseIcs(text, options) : parseTimeOffCsv(text, options);
+    [...errors, ...warnings].forEach(message => console.error(`${file}: ${message}`));
+    return entries;
+  };
+  return [
+    ...timeOffFiles.flatMap(file => load(file, false)),
+    ...holidayFiles.flatMap(file => load(file, true))
+  ];
+};
+
+const loadRosterMembers = (file, dateFormat) => {
+  if (!file) {
+    return [];
+  }
+  const { members, errors, warnings } = parseRoster(readText(file), file, { dateFormat });
+  [...errors, ...warnings].forEach(message => console.error(`${file}: ${message}`));
+  return members;
+};
+
+const loadTimesheet = (file, dateFormat) => {
+  if (!file) {
+    return null;
+  }
+  const { timesheet, errors } = parseTimesheetCsv(readText(file), { fileName: path.basename(file), dateFormat });
+  errors.forEach(message => console.error(`${file}: ${message}`));
+  return timesheet;
+};
+
+// Variance rows list the consultants, then the roles
+const buildReport = (name, format, consultants, settings, layer) => {
+  if (name === 'capacity') {
+    return format === 'json' ? buildJsonReport(consultants) : buildCsvReport(consultants, { layer });
+  }
+  if (name === 'calibration') {
+    const rows = buildCalibrationReport(consultants, settings);
+    return format === 'json' ? JSON.stringify(rows, null, 2) : Papa.unparse(rows.map(row => ({
+      Role: row.role,
+      'Current Weight': row.currentWeight,
+      'Suggested Weight': row.suggestedWeight ?? '',
+      Assignments: row.assignments,
+      'Periods Sampled': row.periods,
+      'Hours Logged': row.hours
+    })));
+  }
+  const report = buildVarianceReport(consultants, settings);
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2);
+  }
+  const toRow = (scope, name, row) => ({
+    Scope: scope,
+    Name: name,
+    'Planned Hours': row.plannedHours,
+    'Logged Hours': row.actualHours,
+    'Variance Hours': row.varianceHours,
+    'Variance %': row.variancePct ?? ''
+  });
+  return Papa.unparse([
+    ...report.consultants.map(row => toRow('Consultant', row.name, row)),
+    ...report.roles.map(row => toRow('Role', row.role, row))
+  ]);
+};
+
+// Resolves with { headers, rows, source } like a parsed CSV
+const loadDeals = async (values, positionals) => {
+  if (!values.hubspot) {
+    const [input] = positionals;
+    return { ...parseDealsCsv(readText(input)), source: input };
+  }
+  const client = createHubSpotClient({ token: process.env.HUBSPOT_TOKEN, baseUrl: values['hubspot-url'] });
+  const { headers, rows } = await syncDeals(client, {
+    properties: values.property.length ? values.property : DEFAULT_HUBSPOT_PROPERTIES
+  });
+  return { headers, rows, source: 'HubSpot' };
+};
+
+const resolveOutputPath = (out, report, format) => {
+  const isDirectory = out.endsWith(path.sep) || out.endsWith('/') || (fs.existsSync(out) && fs.statSync(out).isDirectory());
+  return isDirectory ? path.join(out, `${report}-report-${exportTimestamp()}.${format}`) : out;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== (values.hubspot ? 0 : 1)) {
+    throw new Error(`Expected one deals CSV, or --hubspot without one\n\n${USAGE}`);
+  }
+
+  checkChoice('report', values.report, REPORTS);
+  if (values.report !== 'capacity' && !values.timesheet) {
+    throw new Error(`--report ${values.report} needs a --timesheet`);
+  }
+  checkChoice('format', values.format, ['csv', 'json']);
+  checkChoice('granularity', values.granularity, Object.keys(GRANULARITIES));
+  checkChoice('layer', values.layer, Object.keys(FORECAST_LAYERS));
+  if (values.status) {
+    checkChoice('status', values.status, CAPACITY_STATUSES);
+  }
+  if (values['date-format']) {
+    checkChoice('date-format', values['date-format'], Object.keys(DATE_FORMATS));
+  }
+  if (values['fiscal-pattern']) {
+    checkChoice('fiscal-pattern', values['fiscal-pattern'], Object.keys(FISCAL_PATTERNS));
+  }
+  if (values['fiscal-start'] && !/^(1[0-2]|[1-9])$/.test(values['fiscal-start'])) {
+    throw new Error('--fiscal-start must be a month number from 1 to 12');
+  }
+  if (!STATUS_PERIOD_LABELS[values['status-period']] && !/^\d{4}-Q[1-4]$/.test(values['status-period'])) {
+    throw new Error(`--status-period must be one of ${Object.keys(STATUS_PERIOD_LABELS).join(', ')} or a quarter such as 2025-Q3`);
+  }
+  const horizon = parseInt(values.horizon, 10);
+  if (!(horizon > 0)) {
+    throw new Error('--horizon must be a positive number of periods');
+  }
+
+  const { headers, rows, source } = await loadDeals(values, positionals);
+  const resolved = values.mapping
+    ? { mapping: JSON.parse(readText(values.mapping)), profileName: path.basename(values.mapping) }
+    : resolveMapping(headers);
+  const { profileName } = resolved;
+  const mapping = values['date-format'] ? { ...resolved.mapping, dateFormat: values['date-format'] } : resolved.mapping;
+  const missing = getMissingFields(mapping, headers);
+  if (missing.length || mapping.roles.length === 0) {
+    throw new Error(`Could not map ${missing.length ? missing.join(', ') : 'any role columns'}; pass a --mapping file`);
+  }
+  console.error(`${source}: ${rows.length} rows, ${profileName ? `mapped with "${profileName}"` : 'mapping detected from headers'}`);
+
+  const settings = loadSettings(values.settings, values.preset);
+  const fiscalCalendar = normalizeFiscalCalendar({
+    ...settings.fiscalCalendar,
+    ...(values['fiscal-start'] ? { startMonth: values['fiscal-start'] } : {}),
+    ...(values['fiscal-pattern'] ? { pattern: values['fiscal-pattern'] } : {})
+  });
+
+  const { consultants, issues } = runCapacityEngine(rows, {
+    mapping,
+    settings: { ...settings, fiscalCalendar },
+    timelineOptions: { granularity: values.granularity, startDate: values.start || null, horizon, layer: values.layer },
+    absences: loadAbsences(values['time-off'], values.holidays, values['date-format']),
+    roster: loadRosterMembers(values.roster, values['date-format']),
+    timesheet: loadTimesheet(values.timesheet, values['date-format']),
+    filters: {
+      businessLines: values.line,
+      roles: values.role,
+      timeframe: values.timeframe,
+      capacityStatus: values.status,
+      statusPeriod: values['status-period'],
+      consultantSearch: values.search,
+      outFrom: values['out-from'],
+      outTo: values['out-to'],
+      seniorities: values.seniority,
+      homeLines: values['home-line'],
+      skills: values.skill
+    }
+  });
+  if (issues.length) {
+    console.error(`${issues.length} import issue(s); open the file in the dashboard for details`);
+  }
+  const ambiguous = issues.filter(issue => issue.type === 'ambiguous-date');
+  if (ambiguous.length && !values['date-format']) {
+    console.error(`${ambiguous.length} row(s) have dates that could be day or month first; pass --date-format dmy or mdy to choose`);
+  }
+
+  const report = buildReport(values.report, values.format, consultants, { ...settings, fiscalCalendar }, values.layer);
+
+  if (values.out) {
+    const file = resolveOutputPath(values.out, values.report, values.format);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, report);
+    console.error(`Wrote ${consultants.length} consultants to ${file}`);
+  } else {
+    process.stdout.write(`${report}\n`);
+  }
+};
+
+main().catch(err => {
+  console.error(`capacity-report: ${err.message}`);
+  process.exit(1);
+});
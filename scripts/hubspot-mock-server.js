@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Stands in for api.hubapi.com by replaying recorded exchanges in order, so the HubSpot client can be
+// exercised without a portal or a token:
+//   node scripts/hubspot-mock-server.js scripts/hubspot-recordings/full-sync.json --port 4010
+// and point the dashboard's HubSpot base URL (or hubspotClient's baseUrl) at http://localhost:4010.
+//
+// With --record it forwards to HubSpot instead and writes what came back as a new recording:
+//   node scripts/hubspot-mock-server.js new-recording.json --record --port 4010
+//
+// A recording is a list of { request: { method, path, query? }, response: { status, headers?, body } }.
+// Each request must match the next exchange's method and path, and any query values it lists.
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { parseArgs } = require('util');
+
+const HUBSPOT_HOST = 'api.hubapi.com';
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const parseJson = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (err) {
+    return text;
+  }
+};
+
+const describeRequest = (req, body) => {
+  const url = new URL(req.url, 'http://localhost');
+  return {
+    method: req.method,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    authorization: req.headers.authorization || null,
+    body: parseJson(body)
+  };
+};
+
+const matches = (expected, received) => expected.method === received.method &&
+  expected.path === received.path &&
+  Object.entries(expected.query || {}).every(([key, value]) => received.query[key] === value);
+
+// The dashboard calls the mock server from another origin
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Expose-Headers': 'Retry-After'
+};
+
+const send = (res, { status, headers = {}, body }) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+// Resolves with { url, requests, remaining, close }; requests lists what the server received
+const createMockServer = (exchanges, { port = 0 } = {}) => {
+  const queue = [...exchanges];
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(res, { status: 204 });
+      return;
+    }
+    const received = describeRequest(req, await readBody(req));
+    requests.push(received);
+    const next = queue[0];
+    if (!next || !matches(next.request, received)) {
+      const expected = next ? `${next.request.method} ${next.request.path}` : 'no more requests';
+      send(res, { status: 500, body: { message: `Unexpected ${received.method} ${received.path}; expected ${expected}` } });
+      return;
+    }
+    queue.shift();
+    send(res, next.response);
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      remaining: () => queue.length,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+};
+
+// Forwards every request to HubSpot and appends the exchange to the recording. The token is passed
+// through but never written.
+const createRecordingServer = (file, { port }) => {
+  const exchanges = [];
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(res, { status: 204 });
+      return;
+    }
+    const body = await readBody(req);
+    const received = describeRequest(req, body);
+    const upstream = https.request({
+      host: HUBSPOT_HOST,
+      path: req.url,
+      method: req.method,
+      headers: { authorization: req.headers.authorization, 'content-type': 'application/json', accept: 'application/json' }
+    }, async response => {
+      const text = await readBody(response);
+      const retryAfter = response.headers['retry-after'];
+      const recorded = {
+        status: response.statusCode,
+        ...(retryAfter ? { headers: { 'Retry-After': retryAfter } } : {}),
+        body: parseJson(text)
+      };
+      exchanges.push({ request: { method: received.method, path: received.path, query: received.query }, response: recorded });
+      fs.writeFileSync(file, `${JSON.stringify(exchanges, null, 2)}\n`);
+      send(res, recorded);
+    });
+    upstream.on('error', err => send(res, { status: 502, body: { message: err.message } }));
+    upstream.end(body || undefined);
+  });
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server)));
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    options: { port: { type: 'string', default: '4010' }, record: { type: 'boolean', default: false } },
+    allowPositionals: true
+  });
+  if (positionals.length !== 1) {
+    throw new Error('Usage: node scripts/hubspot-mock-server.js <recording.json> [--port 4010] [--record]');
+  }
+  const [file] = positionals;
+  const port = parseInt(values.port, 10);
+
+  if (values.record) {
+    await createRecordingServer(file, { port });
+    console.error(`Recording HubSpot responses to ${file} on http://127.0.0.1:${port}`);
+    return;
+  }
+  const { url } = await createMockServer(JSON.parse(fs.readFileSync(file, 'utf8')), { port });
+  console.error(`Replaying ${file} on ${url}`);
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`hubspot-mock-server: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockServer };
@@ -1,11 +1,16 @@
+import { BrowserRouter, Route, Routes } from 'react-router-dom';
 import ConsultantCapacityDashboard from './components/ConsultantCapacityDashboard';
 
 function App() {
   return (
-    <div className="App">
-      <ConsultantCapacityDashboard />
-    </div>
+    <BrowserRouter>
+      <div className="App">
+        <Routes>
+          <Route path="/*" element={<ConsultantCapacityDashboard />} />
+        </Routes>
+      </div>
+    </BrowserRouter>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,209 @@
+import React, { useState, useMemo } from 'react';
+import { Download, Upload, Plus, Trash2, GitMerge, X } from 'lucide-react';
+import { pairKey, suggestMerges } from '../utils/consultantIdentity';
+import { exportAliasesCsv, mergeAliases, parseAliasesCsv } from '../utils/aliasStorage';
+import { downloadFile, exportTimestamp } from '../utils/download';
+
+const inputClassName = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50';
+
+const AliasManager = ({ aliasStore, onChange, consultants }) => {
+  const [newAlias, setNewAlias] = useState({ alias: '', canonical: '' });
+  const [error, setError] = useState(null);
+
+  const { aliases, dismissed } = aliasStore;
+  const suggestions = useMemo(() => suggestMerges(consultants, dismissed), [consultants, dismissed]);
+
+  const updateAliases = (updated) => onChange({ ...aliasStore, aliases: updated });
+
+  const merge = (duplicate, canonical) => {
+    updateAliases(mergeAliases(aliases, [{ alias: duplicate, canonical }]));
+  };
+
+  const dismiss = (suggestion) => {
+    onChange({ ...aliasStore, dismissed: [...dismissed, pairKey(suggestion.canonical, suggestion.duplicate)] });
+  };
+
+  const addAlias = () => {
+    const alias = newAlias.alias.trim();
+    const canonical = newAlias.canonical.trim();
+    if (!alias || !canonical || alias === canonical) {
+      setError('Enter both a variant spelling and a different canonical name');
+      return;
+    }
+    updateAliases(mergeAliases(aliases, [{ alias, canonical }]));
+    setNewAlias({ alias: '', canonical: '' });
+    setError(null);
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        updateAliases(mergeAliases(aliases, parseAliasesCsv(reader.result)));
+        setError(null);
+      } catch (err) {
+        setError('Error importing aliases: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold">Consultant Aliases</h3>
+        <div className="flex space-x-2">
+          <label className={`${buttonClassName} cursor-pointer`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import CSV
+            <input type="file" className="hidden" accept=".csv" onChange={handleImport} />
+          </label>
+          <button
+            onClick={() => downloadFile(exportAliasesCsv(aliases), `consultant-aliases-${exportTimestamp()}.csv`, 'text/csv')}
+            className={buttonClassName}
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="mt-6 grid grid-cols-2 gap-6">
+        {/* Suggested Merges */}
+        <div>
+          <h4 className="text-sm font-medium text-gray-500 mb-2">
+            Suggested Merges ({suggestions.length})
+          </h4>
+          {suggestions.length === 0 ? (
+            <p className="text-sm text-gray-500">No likely duplicates found.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {suggestions.map(suggestion => (
+                <li key={pairKey(suggestion.canonical, suggestion.duplicate)} className="py-2 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm text-gray-900">
+                      <span className="font-medium">{suggestion.duplicate}</span>
+                      {' → '}
+                      <span className="font-medium">{suggestion.canonical}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {suggestion.reason} · {Math.round(suggestion.score * 100)}% match
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => merge(suggestion.duplicate, suggestion.canonical)}
+                      className="text-gray-400 hover:text-blue-600"
+                      title={`Merge into ${suggestion.canonical}`}
+                    >
+                      <GitMerge className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => merge(suggestion.canonical, suggestion.duplicate)}
+                      className="text-xs text-gray-400 hover:text-blue-600"
+                      title={`Merge into ${suggestion.duplicate} instead`}
+                    >
+                      Reverse
+                    </button>
+                    <button
+                      onClick={() => dismiss(suggestion)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Not the same person"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Alias Table */}
+        <div>
+          <h4 className="text-sm font-medium text-gray-500 mb-2">Alias Table ({aliases.length})</h4>
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Variant Spelling</th>
+                <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Canonical Name</th>
+                <th className="px-2 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {aliases.map((entry, idx) => (
+                <tr key={idx}>
+                  <td className="px-2 py-1">
+                    <input
+                      type="text"
+                      className={inputClassName}
+                      value={entry.alias}
+                      onChange={(e) => updateAliases(aliases.map((a, i) => (i === idx ? { ...a, alias: e.target.value } : a)))}
+                    />
+                  </td>
+                  <td className="px-2 py-1">
+                    <input
+                      type="text"
+                      className={inputClassName}
+                      value={entry.canonical}
+                      onChange={(e) => updateAliases(aliases.map((a, i) => (i === idx ? { ...a, canonical: e.target.value } : a)))}
+                    />
+                  </td>
+                  <td className="px-2 py-1 w-10 text-right">
+                    <button
+                      onClick={() => updateAliases(aliases.filter((a, i) => i !== idx))}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove alias"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              <tr>
+                <td className="px-2 py-1">
+                  <input
+                    type="text"
+                    className={inputClassName}
+                    placeholder="e.g. J. Doe"
+                    value={newAlias.alias}
+                    onChange={(e) => setNewAlias({ ...newAlias, alias: e.target.value })}
+                  />
+                </td>
+                <td className="px-2 py-1">
+                  <input
+                    type="text"
+                    className={inputClassName}
+                    placeholder="e.g. Jane Doe"
+                    value={newAlias.canonical}
+                    onChange={(e) => setNewAlias({ ...newAlias, canonical: e.target.value })}
+                  />
+                </td>
+                <td className="px-2 py-1 w-10 text-right">
+                  <button onClick={addAlias} className="text-gray-400 hover:text-blue-600" title="Add alias">
+                    <Plus className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AliasManager;
@@ -0,0 +1,207 @@
+import React, { useState, useMemo } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import {
+  AreaChart, Area, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { ArrowLeft, AlertTriangle } from 'lucide-react';
+import NotFound from './NotFound';
+import TaskProgress from './TaskProgress';
+import { toMonthlyOptions } from '../utils/capacity';
+import { CONCENTRATION_WARNING } from '../utils/businessLineAnalytics';
+import { businessLinePath, consultantPath } from '../utils/filterParams';
+import useBackgroundTask from '../workers/useBackgroundTask';
+
+const LINE_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#0ea5e9', '#a855f7', '#f43f5e', '#14b8a6', '#84cc16', '#9ca3af'];
+// Consultants shown in the load mix chart
+const MIX_SHOWN = 15;
+
+const lineColor = (idx) => LINE_COLORS[idx % LINE_COLORS.length];
+
+const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+const formatGrowth = (line) => {
+  const sign = line.growth > 0 ? '+' : '';
+  return line.growthPercent === null
+    ? `${sign}${line.growth}`
+    : `${sign}${line.growth} (${sign}${line.growthPercent}%)`;
+};
+
+const BusinessLineDashboard = ({ deals, settings, aliasLookup, timelineOptions, hasData, isLoading }) => {
+  const { search } = useLocation();
+  const [chartType, setChartType] = useState('area');
+
+  // Monthly timelines of their own, computed in the background
+  const monthlyOptions = useMemo(() => toMonthlyOptions(timelineOptions), [timelineOptions]);
+  const payload = useMemo(
+    () => ({ deals, settings, options: { aliasLookup, timelineOptions: monthlyOptions } }),
+    [deals, settings, aliasLookup, monthlyOptions]
+  );
+  const { result: analysis, error, progress } = useBackgroundTask('businessLines', payload, 'Analysing business lines');
+
+  if (!hasData) {
+    return isLoading ? null : (
+      <NotFound title="Business lines">
+        Upload a CSV or load a snapshot to see business-line demand.
+      </NotFound>
+    );
+  }
+
+  if (!analysis) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <Link to={{ pathname: '/', search }} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Team overview
+        </Link>
+        <h2 className="mt-4 mb-4 text-2xl font-semibold">Business Line Demand</h2>
+        {error ? (
+          <div className="p-2 bg-red-100 text-red-700 rounded text-sm">Error analysing business lines: {error}</div>
+        ) : (
+          <TaskProgress {...(progress || { label: 'Analysing business lines', done: 0, total: 0 })} />
+        )}
+      </div>
+    );
+  }
+
+  // Chart colours follow alphabetical line order so they stay put when the ranking changes
+  const lineNames = analysis.lines.map(l => l.line).sort();
+  const DemandChart = chartType === 'area' ? AreaChart : BarChart;
+
+  const mixData = analysis.consultantMix.slice(0, MIX_SHOWN).map(mix => ({
+    name: mix.name,
+    shares: Object.fromEntries(mix.lines.map(({ line, share }) => [line, share]))
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <Link to={{ pathname: '/', search }} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Team overview
+        </Link>
+        <div className="mt-4 flex items-center justify-between">
+          <h2 className="text-2xl font-semibold">Business Line Demand</h2>
+          <select
+            className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+            value={chartType}
+            onChange={(e) => setChartType(e.target.value)}
+          >
+            <option value="area">Stacked Area</option>
+            <option value="bar">Stacked Bars</option>
+          </select>
+        </div>
+        <p className="mt-1 text-sm text-gray-500">
+          Weighted demand per month over the next {monthlyOptions.horizon} months, stacked by business line.
+        </p>
+
+        <div className="mt-4 h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <DemandChart data={analysis.periods} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="period" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              {lineNames.map((line, idx) => (chartType === 'area' ? (
+                <Area
+                  key={line}
+                  type="monotone"
+                  dataKey={(entry) => entry.demand[line]}
+                  name={line}
+                  stackId="demand"
+                  stroke={lineColor(idx)}
+                  fill={lineColor(idx)}
+                />
+              ) : (
+                <Bar key={line} dataKey={(entry) => entry.demand[line]} name={line} stackId="demand" fill={lineColor(idx)} />
+              )))}
+            </DemandChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Ranking */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-semibold">Lines by Demand Growth</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Growth compares average monthly demand at the start and end of the horizon.
+          Lines where two people carry {formatPercent(CONCENTRATION_WARNING)} or more of the demand are flagged.
+        </p>
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Business Line</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Start</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">End</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Growth</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Peak</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Consultants</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Concentration</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {analysis.lines.map(line => (
+                <tr key={line.line} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm">
+                    <Link to={{ pathname: businessLinePath(line.line), search }} className="text-blue-600 hover:text-blue-800">
+                      {line.line}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-500">{line.startDemand}</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-500">{line.endDemand}</td>
+                  <td className={`px-4 py-3 text-sm text-right font-medium ${
+                    line.growth > 0 ? 'text-green-700' : line.growth < 0 ? 'text-red-700' : 'text-gray-500'
+                  }`}>
+                    {formatGrowth(line)}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-500">{line.peakDemand} ({line.peakPeriod})</td>
+                  <td className="px-4 py-3 text-sm text-right text-gray-500">{line.consultants.length}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    <span className="inline-flex items-center">
+                      {line.isConcentrated && <AlertTriangle className="h-4 w-4 mr-1 text-yellow-500" />}
+                      {line.consultants.slice(0, 2).map((c, idx) => (
+                        <span key={c.name}>
+                          {idx > 0 && ', '}
+                          <Link to={{ pathname: consultantPath(c.name), search }} className="hover:text-blue-800">
+                            {c.name}
+                          </Link>
+                          {' '}{formatPercent(c.share)}
+                        </span>
+                      ))}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Consultant load mix */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-semibold">Consultant Load by Business Line</h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Share of each consultant's weighted load going to each line
+          {analysis.consultantMix.length > MIX_SHOWN ? ` (busiest ${MIX_SHOWN} consultants)` : ''}.
+        </p>
+        <div className="mt-4" style={{ height: Math.max(160, mixData.length * 32 + 60) }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={mixData} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" domain={[0, 1]} tickFormatter={formatPercent} />
+              <YAxis type="category" dataKey="name" width={140} />
+              <Tooltip formatter={formatPercent} />
+              <Legend />
+              {lineNames.map((line, idx) => (
+                <Bar key={line} dataKey={(entry) => entry.shares[line] || 0} name={line} stackId="mix" fill={lineColor(idx)} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BusinessLineDashboard;
@@ -0,0 +1,119 @@
+import React, { useMemo } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import _ from 'lodash';
+import NotFound from './NotFound';
+import StatusBadge from './StatusBadge';
+import { CAPACITY_STATUS_LABELS } from '../utils/capacity';
+import { consultantPath } from '../utils/filterParams';
+import { UNASSIGNED_LINE } from '../utils/businessLineAnalytics';
+import { formatDateRange } from '../utils/dates';
+
+// Deals without a business line are grouped under the "Unassigned" line
+const inLine = (businessLine, line) => (businessLine || UNASSIGNED_LINE) === line;
+
+const BusinessLinePage = ({ deals, consultants, hasData, isLoading }) => {
+  const { line } = useParams();
+  const { search } = useLocation();
+
+  const lineDeals = useMemo(
+    () => _.sortBy(deals.filter(deal => inLine(deal.businessLine, line)), 'startDate'),
+    [deals, line]
+  );
+
+  const lineConsultants = useMemo(() => consultants
+    .map(consultant => ({
+      consultant,
+      projects: consultant.projects.filter(project => inLine(project.businessLine, line))
+    }))
+    .filter(({ projects }) => projects.length > 0), [consultants, line]);
+
+  if (!hasData) {
+    return isLoading ? null : (
+      <NotFound title={line}>
+        Upload a CSV or load a snapshot to see this business line.
+      </NotFound>
+    );
+  }
+
+  if (lineDeals.length === 0) {
+    return (
+      <NotFound title="Business line not found">
+        No deals in the current dataset belong to <span className="font-medium text-gray-700">{line}</span>.
+      </NotFound>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <Link to={{ pathname: '/', search }} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Team overview
+      </Link>
+      <h2 className="mt-4 text-2xl font-semibold">{line}</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        {lineDeals.length} deals · {lineConsultants.length} consultants staffed
+      </p>
+
+      <div className="mt-6">
+        <h4 className="text-sm font-medium text-gray-500 mb-2">Consultants</h4>
+        <table className="min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Consultant</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Roles</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Projects in Line</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Current Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {lineConsultants.map(({ consultant, projects }) => (
+              <tr key={consultant.name} className="hover:bg-gray-50">
+                <td className="px-4 py-3 text-sm">
+                  <Link to={{ pathname: consultantPath(consultant.name), search }} className="text-blue-600 hover:text-blue-800">
+                    {consultant.name}
+                  </Link>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-500">{_.uniq(projects.map(p => p.role)).join(', ')}</td>
+                <td className="px-4 py-3 text-sm text-gray-500">{projects.length}</td>
+                <td className="px-4 py-3 text-sm">
+                  <StatusBadge status={consultant.status}>
+                    {consultant.currentPeriod.weightedLoad} · {CAPACITY_STATUS_LABELS[consultant.status]}
+                  </StatusBadge>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-6">
+        <h4 className="text-sm font-medium text-gray-500 mb-2">Deals</h4>
+        <table className="min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deal</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Timeline</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Staffing</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {lineDeals.map(deal => (
+              <tr key={deal.id} className="hover:bg-gray-50">
+                <td className="px-4 py-3 text-sm text-gray-900">{deal.dealName}</td>
+                <td className="px-4 py-3 text-sm text-gray-500">{formatDateRange(deal.startDate, deal.endDate)}</td>
+                <td className="px-4 py-3 text-sm text-gray-500">
+                  {deal.staffing.filter(({ consultants: names }) => names.length).map(({ role, column, consultants: names }) => (
+                    <div key={column}>{role}: {names.join(', ')}</div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default BusinessLinePage;
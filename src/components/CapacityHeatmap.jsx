@@ -0,0 +1,221 @@
+import React, { useState, useMemo } from 'react';
+import _ from 'lodash';
+import { ArrowDown, ArrowUp, X } from 'lucide-react';
+import { formatDateRange } from '../utils/dates';
+
+const SORT_OPTIONS = {
+  peak: 'Peak Load',
+  average: 'Average Load',
+  name: 'Name'
+};
+
+// Shaded like the period's status: project load plus planned absence against the consultant's own
+// ceiling, and any load is too much without one
+const getCellClassName = ({ weightedLoad, absenceLoad, maxLoad }, { statusThresholds }) => {
+  const load = weightedLoad + absenceLoad;
+  if (load === 0) {
+    return 'bg-gray-50 text-gray-400';
+  }
+  const ratio = maxLoad > 0 ? load / maxLoad : Infinity;
+  if (ratio > statusThresholds.overCapacity * 1.25) {
+    return 'bg-red-500 text-white';
+  }
+  if (ratio > statusThresholds.overCapacity) {
+    return 'bg-red-300 text-red-900';
+  }
+  if (ratio >= statusThresholds.atCapacity) {
+    return 'bg-yellow-200 text-yellow-900';
+  }
+  if (ratio >= statusThresholds.atCapacity / 2) {
+    return 'bg-green-200 text-green-900';
+  }
+  return 'bg-green-50 text-green-800';
+};
+
+const round = (value) => parseFloat(value.toFixed(1));
+
+const CapacityHeatmap = ({ consultants, settings, onOpenConsultant }) => {
+  const [sortBy, setSortBy] = useState('peak');
+  const [descending, setDescending] = useState(true);
+  const [selectedCell, setSelectedCell] = useState(null);
+
+  const periods = consultants.length ? consultants[0].timeline : [];
+
+  const rows = useMemo(() => {
+    const withTotals = consultants.map(consultant => {
+      const loads = consultant.timeline.map(entry => entry.weightedLoad);
+      return {
+        consultant,
+        loads,
+        total: round(_.sum(loads)),
+        peak: _.max(loads) || 0,
+        average: loads.length ? round(_.mean(loads)) : 0
+      };
+    });
+    const iteratee = sortBy === 'name' ? row => row.consultant.name.toLowerCase() : sortBy;
+    return _.orderBy(withTotals, [iteratee], [descending ? 'desc' : 'asc']);
+  }, [consultants, sortBy, descending]);
+
+  const columnTotals = periods.map((period, idx) => ({
+    total: round(_.sumBy(rows, row => row.loads[idx])),
+    overCapacity: rows.filter(row => row.consultant.timeline[idx].status === 'over-capacity').length
+  }));
+
+  const selectedRow = selectedCell && rows.find(row => row.consultant.name === selectedCell.name);
+  const selectedPeriod = selectedRow && selectedRow.consultant.timeline[selectedCell.periodIdx];
+
+  if (consultants.length === 0) {
+    return <p className="text-sm text-gray-500">No consultants match the current filters.</p>;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 flex items-center justify-between">
+        <h3 className="text-lg font-semibold">Team Utilisation</h3>
+        <div className="flex items-center space-x-2">
+          <label className="text-sm font-medium text-gray-700">Sort by</label>
+          <select
+            className="block rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+          >
+            {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setDescending(!descending)}
+            className="text-gray-500 hover:text-gray-700"
+            title={descending ? 'Descending' : 'Ascending'}
+          >
+            {descending ? <ArrowDown className="h-4 w-4" /> : <ArrowUp className="h-4 w-4" />}
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-auto max-h-[70vh] border-t border-gray-200">
+        <table className="min-w-full border-separate border-spacing-0 text-sm">
+          <thead>
+            <tr>
+              <th className="sticky top-0 left-0 z-20 bg-gray-50 px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase border-b border-gray-200">
+                Consultant
+              </th>
+              {periods.map(period => (
+                <th
+                  key={period.startDate}
+                  className="sticky top-0 z-10 bg-gray-50 px-2 py-2 text-center text-xs font-medium text-gray-500 whitespace-nowrap border-b border-gray-200"
+                >
+                  {period.period}
+                </th>
+              ))}
+              <th className="sticky top-0 z-10 bg-gray-50 px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase border-b border-l border-gray-200">Peak</th>
+              <th className="sticky top-0 z-10 bg-gray-50 px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase border-b border-gray-200">Avg</th>
+              <th className="sticky top-0 z-10 bg-gray-50 px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase border-b border-gray-200">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.consultant.name}>
+                <td className="sticky left-0 z-10 bg-white px-4 py-1 whitespace-nowrap text-gray-900 border-b border-gray-100">
+                  {row.consultant.name}
+                </td>
+                {row.loads.map((load, idx) => {
+                  const entry = row.consultant.timeline[idx];
+                  const isSelected = selectedCell && selectedCell.name === row.consultant.name && selectedCell.periodIdx === idx;
+                  return (
+                    <td key={idx} className="p-0.5 border-b border-gray-100">
+                      <button
+                        onClick={() => setSelectedCell({ name: row.consultant.name, periodIdx: idx })}
+                        className={`w-full px-2 py-1 rounded text-center ${getCellClassName(entry, settings)} ${isSelected ? 'ring-2 ring-blue-500' : ''}`}
+                        title={`${row.consultant.name} · ${periods[idx].period}: ${load}${entry.absenceLoad > 0 ? ` + ${entry.absenceLoad} absence` : ''} / ${entry.maxLoad}`}
+                      >
+                        {load}
+                      </button>
+                    </td>
+                  );
+                })}
+                <td className="px-2 py-1 text-center font-medium border-b border-l border-gray-100">{row.peak}</td>
+                <td className="px-2 py-1 text-center text-gray-500 border-b border-gray-100">{row.average}</td>
+                <td className="px-2 py-1 text-center text-gray-500 border-b border-gray-100">{row.total}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td className="sticky bottom-0 left-0 z-20 bg-gray-50 px-4 py-2 text-xs font-medium text-gray-500 uppercase border-t border-gray-200">
+                Team Total
+              </td>
+              {columnTotals.map((column, idx) => (
+                <td
+                  key={idx}
+                  className="sticky bottom-0 z-10 bg-gray-50 px-2 py-2 text-center border-t border-gray-200"
+                  title={`${column.overCapacity} consultant(s) over capacity`}
+                >
+                  <div className="font-medium">{column.total}</div>
+                  {column.overCapacity > 0 && (
+                    <div className="text-xs text-red-600">{column.overCapacity} over</div>
+                  )}
+                </td>
+              ))}
+              <td className="sticky bottom-0 bg-gray-50 border-t border-l border-gray-200" colSpan={3} />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {/* Selected Cell Detail */}
+      {selectedPeriod && (
+        <div className="px-6 py-4 border-t border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="font-semibold">{selectedRow.consultant.name} · {selectedPeriod.period}</h4>
+              <p className="text-sm text-gray-500">
+                {formatDateRange(selectedPeriod.startDate, selectedPeriod.endDate)} · Load {selectedPeriod.weightedLoad}
+                {selectedPeriod.absenceLoad > 0 && ` + ${selectedPeriod.absenceLoad} absence`} / {selectedPeriod.maxLoad}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => onOpenConsultant(selectedRow.consultant.name)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Open Consultant
+              </button>
+              <button onClick={() => setSelectedCell(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+          {selectedPeriod.details.length === 0 ? (
+            <p className="mt-2 text-sm text-gray-500">No active projects in this period.</p>
+          ) : (
+            <table className="mt-2 min-w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Project</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Business Line</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Period Coverage</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Load</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {selectedPeriod.details.map((project, idx) => (
+                  <tr key={idx}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{project.name}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{project.role}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{project.businessLine}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{Math.round(project.share * 100)}%</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{project.load}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CapacityHeatmap;
@@ -0,0 +1,93 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { formatDateRange } from '../utils/dates';
+
+const TimelineTooltip = ({ active, payload, label }) => {
+  if (active && payload && payload.length) {
+    const data = payload[0].payload;
+    return (
+      <div className="bg-white p-4 shadow rounded border">
+        <p className="font-semibold">{label}</p>
+        <p className="text-xs text-gray-500">{formatDateRange(data.startDate, data.endDate)}</p>
+        <p className="text-sm">Weighted Load: {data.weightedLoad}</p>
+        {data.actualLoad !== null && data.actualLoad !== undefined && (
+          <p className="text-sm text-pink-600">
+            Actual Load: {data.actualLoad} ({data.actualHours} hours logged{data.actualComplete ? '' : ', period not fully covered'})
+          </p>
+        )}
+        <p className="text-sm text-green-600">Available Capacity: {data.capacity}</p>
+        {data.absenceLoad > 0 && (
+          <p className="text-sm text-orange-600">
+            Planned Absence: {data.absenceLoad} ({data.absentDays} working {data.absentDays === 1 ? 'day' : 'days'})
+          </p>
+        )}
+        {data.bestCaseLoad > data.committedLoad && (
+          <p className="text-xs text-gray-500">
+            Committed {data.committedLoad} · Weighted {parseFloat((data.committedLoad + data.pipelineLoad).toFixed(1))} · Best case {data.bestCaseLoad}
+          </p>
+        )}
+        <div className="mt-2">
+          <p className="text-xs font-semibold">Active Projects:</p>
+          {data.details.map((project, idx) => (
+            <p key={idx} className="text-xs">
+              {project.name} ({project.role}
+              {project.share < 1 ? `, ${Math.round(project.share * 100)}% of period` : ''}
+              {project.probability < 1 ? `, ${Math.round(project.probability * 100)}% likely` : ''})
+            </p>
+          ))}
+        </div>
+        {data.actualDetails && data.actualDetails.length > 0 && (
+          <div className="mt-2">
+            <p className="text-xs font-semibold">Hours Logged:</p>
+            {data.actualDetails.map(deal => (
+              <p key={deal.name} className="text-xs">
+                {deal.name || 'No deal'}: {deal.hours}h ({deal.role || 'not staffed'})
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+  return null;
+};
+
+// stackLayers splits each bar into committed work, the weighted pipeline and the best-case upside.
+// Planned absence is its own segment so time off never reads as free capacity.
+// Periods with timesheet actuals get an Actual Load bar next to the plan.
+const CapacityTimelineChart = ({ timeline, stackLayers = false }) => {
+  const hasActuals = timeline.some(entry => entry.actualLoad !== null && entry.actualLoad !== undefined);
+  const actualBar = hasActuals && <Bar key="actual" dataKey="actualLoad" fill="#f472b6" name="Actual Load" />;
+  return (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart
+          data={timeline}
+          margin={{ top: 20, right: 30, left: 20, bottom: 5 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="period" />
+          <YAxis />
+          <Tooltip content={<TimelineTooltip />} />
+          <Legend />
+          {stackLayers ? [
+            <Bar key="committed" dataKey="committedLoad" stackId="layers" fill="#8884d8" name="Committed" />,
+            <Bar key="pipeline" dataKey="pipelineLoad" stackId="layers" fill="#b4b0f0" name="Weighted Pipeline" />,
+            <Bar key="upside" dataKey="upsideLoad" stackId="layers" fill="#e0def9" name="Best Case Upside" />,
+            <Bar key="absence" dataKey="absenceLoad" stackId="layers" fill="#fdba74" name="Planned Absence" />,
+            actualBar
+          ] : [
+            <Bar key="load" dataKey="weightedLoad" fill="#8884d8" name="Project Load" />,
+            actualBar,
+            <Bar key="capacity" dataKey="capacity" stackId="capacity" fill="#82ca9d" name="Available Capacity" />,
+            <Bar key="absence" dataKey="absenceLoad" stackId="capacity" fill="#fdba74" name="Planned Absence" />
+          ]}
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default CapacityTimelineChart;
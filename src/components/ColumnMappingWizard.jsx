@@ -0,0 +1,267 @@
+import React, { useState, useMemo } from 'react';
+import { Plus, Save, Trash2, Wand2 } from 'lucide-react';
+import {
+  MAPPING_FIELDS, detectMapping, getMissingFields, mapRowsToDeals, resolveMappingDates
+} from '../utils/columnMapping';
+import { DATE_FORMATS, DEFAULT_DATE_FORMAT, formatDate, formatDateRange, parseDateValue } from '../utils/dates';
+import { BUILT_IN_PROFILES } from '../utils/importProfiles';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50';
+
+const PREVIEW_ROWS = 3;
+
+const ColumnMappingWizard = ({
+  fileName, headers, rows, initialMapping, initialProfile, profiles, roles,
+  onApply, onCancel, onSaveProfile, onDeleteProfile
+}) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [selectedProfile, setSelectedProfile] = useState(initialProfile || '');
+  const [profileName, setProfileName] = useState('');
+
+  const missingFields = getMissingFields(mapping, headers);
+  const roleOptions = useMemo(
+    () => Array.from(new Set([...roles, ...mapping.roles.map(r => r.role)])).filter(Boolean),
+    [roles, mapping.roles]
+  );
+  // The date order is settled on the whole file, not just the preview rows
+  const dates = useMemo(() => resolveMappingDates(rows, mapping), [rows, mapping]);
+  const preview = useMemo(
+    () => mapRowsToDeals(rows.slice(0, PREVIEW_ROWS), mapping, dates),
+    [rows, mapping, dates]
+  );
+  const orderLabel = dates.order === 'mdy' ? 'month first' : 'day first';
+
+  const setField = (key, column) => {
+    setMapping({ ...mapping, fields: { ...mapping.fields, [key]: column } });
+  };
+
+  const setRoleColumn = (idx, changes) => {
+    setMapping({
+      ...mapping,
+      roles: mapping.roles.map((r, i) => (i === idx ? { ...r, ...changes } : r))
+    });
+  };
+
+  const addRoleColumn = () => {
+    setMapping({ ...mapping, roles: [...mapping.roles, { column: '', role: roleOptions[0] || '' }] });
+  };
+
+  const removeRoleColumn = (idx) => {
+    setMapping({ ...mapping, roles: mapping.roles.filter((r, i) => i !== idx) });
+  };
+
+  const loadProfile = (name) => {
+    setSelectedProfile(name);
+    setMapping(name ? profiles[name] : detectMapping(headers));
+  };
+
+  const saveProfile = () => {
+    const name = profileName.trim() || selectedProfile;
+    if (!name || BUILT_IN_PROFILES[name]) {
+      return;
+    }
+    onSaveProfile(name, mapping);
+    setSelectedProfile(name);
+    setProfileName('');
+  };
+
+  const columnSelect = (value, onChange) => (
+    <select className={inputClassName} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+      <option value="">— Not mapped —</option>
+      {headers.map(header => (
+        <option key={header} value={header}>{header}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Map Columns</h3>
+          <p className="text-sm text-gray-500">
+            {fileName} · {rows.length} rows · {headers.length} columns
+          </p>
+        </div>
+        <div className="flex items-end space-x-2">
+          <div className="w-64">
+            <label className="block text-sm font-medium text-gray-700">Import Profile</label>
+            <select
+              className={inputClassName}
+              value={selectedProfile}
+              onChange={(e) => loadProfile(e.target.value)}
+            >
+              <option value="">Auto-detected</option>
+              {Object.keys(profiles).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <button onClick={() => loadProfile('')} className={buttonClassName} title="Auto-detect columns">
+            <Wand2 className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => {
+              onDeleteProfile(selectedProfile);
+              loadProfile('');
+            }}
+            disabled={!selectedProfile || !!BUILT_IN_PROFILES[selectedProfile]}
+            className={`${buttonClassName} disabled:opacity-50`}
+            title="Delete profile"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-6 grid grid-cols-2 gap-6">
+        {/* Deal Fields */}
+        <div className="space-y-3">
+          <h4 className="text-sm font-medium text-gray-500">Deal Fields</h4>
+          {MAPPING_FIELDS.map(field => (
+            <div key={field.key}>
+              <label className="block text-sm font-medium text-gray-700">
+                {field.label}{field.required && <span className="text-red-600"> *</span>}
+              </label>
+              {columnSelect(mapping.fields[field.key], (column) => setField(field.key, column))}
+            </div>
+          ))}
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Consultant Delimiter</label>
+            <input
+              type="text"
+              className={inputClassName}
+              value={mapping.delimiter}
+              onChange={(e) => setMapping({ ...mapping, delimiter: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Date Format</label>
+            <select
+              className={inputClassName}
+              value={mapping.dateFormat || DEFAULT_DATE_FORMAT}
+              onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+            >
+              {Object.entries(DATE_FORMATS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {dates.ambiguous > 0 && (
+              <p className={`mt-1 text-xs ${dates.guessed ? 'text-yellow-700' : 'text-gray-500'}`}>
+                {dates.guessed
+                  ? `${dates.ambiguous} dates such as "${dates.example}" could be day or month first and nothing in the file tells; ` +
+                    `read ${orderLabel} as ${formatDate(parseDateValue(dates.example, dates.order))}. Pick the format if that's wrong.`
+                  : `Dates such as "${dates.example}" are read ${orderLabel}, as ${formatDate(parseDateValue(dates.example, dates.order))}.`}
+              </p>
+            )}
+            <p className="mt-1 text-xs text-gray-500">ISO dates, month names and Excel serial numbers are always recognised.</p>
+          </div>
+        </div>
+
+        {/* Staffing Columns */}
+        <div>
+          <h4 className="text-sm font-medium text-gray-500 mb-3">Staffing Columns</h4>
+          <div className="space-y-2">
+            {mapping.roles.map((roleColumn, idx) => (
+              <div key={idx} className="flex items-center space-x-2">
+                {columnSelect(roleColumn.column, (column) => setRoleColumn(idx, { column }))}
+                <select
+                  className={inputClassName}
+                  value={roleColumn.role}
+                  onChange={(e) => setRoleColumn(idx, { role: e.target.value })}
+                >
+                  {roleOptions.map(role => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => removeRoleColumn(idx)}
+                  className="mt-1 text-gray-400 hover:text-red-600"
+                  title="Remove column"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button onClick={addRoleColumn} className={`${buttonClassName} mt-2`}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Staffing Column
+          </button>
+        </div>
+      </div>
+
+      {/* Preview */}
+      <div className="mt-6">
+        <h4 className="text-sm font-medium text-gray-500 mb-2">Preview</h4>
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deal</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Timeline</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Business Line</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Staffing</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {preview.map(deal => (
+                <tr key={deal.id}>
+                  <td className="px-4 py-3 text-sm text-gray-900">{deal.dealName}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{formatDateRange(deal.startDate, deal.endDate)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{deal.businessLine}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {deal.staffing
+                      .filter(s => s.consultants.length)
+                      .map(s => `${s.role}: ${s.consultants.join(', ')}`)
+                      .join(' · ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {missingFields.length > 0 && (
+        <div className="mt-4 p-2 bg-yellow-100 text-yellow-800 rounded text-sm">
+          Map the required fields before importing: {missingFields.join(', ')}
+        </div>
+      )}
+
+      <div className="mt-6 flex items-end justify-between">
+        <div className="flex items-end space-x-2">
+          <div className="w-64">
+            <label className="block text-sm font-medium text-gray-700">Save Mapping As Profile</label>
+            <input
+              type="text"
+              className={inputClassName}
+              placeholder={selectedProfile && !BUILT_IN_PROFILES[selectedProfile] ? selectedProfile : 'Profile name...'}
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+            />
+          </div>
+          <button onClick={saveProfile} className={buttonClassName}>
+            <Save className="h-4 w-4 mr-2" />
+            Save Profile
+          </button>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={onCancel} className={buttonClassName}>
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(mapping, selectedProfile)}
+            disabled={missingFields.length > 0}
+            className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            Import {rows.length} Rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -1,206 +1,486 @@
-import React, { useState, useEffect } from 'react';
-import {
-  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
-} from 'recharts';
-import Papa from 'papaparse';
+import React, { useState, useEffect, useMemo, useRef, useCallback, useDeferredValue } from 'react';
 import _ from 'lodash';
-import { Upload, Download, ChevronDown, ChevronUp } from 'lucide-react';
-
-const ROLE_WEIGHTS = {
-  'Lead': 1,
-  'Co-Lead': 0.7,
-  'Strategic Advisor': 0.3,
-  'Supporting': 0.5
-};
+import { Link, Route, Routes, useLocation, useMatch, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Upload, Download, ChevronDown, ChevronUp, Settings, Columns, Users, LayoutList, Grid3x3, FlaskConical,
+  UserPlus, History, ArrowRight, BarChart3, CalendarOff, GanttChart, Contact, RefreshCw, Clock
+} from 'lucide-react';
+import SettingsPanel from './SettingsPanel';
+import CapacityHeatmap from './CapacityHeatmap';
+import ScenarioPlanner from './ScenarioPlanner';
+import StaffingRecommender from './StaffingRecommender';
+import NumberField from './NumberField';
+import AliasManager from './AliasManager';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import ImportReport from './ImportReport';
+import SnapshotManager from './SnapshotManager';
+import EarlyWarnings from './EarlyWarnings';
+import TimeOffManager from './TimeOffManager';
+import RosterManager from './RosterManager';
+import RosterSummary from './RosterSummary';
+import HubSpotSync from './HubSpotSync';
+import TimesheetManager from './TimesheetManager';
+import ConsultantDetails from './ConsultantDetails';
+import ProjectGantt from './ProjectGantt';
+import VirtualList from './VirtualList';
+import TaskProgress from './TaskProgress';
+import MultiSelect from './MultiSelect';
+import ConsultantPage from './ConsultantPage';
+import BusinessLinePage from './BusinessLinePage';
+import BusinessLineDashboard from './BusinessLineDashboard';
+import NotFound from './NotFound';
+import StatusBadge from './StatusBadge';
+import {
+  CAPACITY_STATUSES, CAPACITY_STATUS_LABELS, DEFAULT_TIMELINE_OPTIONS, GRANULARITIES
+} from '../utils/capacity';
+import { detectMapping, getBusinessLines, mapRowsToDeals } from '../utils/columnMapping';
+import { analyzeDeals } from '../utils/importDiagnostics';
+import { buildAliasLookup } from '../utils/consultantIdentity';
+import { loadAliasStore, saveAliasStore } from '../utils/aliasStorage';
+import { loadScenarios, saveScenarios } from '../utils/scenarios';
+import { findMatchingProfile, loadImportProfiles, saveImportProfiles } from '../utils/importProfiles';
+import { loadPresetStore, savePresetStore } from '../utils/settingsStorage';
+import { downloadFile, exportTimestamp } from '../utils/download';
+import { XLSX_MIME_TYPE, buildCapacityWorkbook } from '../utils/excelExport';
+import { deleteSnapshot, listSnapshots, loadSnapshot, saveSnapshot } from '../utils/snapshotStore';
+import { FORECAST_LAYERS } from '../utils/pipeline';
+import { loadTimeOff, saveTimeOff } from '../utils/timeOff';
+import { getRosterValues, loadRoster, saveRoster } from '../utils/roster';
+import { loadTimesheet, saveTimesheet } from '../utils/timesheets';
+import { createHubSpotClient } from '../utils/hubspotClient';
+import { formatDateTime } from '../utils/dates';
+import {
+  HUBSPOT_SOURCE, describeSyncAge, loadHubSpotConfig, loadHubSpotToken, saveHubSpotConfig, syncDeals
+} from '../utils/hubspotSync';
+import {
+  DEAL_FILTER_KEYS, buildCsvReport, buildJsonReport, filterConsultants, filterDeals, getIdleBusinessLines,
+  getStatusPeriodOptions
+} from '../utils/capacityEngine';
+import {
+  consultantPath, readFilters, readViewMode, updateSearchParams
+} from '../utils/filterParams';
+import { createTaskRunner, isCancelled } from '../workers/taskRunner';
 
-const MAX_RECOMMENDED_LOAD = 8;
+// Typing pauses this long before the search reaches the URL and the filters
+const SEARCH_DEBOUNCE_MS = 250;
 
 const ConsultantCapacityDashboard = () => {
-  const [consultantData, setConsultantData] = useState([]);
-  const [filteredData, setFilteredData] = useState([]);
-  const [expandedConsultant, setExpandedConsultant] = useState(null);
-  const [isLoading, setIsLoading] = useState(false); // Now used in the component
+  // The applied import ({ fileName, headers, rows, mapping, profileName, source }) and one awaiting mapping
+  const [dataset, setDataset] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importProfiles, setImportProfiles] = useState(loadImportProfiles);
+  const [isLoading, setIsLoading] = useState(true); // Covers restoring the last snapshot on start-up
   const [error, setError] = useState(null); // Now used in the component
+  const [showSettings, setShowSettings] = useState(false);
+  const [presetStore, setPresetStore] = useState(loadPresetStore);
+  const [showAliases, setShowAliases] = useState(false);
+  const [aliasStore, setAliasStore] = useState(loadAliasStore);
+  const [showScenarios, setShowScenarios] = useState(false);
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [showStaffing, setShowStaffing] = useState(false);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [activeSnapshotId, setActiveSnapshotId] = useState(null);
+  const [showTimeOff, setShowTimeOff] = useState(false);
+  const [timeOff, setTimeOff] = useState(loadTimeOff);
+  const [showRoster, setShowRoster] = useState(false);
+  const [roster, setRoster] = useState(loadRoster);
+  const [showTimesheets, setShowTimesheets] = useState(false);
+  const [timesheet, setTimesheet] = useState(loadTimesheet);
+  const [showHubSpot, setShowHubSpot] = useState(false);
+  const [hubspotConfig, setHubspotConfig] = useState(loadHubSpotConfig);
+  const hasImported = useRef(false);
+  const syncController = useRef(null);
 
-  // Filter states
-  const [filters, setFilters] = useState({
-    businessLine: 'all',
-    timeframe: 'all',
-    capacityStatus: 'all',
-    consultantSearch: ''
-  });
+  // Parsing and timeline computation run in Web Workers; progress is keyed by task:
+  // 'parse', 'compute' (every consultant), 'filter' (consultants of the filtered deals) or 'sync' (HubSpot)
+  const [parseRunner] = useState(createTaskRunner);
+  const [computeRunner] = useState(createTaskRunner);
+  const [filterRunner] = useState(createTaskRunner);
+  const runners = { parse: parseRunner, compute: computeRunner, filter: filterRunner };
+  const [progress, setProgress] = useState({});
+  const [consultantData, setConsultantData] = useState([]);
+  // The inputs consultantData was computed from, to tell a finished computation from a pending one
+  const [computedFrom, setComputedFrom] = useState(null);
+  // null while no project filter is set
+  const [filteredConsultants, setFilteredConsultants] = useState(null);
+  const [processingError, setProcessingError] = useState(null);
 
-  // Available filter options
-  const [filterOptions, setFilterOptions] = useState({
-    businessLines: [],
-    timeframes: ['all', '3months', '6months', '12months'],
-    capacityStatuses: ['all', 'available', 'at-capacity', 'over-capacity']
-  });
+  // Filters, the expanded card and the view live in the query string so links reopen the same view
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Only a change to a filter value yields a new filters object, not opening a card or switching view
+  const filtersKey = JSON.stringify(readFilters(searchParams));
+  const filters = useMemo(() => JSON.parse(filtersKey), [filtersKey]);
+  const [searchText, setSearchText] = useState(filters.consultantSearch);
+  const expandedConsultant = searchParams.get('expanded');
+  const viewMode = readViewMode(searchParams);
+  const navigate = useNavigate();
+  const { search } = useLocation();
+  const isOverview = Boolean(useMatch('/'));
 
-  const generateMonthlyTimeline = (projects) => {
-    // Generate timeline for next 12 months
-    const months = [];
-    const today = new Date();
+  // Typing in the search box replaces the history entry instead of adding one per keystroke
+  const setFilters = (nextFilters, { replace = false } = {}) => {
+    setSearchParams(updateSearchParams(searchParams, { filters: nextFilters }), { replace });
+  };
+  const setExpandedConsultant = (name) => setSearchParams(updateSearchParams(searchParams, { expanded: name }));
 
-    for (let i = 0; i < 12; i++) {
-      const month = new Date(today.getFullYear(), today.getMonth() + i, 1);
-      months.push(month);
+  // The search box updates at once; the URL and the filtered list follow when typing pauses
+  useEffect(() => {
+    if (searchText === filters.consultantSearch) {
+      return undefined;
     }
+    const timer = setTimeout(() => {
+      setSearchParams(
+        current => updateSearchParams(current, { filters: { consultantSearch: searchText } }),
+        { replace: true }
+      );
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchText, filters.consultantSearch, setSearchParams]);
+
+  // Back/forward navigation or a cleared filter changes the search from outside the box
+  useEffect(() => {
+    setSearchText(filters.consultantSearch);
+  }, [filters.consultantSearch]);
+  const setViewMode = (view) => setSearchParams(updateSearchParams(searchParams, { view }));
+
+  const [timelineOptions, setTimelineOptions] = useState(DEFAULT_TIMELINE_OPTIONS);
+  const [stackLayers, setStackLayers] = useState(false);
+
+  const settings = presetStore.presets[presetStore.activePreset];
+
+  useEffect(() => {
+    savePresetStore(presetStore);
+  }, [presetStore]);
+
+  useEffect(() => {
+    saveImportProfiles(importProfiles);
+  }, [importProfiles]);
+
+  useEffect(() => {
+    saveAliasStore(aliasStore);
+  }, [aliasStore]);
+
+  useEffect(() => {
+    saveScenarios(scenarios);
+  }, [scenarios]);
+
+  useEffect(() => {
+    saveTimeOff(timeOff);
+  }, [timeOff]);
+
+  useEffect(() => {
+    saveRoster(roster);
+  }, [roster]);
+
+  useEffect(() => {
+    saveTimesheet(timesheet);
+  }, [timesheet]);
 
-    return months.map(month => {
-      const activeProjects = projects.filter(project => {
-        const startDate = new Date(project.startDate);
-        const endDate = new Date(project.endDate);
-        return (!isNaN(startDate) && !isNaN(endDate)) &&
-          (month >= startDate && month <= endDate);
+  useEffect(() => {
+    saveHubSpotConfig(hubspotConfig);
+  }, [hubspotConfig]);
+
+  useEffect(() => () => {
+    parseRunner.dispose();
+    computeRunner.dispose();
+    filterRunner.dispose();
+  }, [parseRunner, computeRunner, filterRunner]);
+
+  const updateProgress = useCallback((task, value) => setProgress(current => ({ ...current, [task]: value })), []);
+
+  // Restore the most recent upload unless a file was picked while the snapshots were loading.
+  // startupSync then holds what the sync on open fetches changes since.
+  const [startupSync, setStartupSync] = useState(null);
+  useEffect(() => {
+    let restoredDataset = null;
+    listSnapshots()
+      .then(list => {
+        setSnapshots(list);
+        return list.length ? loadSnapshot(list[0].id) : null;
+      })
+      .then(restored => {
+        if (restored && !hasImported.current) {
+          const { snapshot, ...rest } = restored;
+          restoredDataset = rest;
+          setDataset(restoredDataset);
+          setActiveSnapshotId(snapshot.id);
+        }
+      })
+      .catch(err => console.warn('Snapshots unavailable:', err.message))
+      .finally(() => {
+        setIsLoading(false);
+        setStartupSync({ previous: restoredDataset });
       });
+  }, []);
 
-      const weightedLoad = activeProjects.reduce((total, project) =>
-        total + (ROLE_WEIGHTS[project.role] || 0), 0);
-
-      return {
-        month: month.toLocaleString('default', { month: 'short', year: '2-digit' }),
-        projects: activeProjects.length,
-        weightedLoad: parseFloat(weightedLoad.toFixed(1)),
-        capacity: Math.max(0, MAX_RECOMMENDED_LOAD - weightedLoad),
-        details: activeProjects.map(p => ({
-          name: p.projectName,
-          role: p.role,
-          businessLine: p.businessLine
-        }))
-      };
-    });
-  };
+  const aliasLookup = useMemo(() => buildAliasLookup(aliasStore.aliases), [aliasStore.aliases]);
+  const buildOptions = useMemo(
+    () => ({ aliasLookup, timelineOptions, absences: timeOff, roster: roster ? roster.members : [], timesheet }),
+    [aliasLookup, timelineOptions, timeOff, roster, timesheet]
+  );
 
-  const processData = (parsedData) => {
-    try {
-      const splitConsultants = (str) => str ? str.split(';').map(s => s.trim()).filter(Boolean) : [];
-
-      // Process consultant projects
-      const projectsByConsultant = {};
-      parsedData.data.forEach(project => {
-        const processRole = (names, role) => {
-          splitConsultants(names).forEach(name => {
-            if (!projectsByConsultant[name]) {
-              projectsByConsultant[name] = [];
-            }
-            projectsByConsultant[name].push({
-              projectName: project['Deal Name'],
-              role: role,
-              startDate: project['Contract Start Date'],
-              endDate: project['Contract End Date'],
-              businessLine: project['Primary Business Line']
-            });
-          });
-        };
-
-        processRole(project['Project Lead'], 'Lead');
-        processRole(project['Project Co-Lead'], 'Co-Lead');
-        processRole(project['Project Strategic Advisors'], 'Strategic Advisor');
-        processRole(project['Project Supporting Consultants'], 'Supporting');
+  const deals = useMemo(
+    () => (dataset ? mapRowsToDeals(dataset.rows, dataset.mapping) : []),
+    [dataset]
+  );
+
+  // Runs a consultant computation in the background and returns its cancel function.
+  // The runner drops whatever it was computing before.
+  const computeInBackground = useCallback((runner, task, label, taskDeals, onResult, options = buildOptions) => {
+    const run = runner.run('compute', { deals: taskDeals, settings, options }, {
+      onProgress: (done, total) => updateProgress(task, { label, done, total })
+    });
+    updateProgress(task, { label, done: 0, total: 0 });
+    run.promise
+      .then(result => {
+        onResult(result);
+        setProcessingError(null);
+        updateProgress(task, null);
+      })
+      .catch(err => {
+        if (!isCancelled(err)) {
+          onResult([]);
+          setProcessingError('Error processing data: ' + err.message);
+          updateProgress(task, null);
+        }
       });
+    return run.cancel;
+  }, [settings, buildOptions, updateProgress]);
 
-      // Generate timeline data for each consultant
-      const consultantsWithTimeline = Object.entries(projectsByConsultant)
-        .map(([name, projects]) => ({
-          name,
-          projects: _.uniqBy(projects, 'projectName'),
-          timeline: generateMonthlyTimeline(projects),
-          currentLoad: projects.filter(p => {
-            const now = new Date();
-            const startDate = new Date(p.startDate);
-            const endDate = new Date(p.endDate);
-            return (!isNaN(startDate) && !isNaN(endDate)) &&
-              (now >= startDate && now <= endDate);
-          }).length
-        }))
-        .sort((a, b) => b.currentLoad - a.currentLoad);
-
-      setConsultantData(consultantsWithTimeline);
-      setFilteredData(consultantsWithTimeline);
-
-      // Update business line options
-      const businessLines = _.uniq(
-        parsedData.data
-          .map(project => project['Primary Business Line'])
-          .filter(Boolean)
-      );
-      setFilterOptions(prev => ({
-        ...prev,
-        businessLines
-      }));
-    } catch (err) {
-      setError('Error processing data: ' + err.message);
-      setIsLoading(false);
+  // Consultants are derived from the deals so preset changes recompute everything
+  useEffect(() => {
+    const inputs = { deals, settings, buildOptions };
+    if (deals.length === 0) {
+      setConsultantData([]);
+      setComputedFrom(inputs);
+      setProcessingError(null);
+      return undefined;
+    }
+    return computeInBackground(computeRunner, 'compute', 'Computing timelines', deals, result => {
+      setConsultantData(result);
+      setComputedFrom(inputs);
+    });
+  }, [deals, settings, buildOptions, computeRunner, computeInBackground]);
+
+  // Project filters narrow the deals before any load is computed, so the filtered team gets timelines,
+  // badges and statuses of its own. Typing a search doesn't recompute them.
+  const deferredFilters = useDeferredValue(filters);
+  const dealFiltersKey = JSON.stringify(_.pick(deferredFilters, DEAL_FILTER_KEYS));
+  const filteredDeals = useMemo(
+    () => filterDeals(deals, JSON.parse(dealFiltersKey)),
+    [deals, dealFiltersKey]
+  );
+
+  useEffect(() => {
+    if (filteredDeals === deals) {
+      setFilteredConsultants(null);
+      return undefined;
+    }
+    const options = { ...buildOptions, idleBusinessLines: getIdleBusinessLines(JSON.parse(dealFiltersKey)) };
+    return computeInBackground(filterRunner, 'filter', 'Applying filters', filteredDeals, setFilteredConsultants, options);
+  }, [deals, filteredDeals, dealFiltersKey, buildOptions, filterRunner, computeInBackground]);
+
+  const cancelTask = (task) => {
+    runners[task].cancel();
+    if (task === 'compute') {
+      // The figures stay as they were, but the computation counts as over
+      setComputedFrom({ deals, settings, buildOptions });
     }
+    updateProgress(task, null);
+    setIsLoading(false);
+    setError(task === 'parse' ? 'Upload cancelled' : 'Timeline computation cancelled; the figures shown may be out of date');
   };
 
+  const isComputing = Boolean(progress.compute) || !computedFrom || computedFrom.deals !== deals ||
+    computedFrom.settings !== settings || computedFrom.buildOptions !== buildOptions;
+
+  const importIssues = useMemo(() => analyzeDeals(deals, settings), [deals, settings]);
+
+  // Available filter options
+  const filterOptions = useMemo(() => ({
+    businessLines: getBusinessLines(deals),
+    roles: _.uniq([
+      ...Object.keys(settings.roleWeights),
+      ...deals.flatMap(deal => deal.staffing.map(({ role }) => role))
+    ]),
+    timeframes: ['all', '3months', '6months', '12months'],
+    capacityStatuses: ['all', ...CAPACITY_STATUSES],
+    statusPeriods: getStatusPeriodOptions(timelineOptions, settings.fiscalCalendar),
+    seniorities: getRosterValues(roster ? roster.members : [], 'seniority'),
+    homeLines: getRosterValues(roster ? roster.members : [], 'businessLine'),
+    skills: getRosterValues(roster ? roster.members : [], 'skills')
+  }), [deals, settings.roleWeights, settings.fiscalCalendar, timelineOptions, roster]);
+
   const handleFileUpload = (event) => {
-    setIsLoading(true);
     setError(null);
     const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
 
-    if (file) {
-      Papa.parse(file, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          processData(results);
-          setIsLoading(false);
-        },
-        error: (error) => {
-          setError('Error parsing CSV: ' + error.message);
+    setIsLoading(true);
+    const label = `Parsing ${file.name}`;
+    updateProgress('parse', { label, done: 0, total: file.size });
+    parseRunner.run('parse', { file }, {
+      onProgress: (done, total) => updateProgress('parse', { label, done, total })
+    }).promise
+      .then(({ headers, rows }) => {
+        importParsed({ fileName: file.name, headers, rows, source: null });
+        setIsLoading(false);
+        updateProgress('parse', null);
+      })
+      .catch(err => {
+        if (!isCancelled(err)) {
+          setError('Error parsing CSV: ' + err.message);
           setIsLoading(false);
+          updateProgress('parse', null);
         }
       });
+  };
+
+  // Every applied import is kept as a snapshot so it survives a refresh
+  const applyDataset = useCallback((nextDataset) => {
+    hasImported.current = true;
+    setDataset(nextDataset);
+    setPendingImport(null);
+    setActiveSnapshotId(null);
+    saveSnapshot(nextDataset)
+      .then(snapshot => {
+        setSnapshots(list => [snapshot, ...list]);
+        setActiveSnapshotId(snapshot.id);
+      })
+      .catch(err => setError('Error saving snapshot: ' + err.message));
+  }, []);
+
+  // Known layouts import straight away; anything else goes through the mapping step
+  const importParsed = useCallback((parsed) => {
+    const profileName = findMatchingProfile(importProfiles, parsed.headers);
+    if (profileName) {
+      applyDataset({ ...parsed, mapping: importProfiles[profileName], profileName });
     } else {
-      setIsLoading(false);
+      setPendingImport({ ...parsed, mapping: detectMapping(parsed.headers), profileName: null });
+    }
+  }, [importProfiles, applyDataset]);
+
+  // Fetches only the deals changed since `previous` when it is an earlier sync, else every deal,
+  // and imports them like an uploaded file
+  const syncFromHubSpot = useCallback((previous) => {
+    setError(null);
+    let client;
+    try {
+      client = createHubSpotClient({ token: loadHubSpotToken(), baseUrl: hubspotConfig.baseUrl });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    const controller = new AbortController();
+    syncController.current = controller;
+    const label = 'Syncing deals from HubSpot';
+    updateProgress('sync', { label, done: 0, total: 0 });
+    syncDeals(client, {
+      properties: hubspotConfig.properties,
+      previous,
+      signal: controller.signal,
+      onProgress: (done, total) => updateProgress('sync', { label: `${label} · ${done} fetched`, done, total: total || 0 })
+    })
+      .then(synced => {
+        hasImported.current = true;
+        importParsed(synced);
+        setHubspotConfig(config => ({ ...config, lastSyncedAt: synced.source.syncedAt }));
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') {
+          setError('Error syncing HubSpot: ' + err.message);
+        }
+      })
+      .finally(() => {
+        syncController.current = null;
+        updateProgress('sync', null);
+      });
+  }, [hubspotConfig.baseUrl, hubspotConfig.properties, updateProgress, importParsed]);
+
+  // Pulls the HubSpot changes since the restored upload when the sync is set to run on open
+  useEffect(() => {
+    if (!startupSync) {
+      return;
     }
+    setStartupSync(null);
+    if (hubspotConfig.autoSync && loadHubSpotToken() && !hasImported.current) {
+      syncFromHubSpot(startupSync.previous);
+    }
+  }, [startupSync, hubspotConfig.autoSync, syncFromHubSpot]);
+
+  const cancelSync = () => {
+    syncController.current.abort();
+    setError('HubSpot sync cancelled');
+  };
+
+  const applyMapping = (mapping, profileName) => {
+    const { fileName, headers, rows, source } = pendingImport;
+    applyDataset({ fileName, headers, rows, source, mapping, profileName: profileName || null });
+  };
+
+  const openSnapshot = (id) => {
+    hasImported.current = true;
+    setError(null);
+    loadSnapshot(id)
+      .then(({ snapshot, ...restoredDataset }) => {
+        setDataset(restoredDataset);
+        setPendingImport(null);
+        setActiveSnapshotId(snapshot.id);
+      })
+      .catch(err => setError('Error loading snapshot: ' + err.message));
+  };
+
+  const removeSnapshot = (id) => {
+    deleteSnapshot(id)
+      .then(() => {
+        setSnapshots(list => list.filter(snapshot => snapshot.id !== id));
+        if (id === activeSnapshotId) {
+          setActiveSnapshotId(null);
+        }
+      })
+      .catch(err => setError('Error deleting snapshot: ' + err.message));
+  };
+
+  const saveImportProfile = (name, mapping) => {
+    setImportProfiles({ ...importProfiles, [name]: mapping });
+  };
+
+  const deleteImportProfile = (name) => {
+    const { [name]: removed, ...remaining } = importProfiles;
+    setImportProfiles(remaining);
   };
 
   const toggleConsultant = (consultantName) => {
     setExpandedConsultant(expandedConsultant === consultantName ? null : consultantName);
   };
 
+  const openConsultant = (consultantName) => {
+    navigate({ pathname: consultantPath(consultantName), search });
+  };
+
   const exportData = (format) => {
-    const exportTimestamp = new Date().toISOString().split('T')[0];
+    const timestamp = exportTimestamp();
 
     switch (format) {
       case 'csv':
-        const csvData = filteredData.flatMap(consultant =>
-          consultant.projects.map(project => ({
-            Consultant: consultant.name,
-            Project: project.projectName,
-            Role: project.role,
-            'Business Line': project.businessLine,
-            'Start Date': project.startDate,
-            'End Date': project.endDate,
-            'Current Load': consultant.timeline[0].weightedLoad,
-            'Available Capacity': MAX_RECOMMENDED_LOAD - consultant.timeline[0].weightedLoad
-          }))
-        );
-
-        const csv = Papa.unparse(csvData);
-        downloadFile(csv, `capacity-report-${exportTimestamp}.csv`, 'text/csv');
+        const csv = buildCsvReport(filteredData, { layer: timelineOptions.layer });
+        downloadFile(csv, `capacity-report-${timestamp}.csv`, 'text/csv');
         break;
 
       case 'excel':
-        const excelData = Papa.unparse(filteredData.flatMap(consultant =>
-          consultant.timeline.map(month => ({
-            Consultant: consultant.name,
-            Month: month.month,
-            'Project Load': month.weightedLoad,
-            'Available Capacity': month.capacity,
-            'Active Projects': month.details.map(p => p.name).join('; ')
-          }))
-        ));
-        downloadFile(excelData, `capacity-report-${exportTimestamp}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        buildCapacityWorkbook(filteredData, settings, { layer: timelineOptions.layer })
+          .then(buffer => downloadFile(buffer, `capacity-report-${timestamp}.xlsx`, XLSX_MIME_TYPE))
+          .catch(err => setError('Error exporting Excel workbook: ' + err.message));
         break;
 
       case 'json':
-        const jsonData = JSON.stringify(filteredData, null, 2);
-        downloadFile(jsonData, `capacity-report-${exportTimestamp}.json`, 'application/json');
+        const jsonData = buildJsonReport(filteredData);
+        downloadFile(jsonData, `capacity-report-${timestamp}.json`, 'application/json');
         break;
 
       default:
@@ -209,76 +489,96 @@ const ConsultantCapacityDashboard = () => {
     }
   };
 
-  const downloadFile = (content, filename, type) => {
-    const blob = new Blob([content], { type });
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    window.URL.revokeObjectURL(url);
-  };
+  // Filtering a large team lags behind typing rather than blocking it
+  const filteredData = useMemo(
+    () => filterConsultants(filteredConsultants || consultantData, deferredFilters),
+    [deferredFilters, filteredConsultants, consultantData]
+  );
 
-  useEffect(() => {
-    const applyFilters = () => {
-      let filtered = [...consultantData];
-
-      // Business Line filter
-      if (filters.businessLine !== 'all') {
-        filtered = filtered.map(consultant => ({
-          ...consultant,
-          projects: consultant.projects.filter(project =>
-            project.businessLine === filters.businessLine
-          )
-        }));
-      }
-
-      // Timeframe filter
-      if (filters.timeframe !== 'all') {
-        const months = parseInt(filters.timeframe);
-        const cutoffDate = new Date();
-        cutoffDate.setMonth(cutoffDate.getMonth() + months);
-
-        filtered = filtered.map(consultant => ({
-          ...consultant,
-          projects: consultant.projects.filter(project => {
-            const endDate = new Date(project.endDate);
-            return endDate <= cutoffDate;
-          })
-        }));
-      }
-
-      // Capacity Status filter
-      if (filters.capacityStatus !== 'all') {
-        filtered = filtered.filter(consultant => {
-          const currentLoad = consultant.timeline[0].weightedLoad;
-          switch (filters.capacityStatus) {
-            case 'available':
-              return currentLoad < MAX_RECOMMENDED_LOAD * 0.8;
-            case 'at-capacity':
-              return currentLoad >= MAX_RECOMMENDED_LOAD * 0.8 && currentLoad <= MAX_RECOMMENDED_LOAD;
-            case 'over-capacity':
-              return currentLoad > MAX_RECOMMENDED_LOAD;
-            default:
-              return true;
-          }
-        });
-      }
-
-      // Consultant Search
-      if (filters.consultantSearch) {
-        filtered = filtered.filter(consultant =>
-          consultant.name.toLowerCase().includes(filters.consultantSearch.toLowerCase())
-        );
-      }
-
-      setFilteredData(filtered);
-    };
-
-    applyFilters();
-  }, [filters, consultantData]);
+  const overview = (
+    <>
+      {consultantData.length > 0 && (
+        <EarlyWarnings
+          deals={filteredDeals}
+          settings={settings}
+          aliasLookup={aliasLookup}
+          absences={timeOff}
+          roster={buildOptions.roster}
+          layer={timelineOptions.layer}
+        />
+      )}
+
+      {consultantData.length > 0 && viewMode === 'heatmap' && (
+        <CapacityHeatmap consultants={filteredData} settings={settings} onOpenConsultant={openConsultant} />
+      )}
+
+      {consultantData.length > 0 && viewMode === 'gantt' && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="text-lg font-semibold mb-2">Team Timeline</h3>
+          <ProjectGantt consultants={filteredData} settings={settings} layer={timelineOptions.layer} team />
+        </div>
+      )}
+
+      {consultantData.length > 0 && viewMode === 'cards' && (
+        <VirtualList
+          items={filteredData}
+          getKey={consultant => consultant.name}
+          scrollToKey={expandedConsultant}
+          renderItem={(consultant) => (
+            <div id={`consultant-${consultant.name}`} className="bg-white rounded-lg shadow">
+              <button
+                onClick={() => toggleConsultant(consultant.name)}
+                className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50"
+              >
+                <div className="flex items-center space-x-4">
+                  <span className="text-lg font-semibold">{consultant.name}</span>
+                  {(consultant.sourceNames.length > 1 || consultant.sourceNames[0] !== consultant.name) && (
+                    <span className="text-xs text-gray-400" title="Source spellings merged into this consultant">
+                      merged from {consultant.sourceNames.join(', ')}
+                    </span>
+                  )}
+                  <StatusBadge status={consultant.status}>{consultant.currentLoad} Active Projects</StatusBadge>
+                  <span className="text-sm text-gray-500">
+                    Load {consultant.currentPeriod.weightedLoad} / {consultant.currentPeriod.maxLoad} · {CAPACITY_STATUS_LABELS[consultant.status]}
+                  </span>
+                  {consultant.currentPeriod.absenceLoad > 0 && (
+                    <span className="inline-flex items-center text-sm text-orange-600">
+                      <CalendarOff className="h-4 w-4 mr-1" />
+                      Away {consultant.currentPeriod.absentDays} {consultant.currentPeriod.absentDays === 1 ? 'day' : 'days'} this period
+                    </span>
+                  )}
+                  <RosterSummary consultant={consultant} hasRoster={Boolean(roster)} />
+                </div>
+                {expandedConsultant === consultant.name ? (
+                  <ChevronUp className="w-5 h-5 text-gray-500" />
+                ) : (
+                  <ChevronDown className="w-5 h-5 text-gray-500" />
+                )}
+              </button>
+
+              {expandedConsultant === consultant.name && (
+                <div className="px-6 pb-6">
+                  <ConsultantDetails
+                    consultant={consultant}
+                    settings={settings}
+                    timelineOptions={timelineOptions}
+                    stackLayers={stackLayers}
+                  />
+                  <Link
+                    to={{ pathname: consultantPath(consultant.name), search }}
+                    className="mt-4 inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Open consultant page
+                    <ArrowRight className="h-4 w-4 ml-1" />
+                  </Link>
+                </div>
+              )}
+            </div>
+          )}
+        />
+      )}
+    </>
+  );
 
   return (
     <div className="p-6 bg-gray-50 min-h-screen">
@@ -287,9 +587,15 @@ const ConsultantCapacityDashboard = () => {
         <div className="w-1/3">
           <label className="flex flex-col items-center justify-center p-6 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer bg-white hover:bg-gray-50">
             <Upload className="w-8 h-8 text-gray-400" />
-            <span className="mt-2 text-sm text-gray-600">Upload Hubspot CSV</span>
+            <span className="mt-2 text-sm text-gray-600">Upload HubSpot or CRM CSV</span>
             <input type="file" className="hidden" accept=".csv" onChange={handleFileUpload} />
           </label>
+          {hubspotConfig.lastSyncedAt && (
+            <p className="mt-2 flex items-center text-xs text-gray-500" title={formatDateTime(hubspotConfig.lastSyncedAt)}>
+              <RefreshCw className="h-3 w-3 mr-1" />
+              HubSpot last synced {describeSyncAge(hubspotConfig.lastSyncedAt)}
+            </p>
+          )}
         </div>
 
         {/* Filter Section */}
@@ -298,17 +604,24 @@ const ConsultantCapacityDashboard = () => {
             <div className="grid grid-cols-2 gap-4">
               {/* Business Line Filter */}
               <div>
-                <label className="block text-sm font-medium text-gray-700">Business Line</label>
-                <select
-                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                  value={filters.businessLine}
-                  onChange={(e) => setFilters({ ...filters, businessLine: e.target.value })}
-                >
-                  <option value="all">All Business Lines</option>
-                  {filterOptions.businessLines.map(line => (
-                    <option key={line} value={line}>{line}</option>
-                  ))}
-                </select>
+                <label className="block text-sm font-medium text-gray-700">Business Lines</label>
+                <MultiSelect
+                  options={filterOptions.businessLines}
+                  selected={filters.businessLines}
+                  onChange={(businessLines) => setFilters({ ...filters, businessLines })}
+                  allLabel="All Business Lines"
+                />
+              </div>
+
+              {/* Role Filter */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Roles</label>
+                <MultiSelect
+                  options={filterOptions.roles}
+                  selected={filters.roles}
+                  onChange={(roles) => setFilters({ ...filters, roles })}
+                  allLabel="All Roles"
+                />
               </div>
 
               {/* Timeframe Filter */}
@@ -329,16 +642,28 @@ const ConsultantCapacityDashboard = () => {
               {/* Capacity Status Filter */}
               <div>
                 <label className="block text-sm font-medium text-gray-700">Capacity Status</label>
-                <select
-                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                  value={filters.capacityStatus}
-                  onChange={(e) => setFilters({ ...filters, capacityStatus: e.target.value })}
-                >
-                  <option value="all">All Statuses</option>
-                  <option value="available">Available Capacity</option>
-                  <option value="at-capacity">At Capacity</option>
-                  <option value="over-capacity">Over Capacity</option>
-                </select>
+                <div className="flex items-center space-x-2">
+                  <select
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    value={filters.capacityStatus}
+                    onChange={(e) => setFilters({ ...filters, capacityStatus: e.target.value })}
+                  >
+                    <option value="all">All Statuses</option>
+                    {CAPACITY_STATUSES.map(status => (
+                      <option key={status} value={status}>{CAPACITY_STATUS_LABELS[status]}</option>
+                    ))}
+                  </select>
+                  <select
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    value={filters.statusPeriod}
+                    onChange={(e) => setFilters({ ...filters, statusPeriod: e.target.value })}
+                    disabled={filters.capacityStatus === 'all'}
+                  >
+                    {filterOptions.statusPeriods.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
 
               {/* Consultant Search */}
@@ -348,14 +673,137 @@ const ConsultantCapacityDashboard = () => {
                   type="text"
                   className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                   placeholder="Search by name..."
-                  value={filters.consultantSearch}
-                  onChange={(e) => setFilters({ ...filters, consultantSearch: e.target.value })}
+                  value={searchText}
+                  onChange={(e) => setSearchText(e.target.value)}
                 />
               </div>
+
+              {/* Out-of-office Window */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Out Between</label>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="date"
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    value={filters.outFrom}
+                    onChange={(e) => setFilters({ ...filters, outFrom: e.target.value })}
+                  />
+                  <span className="text-sm text-gray-500">and</span>
+                  <input
+                    type="date"
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    value={filters.outTo}
+                    onChange={(e) => setFilters({ ...filters, outTo: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              {/* Roster Filters */}
+              {roster && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Seniority</label>
+                    <MultiSelect
+                      options={filterOptions.seniorities}
+                      selected={filters.seniorities}
+                      onChange={(seniorities) => setFilters({ ...filters, seniorities })}
+                      allLabel="Any Seniority"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Home Business Line</label>
+                    <MultiSelect
+                      options={filterOptions.homeLines}
+                      selected={filters.homeLines}
+                      onChange={(homeLines) => setFilters({ ...filters, homeLines })}
+                      allLabel="Any Home Line"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Skills</label>
+                    <MultiSelect
+                      options={filterOptions.skills}
+                      selected={filters.skills}
+                      onChange={(skills) => setFilters({ ...filters, skills })}
+                      allLabel="Any Skills"
+                    />
+                  </div>
+                </>
+              )}
             </div>
 
             {/* Export Options */}
             <div className="mt-4 flex justify-end space-x-2">
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 mr-auto"
+              >
+                <Settings className="h-4 w-4 mr-2" />
+                Settings ({presetStore.activePreset})
+              </button>
+              <button
+                onClick={() => setShowAliases(!showAliases)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Users className="h-4 w-4 mr-2" />
+                Aliases ({aliasStore.aliases.length})
+              </button>
+              <button
+                onClick={() => setShowScenarios(!showScenarios)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <FlaskConical className="h-4 w-4 mr-2" />
+                Scenarios ({scenarios.length})
+              </button>
+              <button
+                onClick={() => setShowStaffing(!showStaffing)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <UserPlus className="h-4 w-4 mr-2" />
+                Staffing
+              </button>
+              <Link
+                to={{ pathname: '/business-lines', search }}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <BarChart3 className="h-4 w-4 mr-2" />
+                Business Lines
+              </Link>
+              <button
+                onClick={() => setShowSnapshots(!showSnapshots)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <History className="h-4 w-4 mr-2" />
+                Snapshots ({snapshots.length})
+              </button>
+              <button
+                onClick={() => setShowTimeOff(!showTimeOff)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <CalendarOff className="h-4 w-4 mr-2" />
+                Time Off ({timeOff.length})
+              </button>
+              <button
+                onClick={() => setShowRoster(!showRoster)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Contact className="h-4 w-4 mr-2" />
+                Roster ({roster ? roster.members.length : 0})
+              </button>
+              <button
+                onClick={() => setShowTimesheets(!showTimesheets)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Clock className="h-4 w-4 mr-2" />
+                Timesheets
+              </button>
+              <button
+                onClick={() => setShowHubSpot(!showHubSpot)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <RefreshCw className="h-4 w-4 mr-2" />
+                HubSpot Sync
+              </button>
               <button
                 onClick={() => exportData('csv')}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
@@ -382,131 +830,296 @@ const ConsultantCapacityDashboard = () => {
         </div>
       </div>
 
-      {/* Display error if any */}
-      {error && (
-        <div className="mb-4 p-4 bg-red-100 text-red-700 rounded">
-          {error}
+      {/* Column Mapping */}
+      {pendingImport && (
+        <div className="mb-8">
+          <ColumnMappingWizard
+            key={`${pendingImport.fileName}-${pendingImport.rows.length}`}
+            fileName={pendingImport.fileName}
+            headers={pendingImport.headers}
+            rows={pendingImport.rows}
+            initialMapping={pendingImport.mapping}
+            initialProfile={pendingImport.profileName}
+            profiles={importProfiles}
+            roles={Object.keys(settings.roleWeights)}
+            onApply={applyMapping}
+            onCancel={() => setPendingImport(null)}
+            onSaveProfile={saveImportProfile}
+            onDeleteProfile={deleteImportProfile}
+          />
         </div>
       )}
 
-      {/* Display loading indicator */}
-      {isLoading && (
-        <div className="mb-4 p-4 bg-blue-100 text-blue-700 rounded">
-          Loading data, please wait...
+      {dataset && !pendingImport && (
+        <div className="mb-4 flex items-center justify-between text-sm text-gray-500">
+          <span>
+            {dataset.fileName} · {dataset.rows.length} rows
+            {dataset.profileName ? ` · imported with profile "${dataset.profileName}"` : ' · custom mapping'}
+          </span>
+          <button
+            onClick={() => setPendingImport(dataset)}
+            className="inline-flex items-center text-blue-600 hover:text-blue-800"
+          >
+            <Columns className="h-4 w-4 mr-1" />
+            Change Column Mapping
+          </button>
         </div>
       )}
 
+      {/* Import Diagnostics */}
+      {dataset && !pendingImport && (
+        <ImportReport fileName={dataset.fileName} rows={dataset.rows} issues={importIssues} />
+      )}
+
+      {/* Settings Panel */}
+      {showSettings && (
+        <div className="mb-8">
+          <SettingsPanel presetStore={presetStore} onChange={setPresetStore} />
+        </div>
+      )}
+
+      {/* Consultant Aliases */}
+      {showAliases && (
+        <div className="mb-8">
+          <AliasManager aliasStore={aliasStore} onChange={setAliasStore} consultants={consultantData} />
+        </div>
+      )}
+
+      {/* What-If Scenarios */}
+      {showScenarios && (
+        <div className="mb-8">
+          <ScenarioPlanner
+            deals={deals}
+            settings={settings}
+            buildOptions={buildOptions}
+            baselineConsultants={consultantData}
+            scenarios={scenarios}
+            onScenariosChange={setScenarios}
+          />
+        </div>
+      )}
+
+      {/* Staffing Recommendations */}
+      {showStaffing && (
+        <div className="mb-8">
+          <StaffingRecommender
+            deals={deals}
+            settings={settings}
+            aliasLookup={aliasLookup}
+            absences={timeOff}
+            roster={buildOptions.roster}
+            businessLines={filterOptions.businessLines}
+          />
+        </div>
+      )}
+
+      {/* Snapshots */}
+      {showSnapshots && (
+        <div className="mb-8">
+          <SnapshotManager
+            snapshots={snapshots}
+            activeSnapshotId={activeSnapshotId}
+            settings={settings}
+            aliasLookup={aliasLookup}
+            timelineOptions={timelineOptions}
+            onLoad={openSnapshot}
+            onDelete={removeSnapshot}
+          />
+        </div>
+      )}
+
+      {/* Time Off */}
+      {showTimeOff && (
+        <div className="mb-8">
+          <TimeOffManager
+            entries={timeOff}
+            onChange={setTimeOff}
+            consultants={consultantData}
+            aliasLookup={aliasLookup}
+          />
+        </div>
+      )}
+
+      {/* Roster */}
+      {showRoster && (
+        <div className="mb-8">
+          <RosterManager roster={roster} onChange={setRoster} consultants={consultantData} />
+        </div>
+      )}
+
+      {/* Timesheets */}
+      {showTimesheets && (
+        <div className="mb-8">
+          <TimesheetManager
+            timesheet={timesheet}
+            onChange={setTimesheet}
+            consultants={consultantData}
+            deals={deals}
+            aliasLookup={aliasLookup}
+            settings={settings}
+            onShowPeriods={(startDate) => setTimelineOptions({ ...timelineOptions, startDate })}
+            onApplyWeights={(roleWeights) => setPresetStore({
+              ...presetStore,
+              presets: { ...presetStore.presets, [presetStore.activePreset]: { ...settings, roleWeights } }
+            })}
+          />
+        </div>
+      )}
+
+      {/* HubSpot */}
+      {showHubSpot && (
+        <div className="mb-8">
+          <HubSpotSync
+            config={hubspotConfig}
+            onChange={setHubspotConfig}
+            lastSync={dataset && dataset.source && dataset.source.type === HUBSPOT_SOURCE ? dataset.source : null}
+            isSyncing={Boolean(progress.sync)}
+            onSync={(full) => syncFromHubSpot(full ? null : dataset)}
+          />
+        </div>
+      )}
+
+      {/* Display error if any */}
+      {(error || processingError) && (
+        <div className="mb-4 p-4 bg-red-100 text-red-700 rounded">
+          {error || processingError}
+        </div>
+      )}
+
+      {/* Background task progress */}
+      {isLoading && !progress.parse && <TaskProgress label="Restoring the last import" done={0} total={0} />}
+      {Object.keys(runners).filter(task => progress[task]).map(task => (
+        <TaskProgress key={task} {...progress[task]} onCancel={() => cancelTask(task)} />
+      ))}
+      {progress.sync && <TaskProgress {...progress.sync} onCancel={cancelSync} />}
+
       {consultantData.length > 0 && (
-        <div className="space-y-6">
-          {filteredData.map((consultant) => (
-            <div key={consultant.name} className="bg-white rounded-lg shadow">
+        <div className="mb-4 flex items-end space-x-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Timeline Granularity</label>
+            <select
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              value={timelineOptions.granularity}
+              onChange={(e) => setTimelineOptions({ ...timelineOptions, granularity: e.target.value })}
+            >
+              {Object.entries(GRANULARITIES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Timeline Start</label>
+            <input
+              type="date"
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              value={timelineOptions.startDate || ''}
+              onChange={(e) => setTimelineOptions({ ...timelineOptions, startDate: e.target.value || null })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Horizon ({GRANULARITIES[timelineOptions.granularity].unit}s)
+            </label>
+            <NumberField
+              step="1"
+              min="1"
+              max="104"
+              className="mt-1 block w-24 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              value={timelineOptions.horizon}
+              onChange={(value) => setTimelineOptions({ ...timelineOptions, horizon: Math.round(value) })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Forecast Layer</label>
+            <select
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              value={timelineOptions.layer}
+              onChange={(e) => setTimelineOptions({ ...timelineOptions, layer: e.target.value })}
+              title={FORECAST_LAYERS[timelineOptions.layer].description}
+            >
+              {Object.entries(FORECAST_LAYERS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center space-x-2 pb-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300"
+              checked={stackLayers}
+              onChange={(e) => setStackLayers(e.target.checked)}
+            />
+            <span>Stack layers in charts</span>
+          </label>
+          {isOverview && (
+            <div className="ml-auto inline-flex rounded-md shadow-sm">
               <button
-                onClick={() => toggleConsultant(consultant.name)}
-                className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50"
+                onClick={() => setViewMode('cards')}
+                className={`inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-l-md ${
+                  viewMode === 'cards' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
               >
-                <div className="flex items-center space-x-4">
-                  <span className="text-lg font-semibold">{consultant.name}</span>
-                  <span className={`px-3 py-1 rounded-full text-sm ${
-                    consultant.currentLoad >= MAX_RECOMMENDED_LOAD
-                      ? 'bg-red-100 text-red-800'
-                      : 'bg-green-100 text-green-800'
-                  }`}>
-                    {consultant.currentLoad} Active Projects
-                  </span>
-                </div>
-                {expandedConsultant === consultant.name ? (
-                  <ChevronUp className="w-5 h-5 text-gray-500" />
-                ) : (
-                  <ChevronDown className="w-5 h-5 text-gray-500" />
-                )}
+                <LayoutList className="h-4 w-4 mr-2" />
+                Consultants
+              </button>
+              <button
+                onClick={() => setViewMode('heatmap')}
+                className={`inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 text-sm leading-4 font-medium ${
+                  viewMode === 'heatmap' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <Grid3x3 className="h-4 w-4 mr-2" />
+                Heatmap
+              </button>
+              <button
+                onClick={() => setViewMode('gantt')}
+                className={`inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 text-sm leading-4 font-medium rounded-r-md ${
+                  viewMode === 'gantt' ? 'bg-blue-50 text-blue-700' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <GanttChart className="h-4 w-4 mr-2" />
+                Timeline
               </button>
-
-              {expandedConsultant === consultant.name && (
-                <div className="px-6 pb-6">
-                  <div className="mt-4">
-                    <h4 className="text-sm font-medium text-gray-500 mb-2">12-Month Capacity Timeline</h4>
-                    <div className="h-64">
-                      <ResponsiveContainer width="100%" height="100%">
-                        <BarChart
-                          data={consultant.timeline}
-                          margin={{ top: 20, right: 30, left: 20, bottom: 5 }}
-                        >
-                          <CartesianGrid strokeDasharray="3 3" />
-                          <XAxis dataKey="month" />
-                          <YAxis />
-                          <Tooltip
-                            content={({ active, payload, label }) => {
-                              if (active && payload && payload.length) {
-                                const data = payload[0].payload;
-                                return (
-                                  <div className="bg-white p-4 shadow rounded border">
-                                    <p className="font-semibold">{label}</p>
-                                    <p className="text-sm">Weighted Load: {data.weightedLoad}</p>
-                                    <p className="text-sm text-green-600">Available Capacity: {data.capacity}</p>
-                                    <div className="mt-2">
-                                      <p className="text-xs font-semibold">Active Projects:</p>
-                                      {data.details.map((project, idx) => (
-                                        <p key={idx} className="text-xs">
-                                          {project.name} ({project.role})
-                                        </p>
-                                      ))}
-                                    </div>
-                                  </div>
-                                );
-                              }
-                              return null;
-                            }}
-                          />
-                          <Legend />
-                          <Bar dataKey="weightedLoad" fill="#8884d8" name="Project Load" />
-                          <Bar dataKey="capacity" fill="#82ca9d" name="Available Capacity" />
-                        </BarChart>
-                      </ResponsiveContainer>
-                    </div>
-                  </div>
-
-                  <div className="mt-6">
-                    <h4 className="text-sm font-medium text-gray-500 mb-2">Current Projects</h4>
-                    <div className="overflow-x-auto">
-                      <table className="min-w-full">
-                        <thead className="bg-gray-50">
-                          <tr>
-                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Project</th>
-                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
-                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Business Line</th>
-                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Timeline</th>
-                          </tr>
-                        </thead>
-                        <tbody className="divide-y divide-gray-200">
-                          {consultant.projects.map((project, idx) => (
-                            <tr key={idx} className="hover:bg-gray-50">
-                              <td className="px-4 py-3 text-sm text-gray-900">{project.projectName}</td>
-                              <td className="px-4 py-3 text-sm">
-                                <span className={`px-2 py-1 rounded-full text-xs ${
-                                  project.role === 'Lead' ? 'bg-green-100 text-green-800' :
-                                  project.role === 'Co-Lead' ? 'bg-blue-100 text-blue-800' :
-                                  project.role === 'Strategic Advisor' ? 'bg-yellow-100 text-yellow-800' :
-                                  'bg-gray-100 text-gray-800'
-                                }`}>
-                                  {project.role}
-                                </span>
-                              </td>
-                              <td className="px-4 py-3 text-sm text-gray-500">{project.businessLine}</td>
-                              <td className="px-4 py-3 text-sm text-gray-500">
-                                {project.startDate} - {project.endDate}
-                              </td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    </div>
-                  </div>
-                </div>
-              )}
             </div>
-          ))}
+          )}
         </div>
       )}
+
+      <Routes>
+        <Route index element={overview} />
+        <Route
+          path="consultants/:name"
+          element={(
+            <ConsultantPage
+              consultants={consultantData}
+              settings={settings}
+              timelineOptions={timelineOptions}
+              stackLayers={stackLayers}
+              hasRoster={Boolean(roster)}
+              hasData={Boolean(dataset)}
+              isLoading={isLoading || (Boolean(dataset) && isComputing)}
+            />
+          )}
+        />
+        <Route
+          path="business-lines"
+          element={(
+            <BusinessLineDashboard
+              deals={deals}
+              settings={settings}
+              aliasLookup={aliasLookup}
+              timelineOptions={timelineOptions}
+              hasData={Boolean(dataset)}
+              isLoading={isLoading || Boolean(progress.compute)}
+            />
+          )}
+        />
+        <Route
+          path="business-lines/:line"
+          element={<BusinessLinePage deals={deals} consultants={consultantData} hasData={Boolean(dataset)} isLoading={isLoading || Boolean(progress.compute)} />}
+        />
+        <Route path="*" element={<NotFound />} />
+      </Routes>
     </div>
   );
 };
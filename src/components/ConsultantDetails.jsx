@@ -0,0 +1,87 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import CapacityTimelineChart from './CapacityTimelineChart';
+import ProjectGantt from './ProjectGantt';
+import { GRANULARITIES } from '../utils/capacity';
+import { businessLinePath } from '../utils/filterParams';
+import { formatDateRange } from '../utils/dates';
+
+const roleClassName = (role) => (
+  role === 'Lead' ? 'bg-green-100 text-green-800' :
+  role === 'Co-Lead' ? 'bg-blue-100 text-blue-800' :
+  role === 'Strategic Advisor' ? 'bg-yellow-100 text-yellow-800' :
+  'bg-gray-100 text-gray-800'
+);
+
+// Timeline chart and project list shown for an expanded card and on the consultant page
+const formatStage = (project) => {
+  const probability = `${Math.round(project.probability * 100)}%`;
+  if (project.dealStage) {
+    return `${project.dealStage} (${probability})`;
+  }
+  return project.probability < 1 ? probability : 'Committed';
+};
+
+const ConsultantDetails = ({ consultant, settings, timelineOptions, stackLayers }) => {
+  const { search } = useLocation();
+
+  return (
+    <>
+      <div className="mt-4">
+        <h4 className="text-sm font-medium text-gray-500 mb-2">
+          {timelineOptions.horizon}-{GRANULARITIES[timelineOptions.granularity].unit} Capacity Timeline
+        </h4>
+        <CapacityTimelineChart timeline={consultant.timeline} stackLayers={stackLayers} />
+      </div>
+
+      <div className="mt-6">
+        <h4 className="text-sm font-medium text-gray-500 mb-2">Project Timeline</h4>
+        <ProjectGantt consultants={[consultant]} settings={settings} layer={timelineOptions.layer} />
+      </div>
+
+      <div className="mt-6">
+        <h4 className="text-sm font-medium text-gray-500 mb-2">Current Projects</h4>
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Project</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Business Line</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Timeline</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stage</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {consultant.projects.map((project, idx) => (
+                <tr key={idx} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm text-gray-900">{project.projectName}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs ${roleClassName(project.role)}`}>
+                      {project.role}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {project.businessLine ? (
+                      <Link to={{ pathname: businessLinePath(project.businessLine), search }} className="text-blue-600 hover:text-blue-800">
+                        {project.businessLine}
+                      </Link>
+                    ) : '—'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {formatDateRange(project.startDate, project.endDate)}
+                  </td>
+                  <td className={`px-4 py-3 text-sm ${project.probability < 1 ? 'text-yellow-700' : 'text-gray-500'}`}>
+                    {formatStage(project)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ConsultantDetails;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import ConsultantDetails from './ConsultantDetails';
+import NotFound from './NotFound';
+import StatusBadge from './StatusBadge';
+import RosterSummary from './RosterSummary';
+import { CAPACITY_STATUS_LABELS } from '../utils/capacity';
+
+const ConsultantPage = ({ consultants, settings, timelineOptions, stackLayers, hasRoster, hasData, isLoading }) => {
+  const { name } = useParams();
+  const { search } = useLocation();
+
+  // Until the timelines are computed the list may be empty or from the previous data, so a missing
+  // name doesn't mean anything yet
+  if (isLoading) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-lg font-semibold">{name}</h2>
+        <p className="mt-2 text-sm text-gray-500">Loading timelines…</p>
+      </div>
+    );
+  }
+
+  if (!hasData) {
+    return (
+      <NotFound title={name}>
+        Upload a CSV or load a snapshot to see this consultant.
+      </NotFound>
+    );
+  }
+
+  const consultant = consultants.find(c => c.name === name);
+  if (!consultant) {
+    return (
+      <NotFound title="Consultant not found">
+        Nobody called <span className="font-medium text-gray-700">{name}</span> is staffed in the current dataset.
+        They may have been renamed, merged into another name, or removed from the pipeline.
+      </NotFound>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <Link to={{ pathname: '/', search }} className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Team overview
+      </Link>
+      <div className="mt-4 flex items-center space-x-4">
+        <h2 className="text-2xl font-semibold">{consultant.name}</h2>
+        <StatusBadge status={consultant.status}>{consultant.currentLoad} Active Projects</StatusBadge>
+        <span className="text-sm text-gray-500">
+          Load {consultant.currentPeriod.weightedLoad} / {consultant.currentPeriod.maxLoad} · {CAPACITY_STATUS_LABELS[consultant.status]}
+        </span>
+      </div>
+      {(consultant.sourceNames.length > 1 || consultant.sourceNames[0] !== consultant.name) && (
+        <p className="mt-1 text-xs text-gray-400">merged from {consultant.sourceNames.join(', ')}</p>
+      )}
+      <div className="mt-1">
+        <RosterSummary consultant={consultant} hasRoster={hasRoster} />
+      </div>
+      <ConsultantDetails
+        consultant={consultant}
+        settings={settings}
+        timelineOptions={timelineOptions}
+        stackLayers={stackLayers}
+      />
+    </div>
+  );
+};
+
+export default ConsultantPage;
@@ -0,0 +1,149 @@
+import React, { useState, useMemo } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { AlertTriangle, ChevronDown, ChevronUp, FileText, TrendingDown, UserX } from 'lucide-react';
+import {
+  DEFAULT_WARNING_MONTHS, WARNING_WINDOWS, countWarnings, formatWarningsDigest
+} from '../utils/earlyWarnings';
+import { consultantPath } from '../utils/filterParams';
+import { downloadFile, exportTimestamp } from '../utils/download';
+import { formatDate } from '../utils/dates';
+import useBackgroundTask from '../workers/useBackgroundTask';
+
+const NO_WARNINGS = { overloads: [], benchCliffs: [], missingFollowOns: [] };
+
+const WarningList = ({ icon: Icon, iconClassName, title, emptyText, items, renderItem }) => (
+  <div>
+    <h4 className="flex items-center text-sm font-medium text-gray-700">
+      <Icon className={`h-4 w-4 mr-2 ${iconClassName}`} />
+      {title} ({items.length})
+    </h4>
+    {items.length === 0 ? (
+      <p className="mt-2 text-sm text-gray-400">{emptyText}</p>
+    ) : (
+      <ul className="mt-2 space-y-2 max-h-64 overflow-y-auto">
+        {items.map(renderItem)}
+      </ul>
+    )}
+  </div>
+);
+
+const EarlyWarnings = ({ deals, settings, aliasLookup, absences, roster, layer }) => {
+  const { search } = useLocation();
+  const [months, setMonths] = useState(DEFAULT_WARNING_MONTHS);
+  const [isOpen, setIsOpen] = useState(true);
+
+  // Worked out in the background; the previous warnings stay up until the new ones arrive
+  const payload = useMemo(
+    () => ({ deals, settings, options: { aliasLookup, absences, roster, layer, months } }),
+    [deals, settings, aliasLookup, absences, roster, layer, months]
+  );
+  const { result, error, progress } = useBackgroundTask('earlyWarnings', payload, 'Checking for early warnings');
+  const warnings = result || NO_WARNINGS;
+  const total = countWarnings(warnings);
+
+  const consultantLink = (name) => (
+    <Link to={{ pathname: consultantPath(name), search }} className="font-medium text-blue-600 hover:text-blue-800">
+      {name}
+    </Link>
+  );
+
+  const exportDigest = () => {
+    const digest = formatWarningsDigest(warnings, { months, layer, baseUrl: window.location.origin });
+    downloadFile(digest, `staffing-warnings-${exportTimestamp()}.md`, 'text/markdown');
+  };
+
+  return (
+    <div className="mb-6 bg-white rounded-lg shadow">
+      <div className="px-6 py-4 flex items-center justify-between">
+        <button onClick={() => setIsOpen(!isOpen)} className="flex items-center space-x-3">
+          <AlertTriangle className={`h-5 w-5 ${total > 0 ? 'text-yellow-500' : 'text-gray-300'}`} />
+          <span className="text-lg font-semibold">Early Warnings</span>
+          <span className="text-sm text-gray-500">
+            {progress && !result ? 'Checking' : total} in the next {months} month{months === 1 ? '' : 's'}
+            {progress && result && ' · updating'}
+          </span>
+          {isOpen ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+        </button>
+        <div className="flex items-center space-x-2">
+          <select
+            className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm"
+            value={months}
+            onChange={(e) => setMonths(Number(e.target.value))}
+          >
+            {WARNING_WINDOWS.map(value => (
+              <option key={value} value={value}>Next {value} month{value === 1 ? '' : 's'}</option>
+            ))}
+          </select>
+          <button
+            onClick={exportDigest}
+            disabled={!result}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FileText className="h-4 w-4 mr-2" />
+            Export Digest
+          </button>
+        </div>
+      </div>
+
+      {isOpen && error && (
+        <div className="mx-6 mb-6 p-2 bg-red-100 text-red-700 rounded text-sm">
+          Error checking for early warnings: {error}
+        </div>
+      )}
+
+      {isOpen && (
+        <div className="px-6 pb-6 grid grid-cols-3 gap-6">
+          <WarningList
+            icon={AlertTriangle}
+            iconClassName="text-red-500"
+            title="Over Capacity"
+            emptyText="Nobody goes over capacity."
+            items={warnings.overloads}
+            renderItem={(w) => (
+              <li key={w.consultant} className="text-sm text-gray-700">
+                {consultantLink(w.consultant)}: {w.load} / {w.limit} in {w.period}
+                {w.otherPeriods.length > 0 && <span className="text-gray-500"> (also {w.otherPeriods.join(', ')})</span>}
+                <div className="text-xs text-gray-500">
+                  {w.deals.map(d => `${d.name} (${d.role})`).join(', ')}
+                </div>
+              </li>
+            )}
+          />
+          <WarningList
+            icon={TrendingDown}
+            iconClassName="text-blue-500"
+            title="Bench Cliffs"
+            emptyText="No one runs out of work."
+            items={warnings.benchCliffs}
+            renderItem={(w) => (
+              <li key={w.consultant} className="text-sm text-gray-700">
+                {consultantLink(w.consultant)}: {w.loadBefore} → {w.loadAfter} on {w.date}
+                <div className="text-xs text-gray-500">
+                  After {w.endingDeals.join(', ')}
+                  {w.nextStart ? ` · next work starts ${w.nextStart}` : ' · nothing lined up'}
+                </div>
+              </li>
+            )}
+          />
+          <WarningList
+            icon={UserX}
+            iconClassName="text-orange-500"
+            title="No Follow-on for Lead"
+            emptyText="Every ending deal's Lead has more work lined up."
+            items={warnings.missingFollowOns}
+            renderItem={(w) => (
+              <li key={`${w.dealName}-${w.consultant}`} className="text-sm text-gray-700">
+                <span className="font-medium">{w.dealName}</span> ends {formatDate(w.endDate)}
+                <div className="text-xs text-gray-500">
+                  Lead {consultantLink(w.consultant)} has no work after it
+                </div>
+              </li>
+            )}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EarlyWarnings;
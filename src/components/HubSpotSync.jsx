@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { RefreshCw, CloudDownload } from 'lucide-react';
+import {
+  DEFAULT_HUBSPOT_PROPERTIES, describeSyncAge, isHubSpotTokenRemembered, loadHubSpotToken, parsePropertyList,
+  saveHubSpotToken
+} from '../utils/hubspotSync';
+import { formatDateTime } from '../utils/dates';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+// config: { baseUrl, properties, autoSync, lastSyncedAt }. lastSync is the source of the dataset on
+// screen when it came from HubSpot, which an incremental sync builds on.
+const HubSpotSync = ({ config, onChange, lastSync, isSyncing, onSync }) => {
+  const [token, setToken] = useState(loadHubSpotToken);
+  const [remember, setRemember] = useState(isHubSpotTokenRemembered);
+  const [propertyText, setPropertyText] = useState(config.properties.join(', '));
+
+  const updateToken = (nextToken, nextRemember) => {
+    setToken(nextToken);
+    setRemember(nextRemember);
+    saveHubSpotToken(nextToken, nextRemember);
+  };
+
+  // A cleared list falls back to the defaults
+  const applyProperties = () => {
+    const parsed = parsePropertyList(propertyText);
+    const properties = parsed.length ? parsed : DEFAULT_HUBSPOT_PROPERTIES;
+    onChange({ ...config, properties });
+    setPropertyText(properties.join(', '));
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">HubSpot Sync</h3>
+          <p className="text-sm text-gray-500">
+            Pulls deals straight from the HubSpot CRM with a private app token that has the crm.objects.deals.read scope.
+            Later syncs only fetch deals changed since the last one; a full refresh also drops deals deleted in HubSpot.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => onSync(false)} disabled={!token || isSyncing} className={buttonClassName}>
+            <RefreshCw className={`h-4 w-4 mr-2 ${isSyncing ? 'animate-spin' : ''}`} />
+            {lastSync ? 'Sync Changes' : 'Sync'}
+          </button>
+          <button onClick={() => onSync(true)} disabled={!token || isSyncing} className={buttonClassName}>
+            <CloudDownload className="h-4 w-4 mr-2" />
+            Full Refresh
+          </button>
+        </div>
+      </div>
+
+      <p className="mt-2 text-sm text-gray-700">
+        {config.lastSyncedAt
+          ? `Last synced ${describeSyncAge(config.lastSyncedAt)} (${formatDateTime(config.lastSyncedAt)})`
+          : 'Not synced yet'}
+        {lastSync && ` · ${lastSync.incremental ? `${lastSync.changed} changed deals merged` : `${lastSync.changed} deals`}`}
+      </p>
+
+      <div className="mt-4 grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Private App Token</label>
+          <input
+            type="password"
+            autoComplete="off"
+            value={token}
+            onChange={(e) => updateToken(e.target.value.trim(), remember)}
+            placeholder="pat-eu1-..."
+            className={inputClassName}
+          />
+          <label className="mt-2 flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => updateToken(token, e.target.checked)}
+              className="mr-2 rounded border-gray-300"
+            />
+            Remember on this device (otherwise it's forgotten when the tab closes)
+          </label>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">API Base URL</label>
+          <input
+            type="text"
+            value={config.baseUrl}
+            onChange={(e) => onChange({ ...config, baseUrl: e.target.value })}
+            className={inputClassName}
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            /hubspot is proxied to api.hubapi.com; point it at a mock server to try the sync without a portal.
+          </p>
+        </div>
+        <div className="col-span-2">
+          <label className="block text-sm font-medium text-gray-700">Deal Properties</label>
+          <textarea
+            rows={2}
+            value={propertyText}
+            onChange={(e) => setPropertyText(e.target.value)}
+            onBlur={applyProperties}
+            className={`${inputClassName} font-mono text-sm`}
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Internal property names, separated by commas. The defaults match the built-in "HubSpot API" import profile;
+            other properties go through the column mapping step like an unfamiliar CSV.
+          </p>
+        </div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={config.autoSync}
+            onChange={(e) => onChange({ ...config, autoSync: e.target.checked })}
+            className="mr-2 rounded border-gray-300"
+          />
+          Sync changes when the dashboard opens
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default HubSpotSync;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import Papa from 'papaparse';
+import { AlertTriangle, CheckCircle, Download, ChevronDown, ChevronUp } from 'lucide-react';
+import _ from 'lodash';
+import { ISSUE_TYPES, getProblemRows } from '../utils/importDiagnostics';
+import { downloadFile, exportTimestamp } from '../utils/download';
+
+const ImportReport = ({ fileName, rows, issues }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (issues.length === 0) {
+    return (
+      <div className="mb-4 p-4 bg-green-100 text-green-800 rounded flex items-center">
+        <CheckCircle className="h-4 w-4 mr-2" />
+        All {rows.length} rows imported without problems.
+      </div>
+    );
+  }
+
+  const counts = _.countBy(issues, 'type');
+  const affectedRows = _.uniqBy(issues, 'rowNumber').length;
+
+  const downloadProblemRows = () => {
+    const csv = Papa.unparse(getProblemRows(rows, issues));
+    const baseName = fileName.replace(/\.csv$/i, '');
+    downloadFile(csv, `${baseName}-problem-rows-${exportTimestamp()}.csv`, 'text/csv');
+  };
+
+  return (
+    <div className="mb-4 bg-white rounded-lg shadow">
+      <div className="px-6 py-4 flex items-center justify-between">
+        <button onClick={() => setExpanded(!expanded)} className="flex items-center space-x-4 text-left">
+          <AlertTriangle className="h-5 w-5 text-yellow-600" />
+          <span className="font-semibold">
+            Import Report: {issues.length} problems in {affectedRows} of {rows.length} rows
+          </span>
+          <span className="text-sm text-gray-500">
+            {Object.entries(counts).map(([type, count]) => `${count} ${ISSUE_TYPES[type].toLowerCase()}`).join(' · ')}
+          </span>
+          {expanded ? (
+            <ChevronUp className="w-5 h-5 text-gray-500" />
+          ) : (
+            <ChevronDown className="w-5 h-5 text-gray-500" />
+          )}
+        </button>
+        <button
+          onClick={downloadProblemRows}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <Download className="h-4 w-4 mr-2" />
+          Download Problem Rows
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="px-6 pb-6 overflow-x-auto">
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deal</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Problem</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cause</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Effect on Capacity</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {issues.map((issue, idx) => (
+                <tr key={idx} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm text-gray-500">{issue.rowNumber}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{issue.dealName || <em>(no name)</em>}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className="px-2 py-1 rounded-full text-xs bg-yellow-100 text-yellow-800">
+                      {ISSUE_TYPES[issue.type]}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{issue.cause}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{issue.effect}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportReport;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChevronDown } from 'lucide-react';
+
+// Dropdown of checkboxes; nothing selected means everything, shown as allLabel
+const MultiSelect = ({ options, selected, onChange, allLabel }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Clicking anywhere else closes the list
+  useEffect(() => {
+    if (!isOpen) {
+      return undefined;
+    }
+    const close = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [isOpen]);
+
+  const toggle = (option) => {
+    onChange(selected.includes(option) ? selected.filter(value => value !== option) : [...selected, option]);
+  };
+
+  const summary = selected.length === 0
+    ? allLabel
+    : selected.length <= 2 ? selected.join(', ') : `${selected.length} selected`;
+
+  return (
+    <div ref={containerRef} className="relative mt-1">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between rounded-md border border-gray-300 bg-white px-3 py-2 text-left shadow-sm focus:border-blue-500 focus:ring-blue-500"
+      >
+        <span className="truncate">{summary}</span>
+        <ChevronDown className="h-4 w-4 text-gray-500 shrink-0" />
+      </button>
+      {isOpen && (
+        <div className="absolute z-10 mt-1 w-full max-h-64 overflow-y-auto bg-white rounded-md shadow-lg border py-1">
+          {options.length === 0 && <p className="px-3 py-2 text-sm text-gray-500">No options</p>}
+          {options.map(option => (
+            <label key={option} className="flex items-center px-3 py-1 text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+              <input
+                type="checkbox"
+                className="mr-2 rounded border-gray-300"
+                checked={selected.includes(option)}
+                onChange={() => toggle(option)}
+              />
+              {option}
+            </label>
+          ))}
+          {selected.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange([])}
+              className="w-full px-3 py-1 text-left text-sm text-blue-600 hover:text-blue-800 border-t mt-1"
+            >
+              Clear ({allLabel})
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelect;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+
+const NotFound = ({ title = 'Page not found', children }) => {
+  const { search } = useLocation();
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h2 className="text-lg font-semibold">{title}</h2>
+      <div className="mt-2 text-sm text-gray-500">
+        {children || 'There is nothing at this address.'}
+      </div>
+      <Link to={{ pathname: '/', search }} className="mt-4 inline-flex items-center text-sm text-blue-600 hover:text-blue-800">
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        Back to team overview
+      </Link>
+    </div>
+  );
+};
+
+export default NotFound;
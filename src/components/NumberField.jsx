@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+
+// Keeps the raw text while typing so partial values like "0." are not clobbered
+const NumberField = ({ value, onChange, step = '0.1', min = '0', max, className = inputClassName }) => {
+  const [text, setText] = useState(String(value));
+  const [shownValue, setShownValue] = useState(value);
+
+  // A value changed from outside (a preset switch, an import) replaces the text during render
+  if (value !== shownValue) {
+    setShownValue(value);
+    if (parseFloat(text) !== value) {
+      setText(String(value));
+    }
+  }
+
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      className={className}
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        const number = parseFloat(e.target.value);
+        if (!isNaN(number) && number >= parseFloat(min) && (max === undefined || number <= parseFloat(max))) {
+          onChange(number);
+        }
+      }}
+    />
+  );
+};
+
+export default NumberField;
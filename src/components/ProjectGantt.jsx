@@ -0,0 +1,190 @@
+import React, { useState, useMemo } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import {
+  DEFAULT_ZOOM, GROUP_BY, ZOOM_LEVELS, buildGanttRows, findOverlaps, getGanttRange, getRoleColor, toPercent
+} from '../utils/gantt';
+import { consultantPath } from '../utils/filterParams';
+import { formatDateRange } from '../utils/dates';
+
+const LANE_HEIGHT = 24;
+const selectClassName = 'rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm';
+
+// Fixed to the pointer so the scrolling chart doesn't clip it
+const BarTooltip = ({ bar, x, y }) => (
+  <div
+    className="fixed z-10 w-64 bg-white p-3 shadow rounded border text-left pointer-events-none"
+    style={{ left: x + 12, top: y + 12 }}
+  >
+    <p className="font-semibold text-sm">{bar.dealName}</p>
+    <p className="text-xs text-gray-500">{bar.consultant} · {formatDateRange(bar.startDate, bar.endDate)}</p>
+    <p className="text-sm">{bar.role} · weight {bar.weight}</p>
+    <p className="text-sm">Business line: {bar.businessLine || '—'}</p>
+    {bar.probability < 1 && (
+      <p className="text-xs text-yellow-700">{Math.round(bar.probability * 100)}% likely</p>
+    )}
+    {bar.overlapping && <p className="text-xs text-red-600">Overlaps another of {bar.consultant}'s projects</p>}
+  </div>
+);
+
+// Gantt of projects as bars coloured by role. With one consultant it shows a row per deal;
+// for the team it shows swimlanes grouped by consultant or by deal.
+const ProjectGantt = ({ consultants, settings, layer, team = false }) => {
+  const { search } = useLocation();
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  const [groupBy, setGroupBy] = useState('consultant');
+  const [hovered, setHovered] = useState(null);
+
+  const effectiveGroupBy = team ? groupBy : 'deal';
+  const roles = Object.keys(settings.roleWeights);
+  const today = new Date();
+  const range = useMemo(() => getGanttRange(zoom), [zoom]);
+  const rows = useMemo(
+    () => buildGanttRows(consultants, settings, { groupBy: effectiveGroupBy, layer }),
+    [consultants, settings, effectiveGroupBy, layer]
+  );
+  // A single consultant's overlaps span every deal row
+  const sharedOverlaps = useMemo(
+    () => (team ? [] : findOverlaps(rows.flatMap(row => row.bars))),
+    [team, rows]
+  );
+  const usedRoles = roles.filter(role => rows.some(row => row.bars.some(bar => bar.role === role)));
+
+  const barText = (bar) => {
+    if (effectiveGroupBy === 'consultant') {
+      return bar.dealName;
+    }
+    return team ? bar.consultant : bar.role;
+  };
+
+  const rowLabel = (row) => (row.consultant ? (
+    <Link to={{ pathname: consultantPath(row.consultant), search }} className="text-blue-600 hover:text-blue-800">
+      {row.label}
+    </Link>
+  ) : row.label);
+
+  return (
+    <div>
+      <div className="flex items-center justify-end space-x-2 mb-2">
+        {team && (
+          <select className={selectClassName} value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+            {Object.entries(GROUP_BY).map(([key, label]) => (
+              <option key={key} value={key}>Group by {label}</option>
+            ))}
+          </select>
+        )}
+        <select className={selectClassName} value={zoom} onChange={(e) => setZoom(e.target.value)}>
+          {Object.entries(ZOOM_LEVELS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No projects with usable dates.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <div className="min-w-[640px]">
+            {/* Month ticks */}
+            <div className="flex border-b border-gray-200">
+              <div className="w-48 shrink-0" />
+              <div className="relative flex-1 h-6">
+                {range.ticks.map(tick => (
+                  <span
+                    key={tick.date.getTime()}
+                    className="absolute text-xs text-gray-500 pl-1"
+                    style={{ left: `${toPercent(tick.date, range)}%` }}
+                  >
+                    {tick.label}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            {rows.map(row => {
+              const lanes = Math.max(1, ...row.bars.map(bar => bar.lane + 1));
+              return (
+                <div key={row.key} className="flex border-b border-gray-100">
+                  <div className="w-48 shrink-0 px-2 py-1 text-sm text-gray-900 truncate" title={row.label}>
+                    {rowLabel(row)}
+                  </div>
+                  <div className="relative flex-1" style={{ height: lanes * LANE_HEIGHT + 8 }}>
+                    {range.ticks.map(tick => (
+                      <div
+                        key={tick.date.getTime()}
+                        className="absolute inset-y-0 border-l border-gray-100"
+                        style={{ left: `${toPercent(tick.date, range)}%` }}
+                      />
+                    ))}
+                    {[...row.overlaps, ...sharedOverlaps].map(overlap => (
+                      <div
+                        key={`${overlap.start.getTime()}-${overlap.end.getTime()}`}
+                        className="absolute inset-y-0 bg-red-100"
+                        style={{
+                          left: `${toPercent(overlap.start, range)}%`,
+                          width: `${toPercent(overlap.end, range) - toPercent(overlap.start, range)}%`
+                        }}
+                      />
+                    ))}
+                    {row.bars.filter(bar => bar.end > range.start && bar.start < range.end).map(bar => {
+                      const left = toPercent(bar.start, range);
+                      return (
+                        <div
+                          key={`${bar.dealName}-${bar.consultant}-${bar.role}`}
+                          className={`absolute rounded text-xs text-white px-1 truncate cursor-default ${
+                            bar.overlapping ? 'ring-2 ring-red-500' : ''
+                          } ${bar.probability < 1 ? 'opacity-60' : ''}`}
+                          style={{
+                            left: `${left}%`,
+                            width: `${Math.max(0.5, toPercent(bar.end, range) - left)}%`,
+                            top: bar.lane * LANE_HEIGHT + 4,
+                            height: LANE_HEIGHT - 4,
+                            lineHeight: `${LANE_HEIGHT - 4}px`,
+                            backgroundColor: getRoleColor(bar.role, roles)
+                          }}
+                          onMouseMove={(e) => setHovered({ bar, x: e.clientX, y: e.clientY })}
+                          onMouseLeave={() => setHovered(null)}
+                        >
+                          {barText(bar)}
+                        </div>
+                      );
+                    })}
+                    {today >= range.start && today < range.end && (
+                      <div
+                        className="absolute inset-y-0 w-px bg-red-500"
+                        style={{ left: `${toPercent(today, range)}%` }}
+                        title="Today"
+                      />
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {hovered && <BarTooltip {...hovered} />}
+
+      {/* Legend */}
+      <div className="mt-2 flex flex-wrap items-center gap-4 text-xs text-gray-500">
+        {usedRoles.map(role => (
+          <span key={role} className="inline-flex items-center">
+            <span className="inline-block w-3 h-3 rounded mr-1" style={{ backgroundColor: getRoleColor(role, roles) }} />
+            {role}
+          </span>
+        ))}
+        <span className="inline-flex items-center">
+          <span className="inline-block w-3 h-3 rounded mr-1 bg-red-100 ring-2 ring-red-500" />
+          Overlapping projects
+        </span>
+        <span className="inline-flex items-center">
+          <span className="inline-block w-px h-3 mr-1 bg-red-500" />
+          Today
+        </span>
+        <span>Faded bars are pipeline deals</span>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectGantt;
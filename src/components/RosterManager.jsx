@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import _ from 'lodash';
+import { Upload, Trash2, UserX } from 'lucide-react';
+import { parseRoster } from '../utils/roster';
+import { formatDate } from '../utils/dates';
+
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+const ERRORS_SHOWN = 5;
+
+// consultants are everyone computed from the deals and the roster, so names missing from the
+// roster and members without deals can both be pointed out
+const RosterManager = ({ roster, onChange, consultants }) => {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const members = useMemo(() => _.sortBy(roster ? roster.members : [], 'name'), [roster]);
+  const consultantsByRosterName = useMemo(
+    () => _.keyBy(consultants.filter(c => c.roster), c => c.roster.name),
+    [consultants]
+  );
+  const unrostered = useMemo(
+    () => (roster ? _.sortBy(consultants.filter(c => !c.roster), 'name') : []),
+    [roster, consultants]
+  );
+
+  // A new roster file replaces the whole roster
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseRoster(reader.result, file.name);
+        onChange({ fileName: file.name, members: parsed.members });
+        setResult({ fileName: file.name, ...parsed });
+        setError(null);
+      } catch (err) {
+        setError(`Error importing ${file.name}: ${err.message}`);
+        setResult(null);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Roster{roster && ` · ${roster.fileName}`}</h3>
+          <p className="text-sm text-gray-500">
+            Each consultant's FTE sets their own ceiling; roster members without deals are listed as available.
+            CSV or JSON with name, FTE, start date, leave date, seniority, home business line and skills.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <label className={`${buttonClassName} cursor-pointer`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import Roster
+            <input type="file" className="hidden" accept=".csv,.json,application/json" onChange={handleImport} />
+          </label>
+          <button onClick={() => onChange(null)} disabled={!roster} className={buttonClassName}>
+            <Trash2 className="h-4 w-4 mr-2" />
+            Remove
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-4 p-2 bg-blue-50 text-blue-800 rounded text-sm">
+          Imported {result.members.length} consultants from {result.fileName}
+          {result.errors.length > 0 && `; skipped ${result.errors.length}:`}
+          {result.errors.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-xs">
+              {result.errors.slice(0, ERRORS_SHOWN).map(message => <li key={message}>{message}</li>)}
+              {result.errors.length > ERRORS_SHOWN && <li>and {result.errors.length - ERRORS_SHOWN} more</li>}
+            </ul>
+          )}
+          {result.warnings.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-xs text-orange-800">
+              {result.warnings.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Deal names the roster doesn't know */}
+      {unrostered.length > 0 && (
+        <div className="mt-4 p-2 bg-orange-50 text-orange-800 rounded text-sm">
+          <p className="flex items-center font-medium">
+            <UserX className="h-4 w-4 mr-2" />
+            {unrostered.length} {unrostered.length === 1 ? 'name' : 'names'} in the deals not on the roster
+          </p>
+          <p className="mt-1">{unrostered.map(c => c.name).join(', ')}</p>
+          <p className="mt-1 text-xs">
+            They keep the default ceiling. Add them to the roster, or merge misspellings in Aliases.
+          </p>
+        </div>
+      )}
+
+      {/* Members */}
+      {members.length > 0 && (
+        <div className="mt-6 max-h-96 overflow-y-auto">
+          <table className="min-w-full">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">FTE</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Start</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Leaves</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Seniority</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Home Business Line</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Skills</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {members.map(member => {
+                const consultant = consultantsByRosterName[member.name];
+                return (
+                  <tr key={member.name}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {member.name}
+                      {consultant && consultant.projects.length === 0 && (
+                        <span className="ml-2 text-xs text-gray-400">no deals</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{member.fte}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{formatDate(member.startDate) || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{formatDate(member.leaveDate) || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{member.seniority || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{member.businessLine || '—'}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{member.skills.join(', ') || '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RosterManager;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { UserX } from 'lucide-react';
+
+// A consultant's roster entry in one line, or a flag when a roster is loaded but doesn't list them
+const RosterSummary = ({ consultant, hasRoster }) => {
+  const { roster } = consultant;
+  if (!roster) {
+    return hasRoster ? (
+      <span className="inline-flex items-center text-sm text-orange-600" title="Found in the deals but not on the roster">
+        <UserX className="h-4 w-4 mr-1" />
+        Not on roster
+      </span>
+    ) : null;
+  }
+
+  return (
+    <span className="inline-flex flex-wrap items-center gap-1 text-sm text-gray-500">
+      <span>{roster.fte < 1 ? `${roster.fte} FTE` : 'Full time'}</span>
+      {roster.seniority && <span>· {roster.seniority}</span>}
+      {roster.businessLine && <span>· {roster.businessLine}</span>}
+      {roster.skills.map(skill => (
+        <span key={skill} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">{skill}</span>
+      ))}
+    </span>
+  );
+};
+
+export default RosterSummary;
@@ -0,0 +1,472 @@
+import React, { useState, useMemo } from 'react';
+import _ from 'lodash';
+import {
+  BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer
+} from 'recharts';
+import { Plus, Trash2 } from 'lucide-react';
+import TaskProgress from './TaskProgress';
+import { splitConsultants } from '../utils/columnMapping';
+import { formatDateRange } from '../utils/dates';
+import {
+  createHypotheticalDeal, createScenario, summarizeComparison
+} from '../utils/scenarios';
+import useBackgroundTask from '../workers/useBackgroundTask';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50';
+
+// Semicolon-separated consultant names, keeping the raw text while typing
+const NamesField = ({ names, onChange, listId }) => {
+  const [text, setText] = useState(names.join('; '));
+  const [shownNames, setShownNames] = useState(names);
+
+  // Names changed from outside replace the text during render
+  if (names !== shownNames) {
+    setShownNames(names);
+    if (!_.isEqual(splitConsultants(text), names)) {
+      setText(names.join('; '));
+    }
+  }
+
+  return (
+    <input
+      type="text"
+      className={inputClassName}
+      placeholder="Name; Name..."
+      list={listId}
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        onChange(splitConsultants(e.target.value));
+      }}
+    />
+  );
+};
+
+const ScenarioComparisonChart = ({ periods, maxLoad }) => (
+  <div className="h-64">
+    <ResponsiveContainer width="100%" height="100%">
+      <BarChart data={periods} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="period" />
+        <YAxis />
+        <Tooltip />
+        <Legend />
+        <ReferenceLine y={maxLoad} stroke="#dc2626" strokeDasharray="4 4" label="Max" />
+        <Bar dataKey="baselineLoad" fill="#9ca3af" name="Baseline Load" />
+        <Bar dataKey="scenarioLoad" fill="#8884d8" name="Scenario Load">
+          {periods.map((period, idx) => (
+            <Cell key={idx} fill={period.newlyOver ? '#dc2626' : '#8884d8'} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+const ScenarioPlanner = ({ deals, settings, buildOptions, baselineConsultants, scenarios, onScenariosChange }) => {
+  const [activeId, setActiveId] = useState(scenarios.length ? scenarios[0].id : null);
+  const [newName, setNewName] = useState('');
+  const [selectedConsultant, setSelectedConsultant] = useState(null);
+
+  const scenario = scenarios.find(s => s.id === activeId) || null;
+  const roles = Object.keys(settings.roleWeights);
+  const dealNames = useMemo(
+    () => _.sortBy(_.uniq(deals.map(deal => String(deal.dealName ?? '').trim()).filter(Boolean))),
+    [deals]
+  );
+  const businessLines = useMemo(() => _.uniq(deals.map(d => d.businessLine).filter(Boolean)), [deals]);
+
+  // Every scenario is recomputed in the background whenever one changes; the previous figures stay
+  // up until the new ones arrive
+  const payload = useMemo(
+    () => (scenarios.length ? { deals, scenarios, baselineConsultants, settings, options: buildOptions } : null),
+    [scenarios, deals, settings, buildOptions, baselineConsultants]
+  );
+  const { result, error, progress } = useBackgroundTask('compareScenarios', payload, 'Comparing scenarios');
+  const comparisons = result || {};
+
+  const comparison = (scenario && comparisons[scenario.id]) || [];
+  const selectedRow = comparison.find(row => row.name === selectedConsultant);
+
+  const updateScenario = (changes) => {
+    onScenariosChange(scenarios.map(s => (s.id === scenario.id ? { ...s, ...changes } : s)));
+  };
+
+  const addScenario = () => {
+    const created = createScenario(newName.trim() || `Scenario ${scenarios.length + 1}`);
+    onScenariosChange([...scenarios, created]);
+    setActiveId(created.id);
+    setNewName('');
+  };
+
+  const deleteScenario = () => {
+    const remaining = scenarios.filter(s => s.id !== scenario.id);
+    onScenariosChange(remaining);
+    setActiveId(remaining.length ? remaining[0].id : null);
+  };
+
+  const updateAddedDeal = (id, changes) => {
+    updateScenario({
+      addedDeals: scenario.addedDeals.map(deal => (deal.id === id ? { ...deal, ...changes } : deal))
+    });
+  };
+
+  const updateStaffing = (deal, role, consultants) => {
+    updateAddedDeal(deal.id, {
+      staffing: deal.staffing.map(s => (s.role === role ? { ...s, consultants } : s))
+    });
+  };
+
+  const updateChange = (dealName, changes) => {
+    updateScenario({
+      changes: { ...scenario.changes, [dealName]: { ...scenario.changes[dealName], ...changes } }
+    });
+  };
+
+  const removeChange = (dealName) => {
+    const { [dealName]: removed, ...changes } = scenario.changes;
+    updateScenario({ changes });
+  };
+
+  const getDealConsultants = (dealName) => _.uniq(
+    deals
+      .filter(deal => String(deal.dealName ?? '').trim() === dealName)
+      .flatMap(deal => deal.staffing.flatMap(s => s.consultants))
+  );
+
+  const getDealDates = (dealName) => {
+    const deal = deals.find(d => String(d.dealName ?? '').trim() === dealName);
+    return deal ? formatDateRange(deal.startDate, deal.endDate) : '';
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <datalist id="scenario-consultants">
+        {baselineConsultants.map(c => <option key={c.name} value={c.name} />)}
+      </datalist>
+      <datalist id="scenario-business-lines">
+        {businessLines.map(line => <option key={line} value={line} />)}
+      </datalist>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <h3 className="text-lg font-semibold mr-4">What-If Scenarios</h3>
+        <div className="w-64">
+          <label className="block text-sm font-medium text-gray-700">Scenario</label>
+          <select
+            className={inputClassName}
+            value={activeId || ''}
+            onChange={(e) => setActiveId(e.target.value)}
+            disabled={scenarios.length === 0}
+          >
+            {scenarios.length === 0 && <option value="">No scenarios yet</option>}
+            {scenarios.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="w-64">
+          <label className="block text-sm font-medium text-gray-700">New Scenario</label>
+          <input
+            type="text"
+            className={inputClassName}
+            placeholder="e.g. Win Acme renewal"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+        </div>
+        <button onClick={addScenario} className={buttonClassName}>
+          <Plus className="h-4 w-4 mr-2" />
+          Create
+        </button>
+        {scenario && (
+          <button onClick={deleteScenario} className={buttonClassName}>
+            <Trash2 className="h-4 w-4 mr-2" />
+            Delete
+          </button>
+        )}
+      </div>
+
+      {progress && (
+        <div className="mt-4">
+          <TaskProgress {...progress} />
+        </div>
+      )}
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          Error comparing scenarios: {error}
+        </div>
+      )}
+
+      {scenario && (
+        <>
+          <div className="mt-4 w-64">
+            <label className="block text-sm font-medium text-gray-700">Scenario Name</label>
+            <input
+              type="text"
+              className={inputClassName}
+              value={scenario.name}
+              onChange={(e) => updateScenario({ name: e.target.value })}
+            />
+          </div>
+
+          {/* Hypothetical Projects */}
+          <div className="mt-6">
+            <h4 className="text-sm font-medium text-gray-500 mb-2">Hypothetical Projects</h4>
+            <div className="space-y-4">
+              {scenario.addedDeals.map(deal => (
+                <div key={deal.id} className="p-4 border border-gray-200 rounded-lg">
+                  <div className="grid grid-cols-4 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Project Name</label>
+                      <input
+                        type="text"
+                        className={inputClassName}
+                        value={deal.dealName}
+                        onChange={(e) => updateAddedDeal(deal.id, { dealName: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Start Date</label>
+                      <input
+                        type="date"
+                        className={inputClassName}
+                        value={deal.startDate}
+                        onChange={(e) => updateAddedDeal(deal.id, { startDate: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">End Date</label>
+                      <input
+                        type="date"
+                        className={inputClassName}
+                        value={deal.endDate}
+                        onChange={(e) => updateAddedDeal(deal.id, { endDate: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Business Line</label>
+                      <input
+                        type="text"
+                        className={inputClassName}
+                        list="scenario-business-lines"
+                        value={deal.businessLine}
+                        onChange={(e) => updateAddedDeal(deal.id, { businessLine: e.target.value })}
+                      />
+                    </div>
+                    {deal.staffing.map(({ role, consultants }) => (
+                      <div key={role}>
+                        <label className="block text-sm font-medium text-gray-700">{role}</label>
+                        <NamesField
+                          names={consultants}
+                          listId="scenario-consultants"
+                          onChange={(names) => updateStaffing(deal, role, names)}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <div className="mt-2 flex justify-end">
+                    <button
+                      onClick={() => updateScenario({ addedDeals: scenario.addedDeals.filter(d => d.id !== deal.id) })}
+                      className="text-sm text-gray-400 hover:text-red-600 inline-flex items-center"
+                    >
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Remove Project
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => updateScenario({ addedDeals: [...scenario.addedDeals, createHypotheticalDeal(roles)] })}
+              className={`${buttonClassName} mt-2`}
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Hypothetical Project
+            </button>
+          </div>
+
+          {/* Changes to Existing Projects */}
+          <div className="mt-6">
+            <h4 className="text-sm font-medium text-gray-500 mb-2">Changes to Existing Projects</h4>
+            <div className="space-y-4">
+              {Object.entries(scenario.changes).map(([dealName, change]) => (
+                <div key={dealName} className="p-4 border border-gray-200 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <span className="font-medium">{dealName}</span>
+                      <span className="ml-2 text-sm text-gray-500">currently {getDealDates(dealName)}</span>
+                    </div>
+                    <button
+                      onClick={() => removeChange(dealName)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Discard changes"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                  <div className="mt-2 grid grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">New Start Date</label>
+                      <input
+                        type="date"
+                        className={inputClassName}
+                        value={change.startDate || ''}
+                        onChange={(e) => updateChange(dealName, { startDate: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">New End Date</label>
+                      <input
+                        type="date"
+                        className={inputClassName}
+                        value={change.endDate || ''}
+                        onChange={(e) => updateChange(dealName, { endDate: e.target.value })}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Staffed Consultants</label>
+                      <div className="mt-1 space-y-1">
+                        {getDealConsultants(dealName).map(name => {
+                          const removed = (change.removedConsultants || []).includes(name);
+                          return (
+                            <label key={name} className="flex items-center text-sm">
+                              <input
+                                type="checkbox"
+                                className="mr-2 rounded border-gray-300"
+                                checked={!removed}
+                                onChange={() => updateChange(dealName, {
+                                  removedConsultants: removed
+                                    ? change.removedConsultants.filter(n => n !== name)
+                                    : [...(change.removedConsultants || []), name]
+                                })}
+                              />
+                              <span className={removed ? 'line-through text-gray-400' : ''}>{name}</span>
+                            </label>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <select
+              className={`${inputClassName} w-80`}
+              value=""
+              onChange={(e) => e.target.value && updateChange(e.target.value, { removedConsultants: [] })}
+            >
+              <option value="">Move, extend or restaff a project...</option>
+              {dealNames.filter(name => !scenario.changes[name]).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Impact */}
+          <div className="mt-6">
+            <h4 className="text-sm font-medium text-gray-500 mb-2">Impact vs. Baseline</h4>
+            {comparison.length === 0 ? (
+              <p className="text-sm text-gray-500">This scenario does not change anyone's load yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Consultant</th>
+                      {comparison[0].periods.map(period => (
+                        <th key={period.startDate} className="px-2 py-2 text-center text-xs font-medium text-gray-500 whitespace-nowrap">
+                          {period.period}
+                        </th>
+                      ))}
+                      <th className="px-2 py-2 text-center text-xs font-medium text-gray-500 uppercase">Peak</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {comparison.map(row => (
+                      <tr
+                        key={row.name}
+                        onClick={() => setSelectedConsultant(row.name === selectedConsultant ? null : row.name)}
+                        className={`cursor-pointer hover:bg-gray-50 ${row.name === selectedConsultant ? 'bg-blue-50' : ''}`}
+                      >
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-900">
+                          {row.name}
+                          {row.isNew && <span className="ml-2 text-xs text-gray-400">(new)</span>}
+                        </td>
+                        {row.periods.map(period => (
+                          <td
+                            key={period.startDate}
+                            className={`px-2 py-2 text-center whitespace-nowrap ${
+                              period.newlyOver ? 'bg-red-100 text-red-800 font-medium' : period.delta !== 0 ? 'text-blue-700' : 'text-gray-400'
+                            }`}
+                            title={`Baseline ${period.baselineLoad} → Scenario ${period.scenarioLoad}`}
+                          >
+                            {period.scenarioLoad}
+                            {period.delta !== 0 && (
+                              <span className="text-xs"> ({period.delta > 0 ? '+' : ''}{period.delta})</span>
+                            )}
+                          </td>
+                        ))}
+                        <td className="px-2 py-2 text-center whitespace-nowrap">
+                          {row.baselinePeak} → {row.scenarioPeak}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {selectedRow && (
+              <div className="mt-4">
+                <h4 className="text-sm font-medium text-gray-500 mb-2">{selectedRow.name}: Baseline vs. Scenario</h4>
+                <ScenarioComparisonChart periods={selectedRow.periods} maxLoad={selectedRow.maxLoad} />
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Scenario Comparison */}
+      {scenarios.length > 1 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-medium text-gray-500 mb-2">Compare Scenarios</h4>
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scenario</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Hypothetical Projects</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Changed Projects</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Consultants Affected</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Newly Over Capacity</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Added Load</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {scenarios.map(s => {
+                const summary = summarizeComparison(comparisons[s.id] || []);
+                return (
+                  <tr
+                    key={s.id}
+                    onClick={() => setActiveId(s.id)}
+                    className={`cursor-pointer hover:bg-gray-50 ${s.id === activeId ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="px-4 py-2 text-gray-900">{s.name}</td>
+                    <td className="px-4 py-2 text-gray-500">{s.addedDeals.length}</td>
+                    <td className="px-4 py-2 text-gray-500">{Object.keys(s.changes).length}</td>
+                    <td className="px-4 py-2 text-gray-500">{summary.affectedConsultants}</td>
+                    <td className={`px-4 py-2 ${summary.newlyOverConsultants ? 'text-red-700 font-medium' : 'text-gray-500'}`}>
+                      {summary.newlyOverConsultants} consultants · {summary.newlyOverPeriods} periods
+                    </td>
+                    <td className="px-4 py-2 text-gray-500">{summary.addedLoad}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPlanner;
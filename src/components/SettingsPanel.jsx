@@ -0,0 +1,375 @@
+import React, { useState } from 'react';
+import { Download, Upload, Plus, Trash2, Save } from 'lucide-react';
+import NumberField from './NumberField';
+import { DEFAULT_PRESET_NAME, checkStatusThresholds, exportPresets, importPresets } from '../utils/settingsStorage';
+import { downloadFile, exportTimestamp } from '../utils/download';
+import {
+  DEFAULT_FISCAL_CALENDAR, FISCAL_PATTERNS, FISCAL_START_MONTHS, getPeriodContaining
+} from '../utils/fiscalCalendar';
+import { formatDateRange } from '../utils/dates';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50';
+
+const SettingsPanel = ({ presetStore, onChange }) => {
+  const [newPresetName, setNewPresetName] = useState('');
+  const [newRole, setNewRole] = useState('');
+  const [newStage, setNewStage] = useState('');
+  const [error, setError] = useState(null);
+
+  const { activePreset, presets } = presetStore;
+  const settings = presets[activePreset];
+
+  const updateSettings = (changes) => {
+    onChange({
+      ...presetStore,
+      presets: { ...presets, [activePreset]: { ...settings, ...changes } }
+    });
+  };
+
+  const fiscalCalendar = settings.fiscalCalendar || DEFAULT_FISCAL_CALENDAR;
+  const updateFiscalCalendar = (changes) => {
+    updateSettings({ fiscalCalendar: { ...fiscalCalendar, ...changes } });
+  };
+  // Shown under the fields so the effect of a start month or pattern is visible straight away
+  const currentQuarter = getPeriodContaining(new Date(), 'quarter', fiscalCalendar);
+  const { end } = currentQuarter;
+  const currentQuarterEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+
+  const updateRoleWeight = (role, weight) => {
+    updateSettings({ roleWeights: { ...settings.roleWeights, [role]: weight } });
+  };
+
+  const removeRole = (role) => {
+    const { [role]: removed, ...roleWeights } = settings.roleWeights;
+    updateSettings({ roleWeights });
+  };
+
+  const addRole = () => {
+    const role = newRole.trim();
+    if (!role || settings.roleWeights[role] !== undefined) {
+      setError(role ? `Role "${role}" already exists` : 'Enter a role name');
+      return;
+    }
+    updateRoleWeight(role, 0.5);
+    setNewRole('');
+    setError(null);
+  };
+
+  const updateStageProbability = (stage, probability) => {
+    updateSettings({ stageProbabilities: { ...settings.stageProbabilities, [stage]: probability } });
+  };
+
+  const removeStage = (stage) => {
+    const { [stage]: removed, ...stageProbabilities } = settings.stageProbabilities;
+    updateSettings({ stageProbabilities });
+  };
+
+  const addStage = () => {
+    const stage = newStage.trim();
+    if (!stage || settings.stageProbabilities[stage] !== undefined) {
+      setError(stage ? `Stage "${stage}" already exists` : 'Enter a stage name');
+      return;
+    }
+    updateStageProbability(stage, 0.5);
+    setNewStage('');
+    setError(null);
+  };
+
+  const updateThreshold = (key, value) => {
+    const statusThresholds = { ...settings.statusThresholds, [key]: value };
+    const problem = checkStatusThresholds(statusThresholds);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError(null);
+    updateSettings({ statusThresholds });
+  };
+
+  const savePresetAs = () => {
+    const name = newPresetName.trim();
+    if (!name) {
+      setError('Enter a preset name');
+      return;
+    }
+    const existing = Object.keys(presets).find(preset => preset.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      setError(`A preset named "${existing}" already exists; choose another name`);
+      return;
+    }
+    onChange({
+      activePreset: name,
+      presets: { ...presets, [name]: settings }
+    });
+    setNewPresetName('');
+    setError(null);
+  };
+
+  const deletePreset = () => {
+    const { [activePreset]: removed, ...remaining } = presets;
+    onChange({
+      activePreset: Object.keys(remaining)[0],
+      presets: remaining
+    });
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onChange(importPresets(presetStore, reader.result, file.name.replace(/\.json$/i, '')));
+        setError(null);
+      } catch (err) {
+        setError('Error importing presets: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleExport = () => {
+    downloadFile(exportPresets(presetStore), `capacity-settings-${exportTimestamp()}.json`, 'application/json');
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex flex-wrap items-end gap-4">
+        {/* Preset Selection */}
+        <div className="w-64">
+          <label className="block text-sm font-medium text-gray-700">Preset</label>
+          <select
+            className={inputClassName}
+            value={activePreset}
+            onChange={(e) => onChange({ ...presetStore, activePreset: e.target.value })}
+          >
+            {Object.keys(presets).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="w-64">
+          <label className="block text-sm font-medium text-gray-700">Save Current Settings As</label>
+          <input
+            type="text"
+            className={inputClassName}
+            placeholder="Preset name..."
+            value={newPresetName}
+            onChange={(e) => setNewPresetName(e.target.value)}
+          />
+        </div>
+        <button onClick={savePresetAs} className={buttonClassName}>
+          <Save className="h-4 w-4 mr-2" />
+          Save Preset
+        </button>
+        <button
+          onClick={deletePreset}
+          disabled={Object.keys(presets).length <= 1 || activePreset === DEFAULT_PRESET_NAME}
+          className={`${buttonClassName} disabled:opacity-50`}
+        >
+          <Trash2 className="h-4 w-4 mr-2" />
+          Delete Preset
+        </button>
+        <div className="ml-auto flex space-x-2">
+          <label className={`${buttonClassName} cursor-pointer`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import JSON
+            <input type="file" className="hidden" accept=".json,application/json" onChange={handleImport} />
+          </label>
+          <button onClick={handleExport} className={buttonClassName}>
+            <Download className="h-4 w-4 mr-2" />
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="mt-6 grid grid-cols-2 gap-6">
+        {/* Role Weights */}
+        <div>
+          <h4 className="text-sm font-medium text-gray-500 mb-2">Role Weights</h4>
+          <table className="min-w-full">
+            <tbody className="divide-y divide-gray-200">
+              {Object.entries(settings.roleWeights).map(([role, weight]) => (
+                <tr key={role}>
+                  <td className="py-2 text-sm text-gray-900">{role}</td>
+                  <td className="py-2 w-32">
+                    <NumberField value={weight} onChange={(value) => updateRoleWeight(role, value)} />
+                  </td>
+                  <td className="py-2 w-10 text-right">
+                    <button
+                      onClick={() => removeRole(role)}
+                      className="text-gray-400 hover:text-red-600"
+                      title={`Remove ${role}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-2 flex items-center space-x-2">
+            <input
+              type="text"
+              className={inputClassName}
+              placeholder="New role..."
+              value={newRole}
+              onChange={(e) => setNewRole(e.target.value)}
+            />
+            <button onClick={addRole} className={`${buttonClassName} mt-1`}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add
+            </button>
+          </div>
+        </div>
+
+        {/* Capacity Ceiling and Status Bands */}
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Max Recommended Load</label>
+            <NumberField
+              value={settings.maxRecommendedLoad}
+              onChange={(value) => updateSettings({ maxRecommendedLoad: value })}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              At Capacity From (share of max load)
+            </label>
+            <NumberField
+              step="0.05"
+              value={settings.statusThresholds.atCapacity}
+              onChange={(value) => updateThreshold('atCapacity', value)}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Over Capacity Above (share of max load)
+            </label>
+            <NumberField
+              step="0.05"
+              value={settings.statusThresholds.overCapacity}
+              onChange={(value) => updateThreshold('overCapacity', value)}
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Available below {(settings.maxRecommendedLoad * settings.statusThresholds.atCapacity).toFixed(1)},
+            at capacity up to {(settings.maxRecommendedLoad * settings.statusThresholds.overCapacity).toFixed(1)},
+            over capacity above that.
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Working Hours per Day</label>
+            <NumberField
+              step="0.5"
+              min="0.5"
+              value={settings.hoursPerDay}
+              onChange={(value) => updateSettings({ hoursPerDay: value })}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              A full-time period's working hours in a timesheet count as the max recommended load.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Pipeline Stages */}
+      <div className="mt-6 w-1/2 pr-3">
+        <h4 className="text-sm font-medium text-gray-500">Stage Probabilities</h4>
+        <p className="text-xs text-gray-500 mb-2">
+          Deals at 1 are committed; lower values only count towards the weighted pipeline and best case.
+        </p>
+        <table className="min-w-full">
+          <tbody className="divide-y divide-gray-200">
+            {Object.entries(settings.stageProbabilities).map(([stage, probability]) => (
+              <tr key={stage}>
+                <td className="py-2 text-sm text-gray-900">{stage}</td>
+                <td className="py-2 w-32">
+                  <NumberField
+                    step="0.05"
+                    max="1"
+                    value={probability}
+                    onChange={(value) => updateStageProbability(stage, value)}
+                  />
+                </td>
+                <td className="py-2 w-10 text-right">
+                  <button
+                    onClick={() => removeStage(stage)}
+                    className="text-gray-400 hover:text-red-600"
+                    title={`Remove ${stage}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-2 flex items-center space-x-2">
+          <input
+            type="text"
+            className={inputClassName}
+            placeholder="New stage..."
+            value={newStage}
+            onChange={(e) => setNewStage(e.target.value)}
+          />
+          <button onClick={addStage} className={`${buttonClassName} mt-1`}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add
+          </button>
+        </div>
+      </div>
+
+      {/* Fiscal Calendar */}
+      <div className="mt-6 w-1/2 pr-3">
+        <h4 className="text-sm font-medium text-gray-500">Fiscal Calendar</h4>
+        <p className="text-xs text-gray-500 mb-2">
+          Timeline months and quarters, their labels and the quarter status filter follow it.
+        </p>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Fiscal Year Starts In</label>
+            <select
+              className={inputClassName}
+              value={fiscalCalendar.startMonth}
+              onChange={(e) => updateFiscalCalendar({ startMonth: Number(e.target.value) })}
+            >
+              {FISCAL_START_MONTHS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Months</label>
+            <select
+              className={inputClassName}
+              value={fiscalCalendar.pattern}
+              onChange={(e) => updateFiscalCalendar({ pattern: e.target.value })}
+            >
+              {Object.entries(FISCAL_PATTERNS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          Today is in {currentQuarter.label}, {formatDateRange(currentQuarter.start, currentQuarterEnd)}.
+          Fiscal years are named after the year they end in; week-based years start on the Monday nearest the first
+          of the month.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
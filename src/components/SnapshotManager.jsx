@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FolderOpen, GitCompare, Trash2 } from 'lucide-react';
+import { loadSnapshot } from '../utils/snapshotStore';
+import { mapRowsToDeals } from '../utils/columnMapping';
+import { diffSnapshots } from '../utils/snapshotDiff';
+import { toMonthlyOptions } from '../utils/capacity';
+import { formatDate, formatDateTime } from '../utils/dates';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+const snapshotLabel = (snapshot) => `${formatDateTime(snapshot.createdAt)} · ${snapshot.fileName}`;
+
+const deltaClassName = (delta) => (
+  delta > 0 ? 'bg-red-50 text-red-700' : delta < 0 ? 'bg-green-50 text-green-700' : 'text-gray-300'
+);
+
+const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+const formatAssignments = (assignments) => assignments.map(({ name, role }) => `${name} (${role})`).join(', ');
+
+const SnapshotManager = ({ snapshots, activeSnapshotId, settings, aliasLookup, timelineOptions, onLoad, onDelete }) => {
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Default to comparing the two most recent uploads
+  useEffect(() => {
+    const ids = snapshots.map(snapshot => snapshot.id);
+    if (!ids.includes(Number(toId))) {
+      setToId(ids[0] ? String(ids[0]) : '');
+    }
+    if (!ids.includes(Number(fromId))) {
+      setFromId(ids[1] ? String(ids[1]) : '');
+    }
+  }, [snapshots, fromId, toId]);
+
+  const compare = async () => {
+    setIsComparing(true);
+    setError(null);
+    try {
+      const [from, to] = await Promise.all([loadSnapshot(Number(fromId)), loadSnapshot(Number(toId))]);
+      setComparison({
+        from: { snapshot: from.snapshot, deals: mapRowsToDeals(from.rows, from.mapping) },
+        to: { snapshot: to.snapshot, deals: mapRowsToDeals(to.rows, to.mapping) }
+      });
+    } catch (err) {
+      setError('Error loading snapshots: ' + err.message);
+      setComparison(null);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  // Load changes are always compared month by month from the current timeline start
+  const diff = useMemo(() => {
+    if (!comparison) {
+      return null;
+    }
+    return diffSnapshots(comparison.from.deals, comparison.to.deals, settings, {
+      aliasLookup,
+      timelineOptions: toMonthlyOptions(timelineOptions)
+    });
+  }, [comparison, settings, aliasLookup, timelineOptions]);
+
+  const periods = diff && diff.loadChanges.length ? diff.loadChanges[0].periods.map(p => p.period) : [];
+  const hasChanges = diff && (
+    diff.addedDeals.length || diff.removedDeals.length || diff.changedDeals.length || diff.loadChanges.length
+  );
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <h3 className="text-lg font-semibold">Snapshots</h3>
+      <p className="mt-1 text-sm text-gray-500">
+        Every applied upload is saved in this browser. Load a past dataset or compare two uploads.
+      </p>
+
+      {snapshots.length === 0 ? (
+        <p className="mt-4 text-sm text-gray-500">No snapshots saved yet.</p>
+      ) : (
+        <table className="mt-4 min-w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Uploaded</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rows</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Profile</th>
+              <th className="px-4 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {snapshots.map(snapshot => (
+              <tr key={snapshot.id} className={snapshot.id === activeSnapshotId ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                <td className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap">{formatDateTime(snapshot.createdAt)}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{snapshot.fileName}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{snapshot.rowCount}</td>
+                <td className="px-4 py-2 text-sm text-gray-500">{snapshot.profileName || '—'}</td>
+                <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                  {snapshot.id === activeSnapshotId ? (
+                    <span className="text-xs text-blue-700">Loaded</span>
+                  ) : (
+                    <button onClick={() => onLoad(snapshot.id)} className={buttonClassName}>
+                      <FolderOpen className="h-4 w-4 mr-2" />
+                      Load
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onDelete(snapshot.id)}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Delete snapshot"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Compare */}
+      {snapshots.length > 1 && (
+        <div className="mt-6 grid grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">From</label>
+            <select className={inputClassName} value={fromId} onChange={(e) => setFromId(e.target.value)}>
+              {snapshots.map(snapshot => (
+                <option key={snapshot.id} value={snapshot.id}>{snapshotLabel(snapshot)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">To</label>
+            <select className={inputClassName} value={toId} onChange={(e) => setToId(e.target.value)}>
+              {snapshots.map(snapshot => (
+                <option key={snapshot.id} value={snapshot.id}>{snapshotLabel(snapshot)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <button
+              onClick={compare}
+              disabled={!fromId || !toId || fromId === toId || isComparing}
+              className={buttonClassName}
+            >
+              <GitCompare className="h-4 w-4 mr-2" />
+              {isComparing ? 'Comparing...' : 'Compare'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {diff && (
+        <div className="mt-6 space-y-6">
+          <p className="text-sm text-gray-500">
+            {snapshotLabel(comparison.from.snapshot)} → {snapshotLabel(comparison.to.snapshot)}
+          </p>
+
+          {!hasChanges && (
+            <p className="text-sm text-gray-500">No differences between these snapshots.</p>
+          )}
+
+          {(diff.addedDeals.length > 0 || diff.removedDeals.length > 0) && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <h4 className="text-sm font-medium text-gray-500">Deals Added ({diff.addedDeals.length})</h4>
+                <ul className="mt-2 text-sm text-green-700 space-y-1">
+                  {diff.addedDeals.map(name => <li key={name}>+ {name}</li>)}
+                </ul>
+              </div>
+              <div>
+                <h4 className="text-sm font-medium text-gray-500">Deals Removed ({diff.removedDeals.length})</h4>
+                <ul className="mt-2 text-sm text-red-700 space-y-1">
+                  {diff.removedDeals.map(name => <li key={name}>− {name}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {diff.changedDeals.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-500">Changed Deals ({diff.changedDeals.length})</h4>
+              <table className="mt-2 min-w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Deal</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Dates</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Consultants Added</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Consultants Removed</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {diff.changedDeals.map(change => (
+                    <tr key={change.dealName}>
+                      <td className="px-4 py-2 text-sm text-gray-900">{change.dealName}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500">
+                        {change.dateChanges.map(({ field, before, after }) => (
+                          <div key={field}>
+                            {field === 'startDate' ? 'Start' : 'End'}: {formatDate(before) || before || '—'} → {formatDate(after) || after || '—'}
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-green-700">{formatAssignments(change.addedConsultants)}</td>
+                      <td className="px-4 py-2 text-sm text-red-700">{formatAssignments(change.removedConsultants)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {diff.loadChanges.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-500">Monthly Weighted Load Change</h4>
+              <div className="mt-2 overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Consultant</th>
+                      {periods.map(period => (
+                        <th key={period} className="px-2 py-2 text-center text-xs font-medium text-gray-500 whitespace-nowrap">
+                          {period}
+                        </th>
+                      ))}
+                      <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {diff.loadChanges.map(change => (
+                      <tr key={change.name}>
+                        <td className="px-4 py-2 text-gray-900 whitespace-nowrap">{change.name}</td>
+                        {change.periods.map(period => (
+                          <td
+                            key={period.period}
+                            className={`px-2 py-2 text-center ${deltaClassName(period.delta)}`}
+                            title={`${period.before} → ${period.after}`}
+                          >
+                            {period.delta === 0 ? '·' : formatDelta(period.delta)}
+                          </td>
+                        ))}
+                        <td className="px-4 py-2 text-right font-medium">{formatDelta(change.totalDelta)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotManager;
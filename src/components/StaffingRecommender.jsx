@@ -0,0 +1,237 @@
+import React, { useState, useMemo } from 'react';
+import Papa from 'papaparse';
+import { Download, Search, Star, Trash2 } from 'lucide-react';
+import NumberField from './NumberField';
+import TaskProgress from './TaskProgress';
+import { downloadFile, exportTimestamp } from '../utils/download';
+import useBackgroundTask from '../workers/useBackgroundTask';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50';
+
+const RESULTS_SHOWN = 10;
+
+const scoreClassName = (score) => (
+  score >= 70 ? 'bg-green-100 text-green-800' : score >= 40 ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800'
+);
+
+const StaffingRecommender = ({ deals, settings, aliasLookup, absences, roster, businessLines }) => {
+  const roles = Object.keys(settings.roleWeights);
+  const [form, setForm] = useState({
+    projectName: '',
+    startDate: '',
+    endDate: '',
+    businessLine: '',
+    roleCounts: roles.length ? { [roles[0]]: 1 } : {}
+  });
+  const [proposal, setProposal] = useState(null);
+  const [activeRole, setActiveRole] = useState(null);
+  const [shortlist, setShortlist] = useState([]);
+
+  // Ranked in the background once a proposal is submitted
+  const payload = useMemo(
+    () => (proposal ? { deals, proposal, settings, options: { aliasLookup, absences, roster } } : null),
+    [deals, proposal, settings, aliasLookup, absences, roster]
+  );
+  const { result: rankings, error, progress } = useBackgroundTask('recommendStaffing', payload, 'Ranking consultants');
+
+  const requiredRoles = Object.entries(form.roleCounts).filter(([, count]) => count > 0).map(([role]) => role);
+  const shownRole = rankings && (rankings[activeRole] ? activeRole : Object.keys(rankings)[0]);
+
+  const submit = () => {
+    setProposal({
+      startDate: form.startDate,
+      endDate: form.endDate,
+      businessLine: form.businessLine,
+      roles: requiredRoles
+    });
+    setActiveRole(requiredRoles[0]);
+  };
+
+  const isShortlisted = (candidate) => shortlist.some(c => c.name === candidate.name && c.role === candidate.role);
+
+  const toggleShortlist = (candidate) => {
+    setShortlist(isShortlisted(candidate)
+      ? shortlist.filter(c => !(c.name === candidate.name && c.role === candidate.role))
+      : [...shortlist, candidate]);
+  };
+
+  const exportShortlist = () => {
+    const csv = Papa.unparse(shortlist.map(candidate => ({
+      Project: form.projectName,
+      'Start Date': proposal.startDate,
+      'End Date': proposal.endDate,
+      'Business Line': proposal.businessLine,
+      Role: candidate.role,
+      Consultant: candidate.name,
+      Score: candidate.score,
+      'Peak Load After': candidate.peakAfter,
+      Explanation: candidate.explanation
+    })));
+    downloadFile(csv, `staffing-shortlist-${exportTimestamp()}.csv`, 'text/csv');
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <h3 className="text-lg font-semibold">Staffing Recommendations</h3>
+
+      {/* Proposed Engagement */}
+      <div className="mt-4 grid grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Project Name</label>
+          <input
+            type="text"
+            className={inputClassName}
+            value={form.projectName}
+            onChange={(e) => setForm({ ...form, projectName: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Start Date</label>
+          <input
+            type="date"
+            className={inputClassName}
+            value={form.startDate}
+            onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">End Date</label>
+          <input
+            type="date"
+            className={inputClassName}
+            value={form.endDate}
+            onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Business Line</label>
+          <select
+            className={inputClassName}
+            value={form.businessLine}
+            onChange={(e) => setForm({ ...form, businessLine: e.target.value })}
+          >
+            <option value="">Any</option>
+            {businessLines.map(line => (
+              <option key={line} value={line}>{line}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        {roles.map(role => (
+          <div key={role} className="w-32">
+            <label className="block text-sm font-medium text-gray-700">{role}s needed</label>
+            <NumberField
+              step="1"
+              value={form.roleCounts[role] || 0}
+              onChange={(value) => setForm({ ...form, roleCounts: { ...form.roleCounts, [role]: Math.round(value) } })}
+            />
+          </div>
+        ))}
+        <button
+          onClick={submit}
+          disabled={!form.startDate || !form.endDate || requiredRoles.length === 0}
+          className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Search className="h-4 w-4 mr-2" />
+          Rank Consultants
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+      {progress && (
+        <div className="mt-4">
+          <TaskProgress {...progress} />
+        </div>
+      )}
+
+      {/* Rankings */}
+      {rankings && shownRole && (
+        <div className="mt-6">
+          <div className="flex space-x-2 border-b border-gray-200">
+            {Object.keys(rankings).map(role => (
+              <button
+                key={role}
+                onClick={() => setActiveRole(role)}
+                className={`px-3 py-2 text-sm font-medium ${
+                  role === shownRole ? 'border-b-2 border-blue-600 text-blue-700' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {role} × {form.roleCounts[role] || 1}
+              </button>
+            ))}
+          </div>
+          <table className="mt-2 min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Consultant</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Score</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Why</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {rankings[shownRole].slice(0, RESULTS_SHOWN).map(candidate => (
+                <tr key={candidate.name} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap">{candidate.name}</td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs ${scoreClassName(candidate.score)}`}>
+                      {candidate.score}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{candidate.explanation}</td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => toggleShortlist(candidate)}
+                      className={isShortlisted(candidate) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}
+                      title={isShortlisted(candidate) ? 'Remove from shortlist' : 'Add to shortlist'}
+                    >
+                      <Star className="h-4 w-4" fill={isShortlisted(candidate) ? 'currentColor' : 'none'} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Shortlist */}
+      {shortlist.length > 0 && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-medium text-gray-500">Shortlist ({shortlist.length})</h4>
+            <div className="flex space-x-2">
+              <button onClick={() => setShortlist([])} className={buttonClassName}>
+                <Trash2 className="h-4 w-4 mr-2" />
+                Clear
+              </button>
+              <button onClick={exportShortlist} className={buttonClassName}>
+                <Download className="h-4 w-4 mr-2" />
+                Export Shortlist
+              </button>
+            </div>
+          </div>
+          <ul className="mt-2 divide-y divide-gray-200">
+            {shortlist.map(candidate => (
+              <li key={`${candidate.role}-${candidate.name}`} className="py-2 text-sm flex justify-between">
+                <span>
+                  <span className="font-medium">{candidate.name}</span>
+                  <span className="text-gray-500"> · {candidate.role} · score {candidate.score}</span>
+                </span>
+                <span className="text-gray-500">{candidate.explanation}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StaffingRecommender;
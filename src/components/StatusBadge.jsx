@@ -0,0 +1,15 @@
+import React from 'react';
+
+const STATUS_BADGE_CLASSES = {
+  'available': 'bg-green-100 text-green-800',
+  'at-capacity': 'bg-yellow-100 text-yellow-800',
+  'over-capacity': 'bg-red-100 text-red-800'
+};
+
+const StatusBadge = ({ status, children }) => (
+  <span className={`px-3 py-1 rounded-full text-sm ${STATUS_BADGE_CLASSES[status]}`}>
+    {children}
+  </span>
+);
+
+export default StatusBadge;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+// Progress of a background task; total 0 means the size isn't known yet
+const TaskProgress = ({ label, done, total, onCancel }) => {
+  const percent = total > 0 ? Math.min(100, Math.round((done / total) * 100)) : null;
+
+  return (
+    <div className="mb-4 p-4 bg-blue-100 text-blue-700 rounded">
+      <div className="flex items-center justify-between text-sm">
+        <span>
+          {label}
+          {percent !== null && ` · ${percent}%`}
+        </span>
+        {onCancel && (
+          <button onClick={onCancel} className="inline-flex items-center text-blue-700 hover:text-blue-900">
+            <X className="h-4 w-4 mr-1" />
+            Cancel
+          </button>
+        )}
+      </div>
+      <div className="mt-2 h-2 bg-blue-200 rounded overflow-hidden">
+        <div
+          className={`h-full bg-blue-600 ${percent === null ? 'w-1/3 animate-pulse' : ''}`}
+          style={percent !== null ? { width: `${percent}%` } : undefined}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default TaskProgress;
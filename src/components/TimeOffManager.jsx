@@ -0,0 +1,198 @@
+import React, { useState, useMemo } from 'react';
+import _ from 'lodash';
+import { Upload, Trash2 } from 'lucide-react';
+import { parseIcs, parseTimeOffCsv } from '../utils/timeOff';
+import { resolveName } from '../utils/consultantIdentity';
+import { formatDate, formatDateRange } from '../utils/dates';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+const ERRORS_SHOWN = 5;
+
+const isIcsFile = (file) => /\.ics$/i.test(file.name);
+
+const formatRange = (entry) => (
+  entry.startDate === entry.endDate ? formatDate(entry.startDate) : formatDateRange(entry.startDate, entry.endDate)
+);
+
+const TimeOffManager = ({ entries, onChange, consultants, aliasLookup }) => {
+  const [calendarConsultant, setCalendarConsultant] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const knownNames = useMemo(() => new Set(consultants.map(c => c.name)), [consultants]);
+  const sortedEntries = useMemo(
+    () => _.sortBy(entries, ['startDate', entry => entry.consultant || '']),
+    [entries]
+  );
+
+  // kind: 'consultants' (CSV with a consultant column), 'calendar' (one consultant's .ics) or 'company'
+  const handleImport = (kind) => (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const options = { source: file.name };
+        let parsed;
+        if (kind === 'calendar') {
+          parsed = parseIcs(reader.result, { ...options, consultant: calendarConsultant });
+        } else if (isIcsFile(file)) {
+          parsed = parseIcs(reader.result, options);
+        } else {
+          parsed = parseTimeOffCsv(reader.result, { ...options, companyWide: kind === 'company' });
+        }
+        onChange([...entries, ...parsed.entries]);
+        setResult({ fileName: file.name, ...parsed });
+        setError(null);
+      } catch (err) {
+        setError(`Error importing ${file.name}: ${err.message}`);
+        setResult(null);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const removeEntry = (id) => {
+    onChange(entries.filter(entry => entry.id !== id));
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Time Off</h3>
+          <p className="text-sm text-gray-500">
+            Planned absences reduce capacity by the share of working days away in each period.
+          </p>
+        </div>
+        <button onClick={() => onChange([])} disabled={entries.length === 0} className={buttonClassName}>
+          <Trash2 className="h-4 w-4 mr-2" />
+          Clear All
+        </button>
+      </div>
+
+      {/* Imports */}
+      <div className="mt-4 grid grid-cols-3 gap-4">
+        <div>
+          <h4 className="text-sm font-medium text-gray-700">Consultant Time Off</h4>
+          <p className="text-xs text-gray-500">CSV with consultant, start date, end date and optional type columns.</p>
+          <label className={`${buttonClassName} mt-2 cursor-pointer`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import CSV
+            <input type="file" className="hidden" accept=".csv" onChange={handleImport('consultants')} />
+          </label>
+        </div>
+        <div>
+          <h4 className="text-sm font-medium text-gray-700">Personal Calendar</h4>
+          <select
+            className={inputClassName}
+            value={calendarConsultant}
+            onChange={(e) => setCalendarConsultant(e.target.value)}
+          >
+            <option value="">Choose consultant...</option>
+            {consultants.map(c => (
+              <option key={c.name} value={c.name}>{c.name}</option>
+            ))}
+          </select>
+          <label className={`${buttonClassName} mt-2 ${calendarConsultant ? 'cursor-pointer' : 'opacity-50 pointer-events-none'}`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import .ics
+            <input
+              type="file"
+              className="hidden"
+              accept=".ics,text/calendar"
+              disabled={!calendarConsultant}
+              onChange={handleImport('calendar')}
+            />
+          </label>
+        </div>
+        <div>
+          <h4 className="text-sm font-medium text-gray-700">Company Holidays</h4>
+          <p className="text-xs text-gray-500">CSV of dates or an .ics calendar; applies to everyone.</p>
+          <label className={`${buttonClassName} mt-2 cursor-pointer`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import Holidays
+            <input type="file" className="hidden" accept=".csv,.ics,text/calendar" onChange={handleImport('company')} />
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-4 p-2 bg-blue-50 text-blue-800 rounded text-sm">
+          Imported {result.entries.length} absences from {result.fileName}
+          {result.errors.length > 0 && `; skipped ${result.errors.length}:`}
+          {result.errors.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-xs">
+              {result.errors.slice(0, ERRORS_SHOWN).map(message => <li key={message}>{message}</li>)}
+              {result.errors.length > ERRORS_SHOWN && <li>and {result.errors.length - ERRORS_SHOWN} more</li>}
+            </ul>
+          )}
+          {result.warnings.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-xs text-orange-800">
+              {result.warnings.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Entries */}
+      {sortedEntries.length > 0 && (
+        <div className="mt-6 max-h-96 overflow-y-auto">
+          <table className="min-w-full">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Consultant</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Dates</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sortedEntries.map(entry => (
+                <tr key={entry.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {entry.consultant || <span className="text-gray-500">Everyone</span>}
+                    {entry.consultant && !knownNames.has(resolveName(entry.consultant, aliasLookup)) && (
+                      <span className="ml-2 text-xs text-yellow-700" title="No deals in the current dataset use this name">
+                        not in dataset
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-500 whitespace-nowrap">{formatRange(entry)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{entry.type}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{entry.description}</td>
+                  <td className="px-4 py-2 text-xs text-gray-400">{entry.source}</td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => removeEntry(entry.id)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove absence"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeOffManager;
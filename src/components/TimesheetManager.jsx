@@ -0,0 +1,239 @@
+import React, { useMemo, useState } from 'react';
+import { Upload, Trash2, UserX, Scale, CalendarRange } from 'lucide-react';
+import {
+  buildCalibrationReport, buildVarianceReport, findUnmatchedNames, parseTimesheetCsv
+} from '../utils/timesheets';
+import { formatDateRange } from '../utils/dates';
+
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+const headerClassName = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase';
+const cellClassName = 'px-4 py-2 text-sm text-gray-500';
+
+const ERRORS_SHOWN = 5;
+
+const formatVariance = ({ varianceHours, variancePct }) => {
+  const sign = varianceHours > 0 ? '+' : '';
+  return `${sign}${varianceHours}h${variancePct === null ? '' : ` (${sign}${variancePct}%)`}`;
+};
+
+// Logging more than planned shows red, less shows green
+const varianceClassName = (row) => (
+  row.varianceHours > 0 ? 'text-red-700' : row.varianceHours < 0 ? 'text-green-700' : 'text-gray-500'
+);
+
+const VarianceTable = ({ label, rows, nameKey }) => (
+  <table className="min-w-full">
+    <thead className="bg-gray-50 sticky top-0">
+      <tr>
+        <th className={headerClassName}>{label}</th>
+        <th className={headerClassName}>Planned</th>
+        <th className={headerClassName}>Logged</th>
+        <th className={headerClassName}>Variance</th>
+      </tr>
+    </thead>
+    <tbody className="bg-white divide-y divide-gray-200">
+      {rows.map(row => (
+        <tr key={row[nameKey]}>
+          <td className="px-4 py-2 text-sm text-gray-900">{row[nameKey]}</td>
+          <td className={cellClassName}>{row.plannedHours}h</td>
+          <td className={cellClassName}>{row.actualHours}h</td>
+          <td className={`px-4 py-2 text-sm ${varianceClassName(row)}`}>{formatVariance(row)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// consultants are computed with the timesheet, so their timelines carry the actuals. Variance and
+// calibration only use the periods the timeline shows that the timesheet covers in full.
+const TimesheetManager = ({
+  timesheet, onChange, consultants, deals, aliasLookup, settings, onShowPeriods, onApplyWeights
+}) => {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const unmatched = useMemo(
+    () => (timesheet ? findUnmatchedNames(timesheet, consultants, deals, aliasLookup) : { consultants: [], deals: [] }),
+    [timesheet, consultants, deals, aliasLookup]
+  );
+  const variance = useMemo(() => buildVarianceReport(consultants, settings), [consultants, settings]);
+  const calibration = useMemo(() => buildCalibrationReport(consultants, settings), [consultants, settings]);
+  const hasSuggestions = calibration.some(row => row.suggestedWeight !== null);
+  const totalHours = timesheet ? Math.round(timesheet.entries.reduce((sum, entry) => sum + entry.hours, 0)) : 0;
+
+  // A new timesheet replaces the previous one
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parseTimesheetCsv(reader.result, { fileName: file.name });
+        onChange(parsed.timesheet);
+        setResult({
+          fileName: file.name, entries: parsed.timesheet.entries.length, errors: parsed.errors, warnings: parsed.warnings
+        });
+        setError(null);
+      } catch (err) {
+        setError(`Error importing ${file.name}: ${err.message}`);
+        setResult(null);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const applySuggestions = () => {
+    const roleWeights = { ...settings.roleWeights };
+    calibration.filter(row => row.suggestedWeight !== null).forEach(row => {
+      roleWeights[row.role] = row.suggestedWeight;
+    });
+    onApplyWeights(roleWeights);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Timesheets{timesheet && ` · ${timesheet.fileName}`}</h3>
+          <p className="text-sm text-gray-500">
+            Hours actually logged, next to the planned load. CSV with consultant, deal, date and hours columns;
+            a full-time period's working hours ({settings.hoursPerDay}h a day) count as the max recommended load.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <label className={`${buttonClassName} cursor-pointer`}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import Timesheet
+            <input type="file" className="hidden" accept=".csv,text/csv" onChange={handleImport} />
+          </label>
+          <button onClick={() => onChange(null)} disabled={!timesheet} className={buttonClassName}>
+            <Trash2 className="h-4 w-4 mr-2" />
+            Remove
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-2 bg-red-100 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-4 p-2 bg-blue-50 text-blue-800 rounded text-sm">
+          Imported {result.entries} entries from {result.fileName}
+          {result.errors.length > 0 && `; skipped ${result.errors.length} rows:`}
+          {result.errors.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-xs">
+              {result.errors.slice(0, ERRORS_SHOWN).map(message => <li key={message}>{message}</li>)}
+              {result.errors.length > ERRORS_SHOWN && <li>and {result.errors.length - ERRORS_SHOWN} more</li>}
+            </ul>
+          )}
+          {result.warnings.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-xs text-orange-800">
+              {result.warnings.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {timesheet && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-700">
+          <span>
+            {formatDateRange(timesheet.firstDate, timesheet.lastDate)} · {totalHours} hours ·{' '}
+            {variance.consultants.length
+              ? 'compared over the fully covered periods of the timeline'
+              : 'no period of the timeline is fully covered yet'}
+          </span>
+          {variance.consultants.length === 0 && (
+            <button onClick={() => onShowPeriods(timesheet.firstDate)} className="inline-flex items-center text-blue-600 hover:text-blue-800">
+              <CalendarRange className="h-4 w-4 mr-1" />
+              Start the timeline at the timesheet
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Names the deals and roster don't know */}
+      {(unmatched.consultants.length > 0 || unmatched.deals.length > 0) && (
+        <div className="mt-4 p-2 bg-orange-50 text-orange-800 rounded text-sm">
+          {unmatched.consultants.length > 0 && (
+            <>
+              <p className="flex items-center font-medium">
+                <UserX className="h-4 w-4 mr-2" />
+                {unmatched.consultants.length} {unmatched.consultants.length === 1 ? 'name' : 'names'} with no deals or roster entry
+              </p>
+              <p className="mt-1">{unmatched.consultants.join(', ')}</p>
+              <p className="mt-1 text-xs">Their hours are left out. Merge misspellings in Aliases.</p>
+            </>
+          )}
+          {unmatched.deals.length > 0 && (
+            <p className="mt-1 text-xs">
+              Hours on {unmatched.deals.length} {unmatched.deals.length === 1 ? 'deal' : 'deals'} not in the import count as
+              unplanned work: {unmatched.deals.join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {variance.consultants.length > 0 && (
+        <div className="mt-6 grid grid-cols-2 gap-6">
+          <div>
+            <h4 className="text-sm font-medium text-gray-500 mb-2">Variance by Role</h4>
+            <VarianceTable label="Role" rows={variance.roles} nameKey="role" />
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            <h4 className="text-sm font-medium text-gray-500 mb-2">Variance by Consultant</h4>
+            <VarianceTable label="Consultant" rows={variance.consultants} nameKey="name" />
+          </div>
+        </div>
+      )}
+
+      {/* Role weight calibration */}
+      {hasSuggestions && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <div>
+              <h4 className="text-sm font-medium text-gray-500">Role Weight Calibration</h4>
+              <p className="text-xs text-gray-500">
+                What each role's committed assignments actually took, as a weight. Roles with few assignments are a rough guide.
+              </p>
+            </div>
+            <button onClick={applySuggestions} className={buttonClassName}>
+              <Scale className="h-4 w-4 mr-2" />
+              Apply to Current Preset
+            </button>
+          </div>
+          <table className="min-w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={headerClassName}>Role</th>
+                <th className={headerClassName}>Current Weight</th>
+                <th className={headerClassName}>Suggested Weight</th>
+                <th className={headerClassName}>Assignments</th>
+                <th className={headerClassName}>Hours Logged</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {calibration.map(row => (
+                <tr key={row.role}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{row.role}</td>
+                  <td className={cellClassName}>{row.currentWeight}</td>
+                  <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.suggestedWeight ?? '—'}</td>
+                  <td className={cellClassName}>{row.assignments}</td>
+                  <td className={cellClassName}>{row.hours}h</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimesheetManager;
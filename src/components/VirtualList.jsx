@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+
+// Extra pixels rendered above and below the viewport so fast scrolling doesn't show gaps
+const OVERSCAN = 800;
+
+// Renders only the items near the viewport of a list that scrolls with the page.
+// Item heights are measured once rendered (and re-measured when they change, e.g. a card
+// expanding); unmeasured items are assumed to be estimatedHeight tall.
+const VirtualList = ({ items, getKey, renderItem, estimatedHeight = 72, gap = 24, scrollToKey }) => {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map());
+  const observer = useRef(null);
+  const elements = useRef(new Map());
+  const refCallbacks = useRef(new Map());
+  const scrolledToKey = useRef(false);
+  const [viewport, setViewport] = useState({ top: 0, bottom: window.innerHeight });
+  const [, setMeasured] = useState(0);
+
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (containerRef.current) {
+        const top = -containerRef.current.getBoundingClientRect().top;
+        setViewport({ top, bottom: top + window.innerHeight });
+      }
+    };
+    const schedule = () => {
+      if (frame === null) {
+        frame = window.requestAnimationFrame(update);
+      }
+    };
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) {
+        window.cancelAnimationFrame(frame);
+      }
+    };
+  }, []);
+
+  const onResize = (entries) => {
+    let changed = false;
+    entries.forEach(entry => {
+      const key = entry.target.dataset.key;
+      const height = entry.target.offsetHeight;
+      if (heights.current.get(key) !== height) {
+        heights.current.set(key, height);
+        changed = true;
+      }
+    });
+    if (changed) {
+      setMeasured(count => count + 1);
+    }
+  };
+
+  // Created on first use because item refs attach before effects run
+  const getObserver = () => {
+    if (!observer.current && typeof ResizeObserver !== 'undefined') {
+      observer.current = new ResizeObserver(onResize);
+    }
+    return observer.current;
+  };
+
+  useEffect(() => () => observer.current && observer.current.disconnect(), []);
+
+  // One stable ref callback per key, so React only calls it when the item mounts or unmounts
+  const measure = (key) => {
+    if (!refCallbacks.current.has(key)) {
+      refCallbacks.current.set(key, (element) => {
+        const resizeObserver = getObserver();
+        const previous = elements.current.get(key);
+        if (previous && resizeObserver) {
+          resizeObserver.unobserve(previous);
+        }
+        if (!element) {
+          elements.current.delete(key);
+          return;
+        }
+        elements.current.set(key, element);
+        if (resizeObserver) {
+          resizeObserver.observe(element);
+        } else if (element.offsetHeight) {
+          heights.current.set(key, element.offsetHeight);
+        }
+      });
+    }
+    return refCallbacks.current.get(key);
+  };
+
+  let offset = 0;
+  const positions = items.map(item => {
+    const key = String(getKey(item));
+    const height = heights.current.get(key) ?? estimatedHeight;
+    const position = { item, key, top: offset, height };
+    offset += height + gap;
+    return position;
+  });
+  const totalHeight = Math.max(0, offset - gap);
+  const visible = positions.filter(p =>
+    p.top + p.height >= viewport.top - OVERSCAN && p.top <= viewport.bottom + OVERSCAN
+  );
+
+  // A shared link to one item scrolls there once, as soon as the list first has items
+  useLayoutEffect(() => {
+    if (scrollToKey && !scrolledToKey.current && items.length > 0 && containerRef.current) {
+      scrolledToKey.current = true;
+      const target = positions.find(p => p.key === scrollToKey);
+      if (target) {
+        const listTop = containerRef.current.getBoundingClientRect().top + window.scrollY;
+        window.scrollTo({ top: listTop + target.top, behavior: 'smooth' });
+      }
+    }
+  });
+
+  return (
+    <div ref={containerRef} className="relative" style={{ height: totalHeight }}>
+      {visible.map(({ item, key, top }) => (
+        <div key={key} ref={measure(key)} data-key={key} className="absolute inset-x-0" style={{ top }}>
+          {renderItem(item)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,11 @@
+// Development server counterpart of the /hubspot redirect in netlify.toml: HubSpot's API doesn't
+// allow cross-origin requests, so the dashboard calls it through the same origin.
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+module.exports = (app) => {
+  app.use('/hubspot', createProxyMiddleware({
+    target: 'https://api.hubapi.com',
+    changeOrigin: true,
+    pathRewrite: { '^/hubspot': '' }
+  }));
+};
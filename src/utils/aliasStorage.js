@@ -0,0 +1,47 @@
+import Papa from 'papaparse';
+
+const STORAGE_KEY = 'capacityDashboard.consultantAliases';
+
+const emptyStore = () => ({ aliases: [], dismissed: [] });
+
+export const loadAliasStore = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? { ...emptyStore(), ...JSON.parse(saved) } : emptyStore();
+  } catch (err) {
+    console.warn('Could not load consultant aliases:', err);
+    return emptyStore();
+  }
+};
+
+export const saveAliasStore = (store) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (err) {
+    console.warn('Could not save consultant aliases:', err);
+  }
+};
+
+export const exportAliasesCsv = (aliases) => Papa.unparse(
+  aliases.map(({ alias, canonical }) => ({ Alias: alias, Canonical: canonical })),
+  { columns: ['Alias', 'Canonical'] }
+);
+
+// Accepts "Alias,Canonical" headers in any case; later rows win over earlier ones
+export const parseAliasesCsv = (text) => {
+  const results = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: h => h.trim().toLowerCase() });
+  const fields = results.meta.fields || [];
+  if (!fields.includes('alias') || !fields.includes('canonical')) {
+    throw new Error('Expected "Alias" and "Canonical" columns');
+  }
+
+  return results.data
+    .map(row => ({ alias: String(row.alias || '').trim(), canonical: String(row.canonical || '').trim() }))
+    .filter(({ alias, canonical }) => alias && canonical && alias !== canonical);
+};
+
+export const mergeAliases = (existing, incoming) => {
+  const byAlias = new Map(existing.map(entry => [entry.alias, entry]));
+  incoming.forEach(entry => byAlias.set(entry.alias, entry));
+  return Array.from(byAlias.values());
+};
@@ -0,0 +1,102 @@
+import _ from 'lodash';
+
+export const UNASSIGNED_LINE = 'Unassigned';
+
+// Months averaged at each end of the horizon when measuring demand growth
+const GROWTH_WINDOW = 3;
+// A line leaning this much on its top two people is flagged as concentrated
+export const CONCENTRATION_WARNING = 0.6;
+
+const round = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+const lineOf = (detail) => detail.businessLine || UNASSIGNED_LINE;
+
+// Weighted demand per business line, who carries it and how each consultant's load splits across lines.
+// Expects consultants built with a monthly timeline.
+export const analyzeBusinessLines = (consultants) => {
+  if (consultants.length === 0) {
+    return { periods: [], lines: [], consultantMix: [] };
+  }
+
+  const reference = consultants[0].timeline;
+  const lineNames = _.uniq(consultants.flatMap(c => c.timeline.flatMap(entry => entry.details.map(lineOf)))).sort();
+
+  // demand[line][idx] and load[line][consultant]
+  const demand = Object.fromEntries(lineNames.map(line => [line, reference.map(() => 0)]));
+  const loadByLine = Object.fromEntries(lineNames.map(line => [line, {}]));
+
+  consultants.forEach(consultant => {
+    consultant.timeline.forEach((entry, idx) => {
+      entry.details.forEach(detail => {
+        const line = lineOf(detail);
+        demand[line][idx] += detail.load;
+        loadByLine[line][consultant.name] = (loadByLine[line][consultant.name] || 0) + detail.load;
+      });
+    });
+  });
+
+  const periods = reference.map((entry, idx) => ({
+    period: entry.period,
+    startDate: entry.startDate,
+    endDate: entry.endDate,
+    demand: Object.fromEntries(lineNames.map(line => [line, round(demand[line][idx])]))
+  }));
+
+  const growthWindow = Math.max(1, Math.min(GROWTH_WINDOW, Math.floor(reference.length / 2)));
+
+  const lines = lineNames.map(line => {
+    const values = demand[line];
+    const totalDemand = _.sum(values);
+    const startDemand = _.mean(values.slice(0, growthWindow));
+    const endDemand = _.mean(values.slice(-growthWindow));
+    const peakIdx = values.indexOf(_.max(values));
+
+    const supporters = _.orderBy(
+      Object.entries(loadByLine[line]).map(([name, load]) => ({
+        name,
+        load: round(load),
+        share: totalDemand > 0 ? round(load / totalDemand, 2) : 0
+      })),
+      ['load'],
+      ['desc']
+    );
+    const topTwoShare = round(_.sumBy(supporters.slice(0, 2), 'share'), 2);
+
+    return {
+      line,
+      totalDemand: round(totalDemand),
+      averageDemand: round(totalDemand / values.length),
+      peakDemand: round(values[peakIdx]),
+      peakPeriod: reference[peakIdx].period,
+      startDemand: round(startDemand),
+      endDemand: round(endDemand),
+      growth: round(endDemand - startDemand),
+      growthPercent: startDemand > 0 ? Math.round(((endDemand - startDemand) / startDemand) * 100) : null,
+      consultants: supporters,
+      topShare: supporters.length ? supporters[0].share : 0,
+      topTwoShare,
+      isConcentrated: supporters.length > 0 && topTwoShare >= CONCENTRATION_WARNING
+    };
+  });
+
+  const consultantMix = consultants
+    .map(consultant => {
+      const lineLoads = lineNames
+        .map(line => ({ line, load: loadByLine[line][consultant.name] || 0 }))
+        .filter(({ load }) => load > 0);
+      const totalLoad = _.sumBy(lineLoads, 'load');
+      return {
+        name: consultant.name,
+        totalLoad: round(totalLoad),
+        lines: lineLoads.map(({ line, load }) => ({ line, load: round(load), share: round(load / totalLoad, 2) }))
+      };
+    })
+    .filter(mix => mix.totalLoad > 0)
+    .sort((a, b) => b.totalLoad - a.totalLoad);
+
+  return {
+    periods,
+    lines: _.orderBy(lines, ['growth', 'totalDemand'], ['desc', 'desc']),
+    consultantMix
+  };
+};
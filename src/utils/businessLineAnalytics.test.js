@@ -0,0 +1,38 @@
+import { DEFAULT_SETTINGS, buildConsultants } from './capacity';
+import { UNASSIGNED_LINE, analyzeBusinessLines } from './businessLineAnalytics';
+
+const deal = (dealName, businessLine, startDate, endDate, staffing) => ({
+  dealName,
+  businessLine,
+  startDate,
+  endDate,
+  staffing: Object.entries(staffing).map(([role, consultants]) => ({ role, column: role, consultants }))
+});
+
+const timelineOptions = { granularity: 'month', startDate: '2025-01-01', horizon: 6 };
+
+test('sums demand per line and ranks lines by growth', () => {
+  const deals = [
+    deal('Warehouse', 'Data', '2025-01-01', '2025-02-28', { Lead: ['Ann'] }),
+    deal('Portal', 'Digital', '2025-04-01', '2025-06-30', { Lead: ['Bob'], Supporting: ['Ann'] }),
+    deal('Audit', '', '2025-01-01', '2025-06-30', { 'Strategic Advisor': ['Cara'] })
+  ];
+  const { periods, lines, consultantMix } = analyzeBusinessLines(
+    buildConsultants(deals, DEFAULT_SETTINGS, { timelineOptions })
+  );
+
+  expect(periods[0].demand).toEqual({ Data: 1, Digital: 0, [UNASSIGNED_LINE]: 0.3 });
+  expect(periods[3].demand).toEqual({ Data: 0, Digital: 1.5, [UNASSIGNED_LINE]: 0.3 });
+
+  expect(lines.map(l => l.line)).toEqual(['Digital', UNASSIGNED_LINE, 'Data']);
+  const digital = lines[0];
+  expect(digital.growth).toBe(1.5);
+  expect(digital.consultants.map(c => [c.name, c.share])).toEqual([['Bob', 0.67], ['Ann', 0.33]]);
+  expect(digital.isConcentrated).toBe(true);
+
+  const ann = consultantMix.find(mix => mix.name === 'Ann');
+  expect(ann.lines).toEqual([
+    { line: 'Data', load: 2, share: 0.57 },
+    { line: 'Digital', load: 1.5, share: 0.43 }
+  ]);
+});
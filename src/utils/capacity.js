@@ -0,0 +1,383 @@
+import _ from 'lodash';
+import { resolveName } from './consultantIdentity';
+import { parseDateValue, toISODate } from './dates';
+import { DEFAULT_FISCAL_CALENDAR, getPeriodContaining, getQuarterKey } from './fiscalCalendar';
+import {
+  DEFAULT_FORECAST_LAYER, DEFAULT_STAGE_PROBABILITIES, getDealProbability, getLayerFactor, isCommitted
+} from './pipeline';
+
+export const DEFAULT_ROLE_WEIGHTS = {
+  'Lead': 1,
+  'Co-Lead': 0.7,
+  'Strategic Advisor': 0.3,
+  'Supporting': 0.5
+};
+
+export const DEFAULT_SETTINGS = {
+  roleWeights: DEFAULT_ROLE_WEIGHTS,
+  maxRecommendedLoad: 8,
+  // Fractions of maxRecommendedLoad where each status band starts
+  statusThresholds: {
+    atCapacity: 0.8,
+    overCapacity: 1
+  },
+  stageProbabilities: DEFAULT_STAGE_PROBABILITIES,
+  // Working hours in a full-time day, to turn logged timesheet hours into load
+  hoursPerDay: 8,
+  // Fiscal year start and month pattern behind timeline months, quarters and their labels
+  fiscalCalendar: DEFAULT_FISCAL_CALENDAR
+};
+
+export const CAPACITY_STATUSES = ['available', 'at-capacity', 'over-capacity'];
+
+export const CAPACITY_STATUS_LABELS = {
+  'available': 'Available Capacity',
+  'at-capacity': 'At Capacity',
+  'over-capacity': 'Over Capacity'
+};
+
+export const getRoleWeight = (role, settings) => settings.roleWeights[role] || 0;
+
+export const getCapacityStatus = (load, settings) => {
+  const { maxRecommendedLoad, statusThresholds } = settings;
+  if (load > maxRecommendedLoad * statusThresholds.overCapacity) {
+    return 'over-capacity';
+  }
+  if (load >= maxRecommendedLoad * statusThresholds.atCapacity) {
+    return 'at-capacity';
+  }
+  return 'available';
+};
+
+export const GRANULARITIES = {
+  week: { label: 'Weekly', unit: 'Week' },
+  month: { label: 'Monthly', unit: 'Month' },
+  quarter: { label: 'Quarterly', unit: 'Quarter' }
+};
+
+export const DEFAULT_TIMELINE_OPTIONS = {
+  granularity: 'month',
+  // null starts the timeline at the period containing today
+  startDate: null,
+  horizon: 12,
+  // Which pipeline layer drives load, capacity and status
+  layer: DEFAULT_FORECAST_LAYER
+};
+
+const MONTHS_PER_UNIT = { week: 12 / 52, month: 1, quarter: 3 };
+
+// The same stretch of time as the given timeline options, bucketed by month
+export const toMonthlyOptions = (options) => ({
+  ...options,
+  granularity: 'month',
+  horizon: Math.max(1, Math.round(options.horizon * MONTHS_PER_UNIT[options.granularity]))
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Missing and unreadable values parse as null rather than the epoch or a guess. Plain "YYYY-MM-DD"
+// dates are read as local calendar days, not UTC midnight; see dates.js for the other forms.
+export const parseDate = (value) => parseDateValue(value);
+
+export { toISODate };
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Whole days between two local midnights, immune to daylight saving shifts
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+// Project dates as a [start, end) range of local days, or null if unusable
+const getProjectRange = (project) => {
+  const startDate = parseDate(project.startDate);
+  const endDate = parseDate(project.endDate);
+  if (!startDate || !endDate || endDate < startDate) {
+    return null;
+  }
+  return { start: startOfDay(startDate), end: addDays(endDate, 1) };
+};
+
+const isActiveOn = (project, date) => {
+  const range = getProjectRange(project);
+  const day = startOfDay(date);
+  return range !== null && day >= range.start && day < range.end;
+};
+
+// Months and quarters follow the fiscal calendar (see fiscalCalendar.js); weeks start on Monday
+export const buildPeriods = (options = DEFAULT_TIMELINE_OPTIONS, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const { granularity, startDate, horizon } = { ...DEFAULT_TIMELINE_OPTIONS, ...options };
+  const periods = [];
+  let period = getPeriodContaining(startOfDay(parseDate(startDate) || new Date()), granularity, calendar);
+
+  for (let i = 0; i < horizon; i++) {
+    periods.push(period);
+    period = getPeriodContaining(period.end, granularity, calendar);
+  }
+  return periods;
+};
+
+// Share of the period's days that the project covers, from 0 to 1
+const getCoverage = (range, period) => {
+  if (!range) {
+    return 0;
+  }
+  const overlapStart = range.start > period.start ? range.start : period.start;
+  const overlapEnd = range.end < period.end ? range.end : period.end;
+  const overlapDays = daysBetween(overlapStart, overlapEnd);
+  return overlapDays > 0 ? overlapDays / daysBetween(period.start, period.end) : 0;
+};
+
+const isWorkday = (date) => date.getDay() !== 0 && date.getDay() !== 6;
+
+const getAbsenceRange = (absence) => {
+  const start = parseDate(absence.startDate);
+  const end = parseDate(absence.endDate);
+  return start && end && end >= start ? { start: startOfDay(start), end: addDays(end, 1) } : null;
+};
+
+// A roster member's [start, day after leaving) range; either end may be open
+const getEmploymentRange = (member) => {
+  const start = member && parseDate(member.startDate);
+  const leave = member && parseDate(member.leaveDate);
+  return start || leave ? { start: start ? startOfDay(start) : null, end: leave ? addDays(leave, 1) : null } : null;
+};
+
+const isEmployedOn = (employment, day) => (
+  !employment || ((!employment.start || day >= employment.start) && (!employment.end || day < employment.end))
+);
+
+// Working days (Monday to Friday) in the period, how many of them someone is employed and how many
+// of those they are away
+const countWorkdays = (ranges, employment, period) => {
+  let workdays = 0;
+  let employed = 0;
+  let absent = 0;
+  for (let day = period.start; day < period.end; day = addDays(day, 1)) {
+    if (isWorkday(day)) {
+      workdays += 1;
+      if (isEmployedOn(employment, day)) {
+        employed += 1;
+        if (ranges.some(range => day >= range.start && day < range.end)) {
+          absent += 1;
+        }
+      }
+    }
+  }
+  return { workdays, employed, absent };
+};
+
+const round = (value) => parseFloat(value.toFixed(1));
+
+// A timesheet covers the periods that end by the day after its last logged date and that it starts
+// logging in by their first week, so a sheet beginning on the 3rd still covers that month
+const isCoveredBy = (timesheet, period) => (
+  addDays(parseDate(timesheet.lastDate), 1) >= period.end && parseDate(timesheet.firstDate) < addDays(period.start, 7)
+);
+
+const dealKey = (name) => String(name ?? '').trim().toLowerCase();
+
+// Hours logged in the period as load: a full-time period's working hours count as maxRecommendedLoad.
+// actualDetails splits them by deal, with the consultant's role when they're staffed on it.
+const getActuals = (timesheet, period, projects, settings) => {
+  const startDate = toISODate(period.start);
+  const endDate = toISODate(addDays(period.end, -1));
+  if (timesheet.firstDate > endDate || timesheet.lastDate < startDate) {
+    return { actualHours: null, actualLoad: null, actualComplete: false, capacityHours: 0, actualDetails: [] };
+  }
+  const { workdays } = countWorkdays([], null, period);
+  const capacityHours = workdays * (settings.hoursPerDay || DEFAULT_SETTINGS.hoursPerDay);
+  const toLoad = (hours) => (capacityHours > 0 ? (hours / capacityHours) * settings.maxRecommendedLoad : 0);
+  const logged = timesheet.entries.filter(entry => entry.date >= startDate && entry.date <= endDate);
+  const projectsByDeal = _.keyBy([...projects].reverse(), project => dealKey(project.projectName));
+  const actualHours = _.sumBy(logged, 'hours');
+
+  return {
+    actualHours: round(actualHours),
+    actualLoad: round(toLoad(actualHours)),
+    actualComplete: isCoveredBy(timesheet, period),
+    capacityHours,
+    actualDetails: Object.values(_.groupBy(logged, entry => dealKey(entry.deal))).map(entries => {
+      const project = projectsByDeal[dealKey(entries[0].deal)];
+      const hours = _.sumBy(entries, 'hours');
+      return {
+        name: project ? project.projectName : entries[0].deal,
+        role: project ? project.role : null,
+        hours: parseFloat(hours.toFixed(2)),
+        load: parseFloat(toLoad(hours).toFixed(2))
+      };
+    })
+  };
+};
+
+// Load in each period is prorated by the share of the period each project covers.
+// Every entry carries all three pipeline layers; weightedLoad follows options.layer.
+// Absences take their share of working days off the period's capacity as absenceLoad, and count
+// towards the period's capacity status.
+// A roster member's FTE scales their ceiling (maxLoad), which is also prorated to the working days
+// between their start and leave dates.
+// A timesheet ({ entries, firstDate, lastDate }, see utils/timesheets) adds what was actually logged
+// to the periods it overlaps: actualHours, actualLoad, actualDetails and whether it covers the whole
+// period (actualComplete).
+export const generateTimeline = (
+  projects, settings, options = DEFAULT_TIMELINE_OPTIONS, absences = [], member = null, timesheet = null
+) => {
+  const calendar = settings.fiscalCalendar || DEFAULT_FISCAL_CALENDAR;
+  const periods = buildPeriods(options, calendar);
+  const ranges = projects.map(getProjectRange);
+  const absenceRanges = absences.map(getAbsenceRange).filter(Boolean);
+  const employment = getEmploymentRange(member);
+  const fullTimeLoad = settings.maxRecommendedLoad * (member ? member.fte : 1);
+  const layer = options.layer || DEFAULT_FORECAST_LAYER;
+
+  return periods.map(period => {
+    const activeProjects = projects
+      .map((project, idx) => {
+        const probability = project.probability ?? 1;
+        const share = getCoverage(ranges[idx], period);
+        return { project, probability, share, load: getRoleWeight(project.role, settings) * share };
+      })
+      .filter(({ share, probability }) => share > 0 && probability > 0);
+
+    const committedLoad = _.sumBy(activeProjects, ({ load, probability }) => (isCommitted(probability) ? load : 0));
+    const pipelineLoad = _.sumBy(activeProjects, ({ load, probability }) => (isCommitted(probability) ? 0 : load * probability));
+    const upsideLoad = _.sumBy(activeProjects, ({ load, probability }) => (isCommitted(probability) ? 0 : load * (1 - probability)));
+    const layerProjects = activeProjects.filter(({ probability }) => getLayerFactor(probability, layer) > 0);
+    const weightedLoad = _.sumBy(layerProjects, ({ load, probability }) => load * getLayerFactor(probability, layer));
+    const { workdays, employed, absent } = absenceRanges.length || employment
+      ? countWorkdays(absenceRanges, employment, period)
+      : { workdays: 0, employed: 0, absent: 0 };
+    const maxLoad = workdays > 0 ? fullTimeLoad * (employed / workdays) : fullTimeLoad;
+    const absenceLoad = workdays > 0 ? fullTimeLoad * (absent / workdays) : 0;
+
+    const load = round(weightedLoad);
+    const absence = round(absenceLoad);
+    const ceiling = round(maxLoad);
+    return {
+      period: period.label,
+      startDate: toISODate(period.start),
+      endDate: toISODate(addDays(period.end, -1)),
+      // Key of the quarter the period starts in, e.g. '2025-Q3', for the status period filter
+      quarter: getQuarterKey(period.start, calendar),
+      projects: layerProjects.length,
+      weightedLoad: load,
+      maxLoad: ceiling,
+      capacity: round(Math.max(0, maxLoad - absenceLoad - weightedLoad)),
+      absenceLoad: absence,
+      status: getCapacityStatus(load + absence, { ...settings, maxRecommendedLoad: ceiling }),
+      absentDays: absent,
+      committedLoad: round(committedLoad),
+      pipelineLoad: round(pipelineLoad),
+      upsideLoad: round(upsideLoad),
+      bestCaseLoad: round(committedLoad + pipelineLoad + upsideLoad),
+      details: layerProjects.map(({ project, probability, share, load }) => ({
+        name: project.projectName,
+        role: project.role,
+        businessLine: project.businessLine,
+        probability,
+        share: parseFloat(share.toFixed(2)),
+        load: parseFloat((load * getLayerFactor(probability, layer)).toFixed(2))
+      })),
+      ...(timesheet ? getActuals(timesheet, period, projects, settings) : {})
+    };
+  });
+};
+
+// The period containing today, or the first period when today is outside the timeline
+export const getCurrentPeriod = (timeline) => {
+  const today = toISODate(new Date());
+  return timeline.find(entry => entry.startDate <= today && today <= entry.endDate) || timeline[0];
+};
+
+// Company-wide absences (no consultant) apply to everyone; personal ones are matched through the alias table
+const getConsultantAbsences = (absences, name, aliasLookup) => absences.filter(absence =>
+  !absence.consultant || resolveName(absence.consultant, aliasLookup) === name
+);
+
+const getConsultantTimesheet = (timesheet, name, aliasLookup) => timesheet && {
+  ...timesheet,
+  entries: timesheet.entries.filter(entry => resolveName(entry.consultant, aliasLookup) === name)
+};
+
+// roster members (see utils/roster) set each person's capacity. Members without deals are listed as
+// idle unless they aren't employed at any point of the timeline; idleBusinessLines, when given,
+// keeps only idle members from those home business lines.
+// timesheet adds actuals to every timeline; hours of names without deals or a roster entry are left out.
+// onProgress(done, total) is called after each consultant's timeline, for long-running imports
+export const buildConsultants = (deals, settings, {
+  aliasLookup = {},
+  timelineOptions,
+  absences = [],
+  roster = [],
+  idleBusinessLines = null,
+  timesheet = null,
+  onProgress
+} = {}) => {
+  // Process consultant projects, keyed on the canonical name of each spelling
+  const projectsByConsultant = {};
+  const sourceNames = {};
+  deals.forEach(deal => {
+    deal.staffing.forEach(({ role, consultants }) => {
+      consultants.forEach(sourceName => {
+        const name = resolveName(sourceName, aliasLookup);
+        if (!projectsByConsultant[name]) {
+          projectsByConsultant[name] = [];
+          sourceNames[name] = new Set();
+        }
+        sourceNames[name].add(sourceName);
+        projectsByConsultant[name].push({
+          projectName: deal.dealName,
+          role: role,
+          startDate: deal.startDate,
+          endDate: deal.endDate,
+          businessLine: deal.businessLine,
+          dealStage: deal.dealStage,
+          probability: getDealProbability(deal, settings)
+        });
+      });
+    });
+  });
+
+  // Roster members join on their canonical name
+  const members = _.keyBy(roster, member => resolveName(member.name, aliasLookup));
+  Object.entries(members).forEach(([name, member]) => {
+    const isIdle = !projectsByConsultant[name];
+    if (isIdle && (!idleBusinessLines || idleBusinessLines.includes(member.businessLine))) {
+      projectsByConsultant[name] = [];
+      sourceNames[name] = new Set([member.name]);
+    }
+  });
+
+  // Generate timeline data for each consultant
+  const entries = Object.entries(projectsByConsultant);
+  return entries
+    .map(([name, projects], idx) => {
+      const member = members[name] || null;
+      const consultantAbsences = getConsultantAbsences(absences, name, aliasLookup);
+      const timeline = generateTimeline(
+        projects, settings, timelineOptions, consultantAbsences, member, getConsultantTimesheet(timesheet, name, aliasLookup)
+      );
+      const currentPeriod = getCurrentPeriod(timeline);
+      if (onProgress) {
+        onProgress(idx + 1, entries.length);
+      }
+      return {
+        name,
+        sourceNames: Array.from(sourceNames[name]).sort(),
+        projects: _.uniqBy(projects, 'projectName'),
+        // Every role on every deal, where projects lists each deal once
+        assignments: projects,
+        timeline,
+        currentPeriod,
+        currentLoad: projects
+          .filter(p => getLayerFactor(p.probability, timelineOptions?.layer) > 0 && isActiveOn(p, new Date()))
+          .length,
+        absences: consultantAbsences,
+        status: currentPeriod.status,
+        roster: member,
+        maxLoad: round(settings.maxRecommendedLoad * (member ? member.fte : 1))
+      };
+    })
+    .filter(consultant => consultant.projects.length > 0 || consultant.timeline.some(entry => entry.maxLoad > 0))
+    .sort((a, b) => b.currentLoad - a.currentLoad);
+};
@@ -0,0 +1,122 @@
+import { DEFAULT_SETTINGS, buildConsultants, buildPeriods, generateTimeline } from './capacity';
+
+const lead = (startDate, endDate) => ({ projectName: 'Acme', role: 'Lead', startDate, endDate });
+
+test('prorates load by the share of each month a project covers', () => {
+  const timeline = generateTimeline(
+    [lead('2025-03-03', '2025-03-28'), lead('2025-03-01', '2025-04-02')],
+    DEFAULT_SETTINGS,
+    { granularity: 'month', startDate: '2025-03-01', horizon: 2 }
+  );
+
+  // 26 of 31 March days plus the whole of March
+  expect(timeline[0].weightedLoad).toBe(1.8);
+  expect(timeline[0].projects).toBe(2);
+  // 2 of 30 April days
+  expect(timeline[1].weightedLoad).toBe(0.1);
+  expect(timeline[1].details[0].share).toBe(0.07);
+});
+
+test('builds weekly and quarterly periods from a custom start date', () => {
+  const weeks = buildPeriods({ granularity: 'week', startDate: '2025-03-05', horizon: 2 });
+  expect(weeks.map(p => p.start.getDate())).toEqual([3, 10]);
+
+  const quarters = buildPeriods({ granularity: 'quarter', startDate: '2025-05-20', horizon: 3 });
+  expect(quarters.map(p => p.label)).toEqual(['Q2 25', 'Q3 25', 'Q4 25']);
+});
+
+test('quarterly load reflects partial coverage', () => {
+  const [quarter] = generateTimeline(
+    [lead('2025-01-01', '2025-02-14')],
+    DEFAULT_SETTINGS,
+    { granularity: 'quarter', startDate: '2025-01-01', horizon: 1 }
+  );
+  // 45 of 90 days
+  expect(quarter.weightedLoad).toBe(0.5);
+  expect(quarter.capacity).toBe(7.5);
+});
+
+test('splits load into committed, weighted pipeline and best case layers', () => {
+  const deal = (dealName, dealStage, probability) => ({
+    dealName,
+    dealStage,
+    probability,
+    startDate: '2025-01-01',
+    endDate: '2025-01-31',
+    staffing: [{ role: 'Lead', column: 'Project Lead', consultants: ['Ann'] }]
+  });
+  const deals = [
+    deal('Won', 'Closed Won', null),
+    deal('Open', 'Qualified To Buy', 0.9),
+    deal('Custom', 'Verbal Yes', '20%'),
+    deal('Lost', 'Closed Lost', null)
+  ];
+  const timelineOptions = { granularity: 'month', startDate: '2025-01-01', horizon: 1 };
+
+  const [entry] = buildConsultants(deals, DEFAULT_SETTINGS, { timelineOptions })[0].timeline;
+  // The stage table wins over the deal's own probability; unknown stages fall back to it
+  expect(entry).toMatchObject({ committedLoad: 1, pipelineLoad: 0.6, upsideLoad: 1.4, bestCaseLoad: 3, weightedLoad: 1.6 });
+  expect(entry.details.map(d => d.name)).toEqual(['Won', 'Open', 'Custom']);
+
+  const [committed] = buildConsultants(deals, DEFAULT_SETTINGS, {
+    timelineOptions: { ...timelineOptions, layer: 'committed' }
+  })[0].timeline;
+  expect(committed.weightedLoad).toBe(1);
+  expect(committed.projects).toBe(1);
+});
+
+test('time off takes its share of working days off capacity', () => {
+  const deals = [{
+    dealName: 'Acme',
+    startDate: '2025-01-01',
+    endDate: '2025-01-31',
+    staffing: [{ role: 'Lead', column: 'Project Lead', consultants: ['Ann', 'Bob'] }]
+  }];
+  const absences = [
+    { consultant: 'Ann', startDate: '2025-01-04', endDate: '2025-01-10' },
+    { consultant: null, startDate: '2025-01-01', endDate: '2025-01-01' }
+  ];
+  const timelineOptions = { granularity: 'month', startDate: '2025-01-01', horizon: 1 };
+
+  const [ann, bob] = buildConsultants(deals, DEFAULT_SETTINGS, { timelineOptions, absences })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  // The weekend of 4-5 January is not counted: 6 of 23 working days for Ann, the company holiday for Bob
+  expect(ann.timeline[0]).toMatchObject({ absentDays: 6, absenceLoad: 2.1, weightedLoad: 1, capacity: 4.9 });
+  expect(bob.timeline[0]).toMatchObject({ absentDays: 1, absenceLoad: 0.3, capacity: 6.7 });
+  expect(ann.absences).toHaveLength(2);
+});
+
+test('roster members get their own ceiling and appear without deals', () => {
+  const deals = [{
+    dealName: 'Acme',
+    startDate: '2025-01-01',
+    endDate: '2025-01-31',
+    staffing: [{ role: 'Lead', column: 'Project Lead', consultants: ['Ann', 'Bob'] }]
+  }];
+  const member = (name, fields) => ({ name, fte: 1, startDate: null, leaveDate: null, skills: [], ...fields });
+  const roster = [
+    member('Ann', { fte: 0.1 }),
+    member('Cara'),
+    member('Dan', { leaveDate: '2024-06-30' }),
+    member('Eve', { startDate: '2025-01-16' })
+  ];
+  const timelineOptions = { granularity: 'month', startDate: '2025-01-01', horizon: 1 };
+
+  const consultants = buildConsultants(deals, DEFAULT_SETTINGS, { timelineOptions, roster });
+  const byName = Object.fromEntries(consultants.map(c => [c.name, c]));
+  // Dan left before the timeline and has no deals
+  expect(Object.keys(byName).sort()).toEqual(['Ann', 'Bob', 'Cara', 'Eve']);
+  expect(byName.Ann.timeline[0]).toMatchObject({ maxLoad: 0.8, weightedLoad: 1, capacity: 0, status: 'over-capacity' });
+  expect(byName.Bob).toMatchObject({ roster: null, maxLoad: 8, status: 'available' });
+  expect(byName.Cara.timeline[0]).toMatchObject({ maxLoad: 8, capacity: 8, status: 'available' });
+  expect(byName.Cara.projects).toEqual([]);
+  // Eve joins for 12 of January's 23 working days
+  expect(byName.Eve.timeline[0].maxLoad).toBe(4.2);
+
+  const dataOnly = buildConsultants([], DEFAULT_SETTINGS, {
+    timelineOptions,
+    roster: [member('Cara', { businessLine: 'Data' }), member('Eve', { businessLine: 'Strategy' })],
+    idleBusinessLines: ['Data']
+  });
+  expect(dataOnly.map(c => c.name)).toEqual(['Cara']);
+});
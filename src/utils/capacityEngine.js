@@ -0,0 +1,233 @@
+import Papa from 'papaparse';
+import {
+  CAPACITY_STATUS_LABELS, DEFAULT_SETTINGS, DEFAULT_TIMELINE_OPTIONS, buildConsultants, buildPeriods, parseDate, toISODate
+} from './capacity';
+import { DEFAULT_FISCAL_CALENDAR, formatQuarterKey, getPeriodContaining, getQuarterKey } from './fiscalCalendar';
+import { detectMapping, mapRowsToDeals } from './columnMapping';
+import { analyzeDeals } from './importDiagnostics';
+import { BUILT_IN_PROFILES, findMatchingProfile } from './importProfiles';
+import { FORECAST_LAYERS, getLayerLoads } from './pipeline';
+import { overlapsWindow } from './timeOff';
+
+// Headless capacity engine: everything between a CRM export and the reports, with no React or
+// browser APIs, so the dashboard and the command-line report (scripts/capacity-report.js) share it.
+//
+//   const { headers, rows } = parseDealsCsv(text);
+//   const { consultants } = runCapacityEngine(rows, {
+//     mapping: resolveMapping(headers).mapping,
+//     filters: { businessLines: ['Data'], timeframe: '3months' }
+//   });
+//   const report = buildCsvReport(consultants);
+
+// Parses CSV text the way the upload does: first row as headers, numbers typed, blank lines skipped.
+// Returns { headers, rows }; throws on a file with no header row.
+export const parseDealsCsv = (text) => {
+  const { data, meta } = Papa.parse(text, { header: true, dynamicTyping: true, skipEmptyLines: true });
+  const headers = meta.fields || [];
+  if (headers.length === 0) {
+    throw new Error('CSV has no header row');
+  }
+  return { headers, rows: data };
+};
+
+// Picks the import profile matching the headers, or guesses a mapping when none does.
+// Returns { mapping, profileName } with profileName null for a guessed mapping.
+export const resolveMapping = (headers, profiles = BUILT_IN_PROFILES) => {
+  const profileName = findMatchingProfile(profiles, headers);
+  return profileName
+    ? { mapping: profiles[profileName], profileName }
+    : { mapping: detectMapping(headers), profileName: null };
+};
+
+// Maps rows to deals and computes the timelines of the consultants that pass the filters
+// (see filterDeals and filterConsultants).
+// options: { mapping, settings, timelineOptions, aliasLookup, absences, roster, timesheet, filters, today }
+// Returns { deals, consultants, issues } where deals are all mapped deals and issues the import diagnostics.
+export const runCapacityEngine = (rows, {
+  mapping,
+  settings = DEFAULT_SETTINGS,
+  timelineOptions = DEFAULT_TIMELINE_OPTIONS,
+  aliasLookup = {},
+  absences = [],
+  roster = [],
+  timesheet = null,
+  filters = {},
+  today = new Date()
+} = {}) => {
+  if (!mapping) {
+    throw new Error('A column mapping is required');
+  }
+  const deals = mapRowsToDeals(rows, mapping);
+  const consultants = buildConsultants(filterDeals(deals, filters, { today }), settings, {
+    aliasLookup,
+    timelineOptions,
+    absences,
+    roster,
+    timesheet,
+    idleBusinessLines: getIdleBusinessLines(filters)
+  });
+  return {
+    deals,
+    consultants: filterConsultants(consultants, filters),
+    issues: analyzeDeals(deals, settings)
+  };
+};
+
+// Filters that decide which projects count, applied to the deals before any load is computed so
+// timelines, badges and statuses only reflect the projects that pass them
+export const DEAL_FILTER_KEYS = ['businessLines', 'roles', 'timeframe'];
+
+export const STATUS_PERIOD_LABELS = {
+  current: 'This Period',
+  any: 'Any Period'
+};
+
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+
+// Choices for the period the capacity-status filter looks at: the current period, any period
+// of the timeline, or any period in one of the (fiscal) quarters the timeline covers
+export const getStatusPeriodOptions = (timelineOptions = DEFAULT_TIMELINE_OPTIONS, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const periods = buildPeriods(timelineOptions, calendar);
+  const timelineEnd = periods[periods.length - 1].end;
+  const quarters = [];
+  for (
+    let quarter = getPeriodContaining(periods[0].start, 'quarter', calendar);
+    quarter.start < timelineEnd;
+    quarter = getPeriodContaining(quarter.end, 'quarter', calendar)
+  ) {
+    const key = getQuarterKey(quarter.start, calendar);
+    quarters.push({ value: key, label: `Any Time in ${formatQuarterKey(key, calendar)}` });
+  }
+  return [
+    ...Object.entries(STATUS_PERIOD_LABELS).map(([value, label]) => ({ value, label })),
+    ...quarters
+  ];
+};
+
+// The timeline entries a status filter checks
+const getStatusEntries = (consultant, statusPeriod) => {
+  if (statusPeriod === 'any') {
+    return consultant.timeline;
+  }
+  if (/^\d{4}-Q[1-4]$/.test(statusPeriod || '')) {
+    return consultant.timeline.filter(entry => entry.quarter === statusPeriod);
+  }
+  return [consultant.currentPeriod];
+};
+
+// An empty multi-select means everything
+const hasSelection = (selection) => Boolean(selection && selection.length > 0);
+
+// Narrows deals to the projects the filters keep. Every filter is optional:
+// { businessLines: [...], roles: [...], timeframe ('3months' etc.) }, where a timeframe keeps deals
+// overlapping the next N months from `today`. Roles narrow each deal's staffing, and deals left
+// without anyone in the chosen roles are dropped. Returns `deals` itself when nothing is filtered.
+export const filterDeals = (deals, filters = {}, { today = new Date() } = {}) => {
+  const { businessLines, roles, timeframe } = filters;
+  const months = timeframe && timeframe !== 'all' ? parseInt(timeframe, 10) : null;
+  if (!hasSelection(businessLines) && !hasSelection(roles) && !months) {
+    return deals;
+  }
+
+  const from = toISODate(today);
+  const to = months ? toISODate(addMonths(today, months)) : null;
+  return deals
+    .filter(deal => !hasSelection(businessLines) || businessLines.includes(deal.businessLine))
+    .filter(deal => {
+      if (!months) {
+        return true;
+      }
+      const start = parseDate(deal.startDate);
+      const end = parseDate(deal.endDate);
+      return Boolean(start && end) && overlapsWindow({ startDate: toISODate(start), endDate: toISODate(end) }, from, to);
+    })
+    .map(deal => (hasSelection(roles) ? {
+      ...deal,
+      staffing: deal.staffing.filter(({ role }) => roles.includes(role))
+    } : deal))
+    .filter(deal => !hasSelection(roles) || deal.staffing.some(({ consultants }) => consultants.length > 0));
+};
+
+// Roster members without deals count as idle in every business line unless lines are selected,
+// in which case only members whose home line is selected are listed
+export const getIdleBusinessLines = (filters = {}) => (hasSelection(filters.businessLines) ? filters.businessLines : null);
+
+// Narrows consultants computed from filtered deals. Every filter is optional:
+// { capacityStatus, statusPeriod ('current', 'any' or a fiscal quarter like '2025-Q3'), consultantSearch, outFrom, outTo,
+//   seniorities, homeLines, skills }. The roster filters only keep consultants on the roster, and skills match
+// consultants with any of the selected skills.
+// With a status period other than the current one a consultant matches when any entry in it has the status.
+export const filterConsultants = (consultants, filters = {}) => {
+  let filtered = [...consultants];
+
+  // Roster filters
+  if (hasSelection(filters.seniorities)) {
+    filtered = filtered.filter(({ roster }) => roster && filters.seniorities.includes(roster.seniority));
+  }
+  if (hasSelection(filters.homeLines)) {
+    filtered = filtered.filter(({ roster }) => roster && filters.homeLines.includes(roster.businessLine));
+  }
+  if (hasSelection(filters.skills)) {
+    filtered = filtered.filter(({ roster }) => roster && roster.skills.some(skill => filters.skills.includes(skill)));
+  }
+
+  // Capacity Status filter
+  if (filters.capacityStatus && filters.capacityStatus !== 'all') {
+    filtered = filtered.filter(consultant =>
+      getStatusEntries(consultant, filters.statusPeriod).some(entry => entry.status === filters.capacityStatus)
+    );
+  }
+
+  // Out-of-office window: keep consultants with time off overlapping it
+  if (filters.outFrom || filters.outTo) {
+    filtered = filtered.filter(consultant =>
+      consultant.absences.some(absence => overlapsWindow(absence, filters.outFrom, filters.outTo))
+    );
+  }
+
+  // Consultant Search
+  if (filters.consultantSearch) {
+    filtered = filtered.filter(consultant =>
+      consultant.name.toLowerCase().includes(filters.consultantSearch.toLowerCase())
+    );
+  }
+
+  return filtered;
+};
+
+// One row per consultant and project, with the consultant's current-period figures repeated on each.
+// Consultants without projects (idle roster members) get a single row with the project columns blank.
+export const buildReportRows = (consultants, { layer = DEFAULT_TIMELINE_OPTIONS.layer } = {}) => (
+  consultants.flatMap(consultant => {
+    const layerLoads = getLayerLoads(consultant.currentPeriod);
+    const projects = consultant.projects.length ? consultant.projects : [{}];
+    return projects.map(project => ({
+      Consultant: consultant.name,
+      Project: project.projectName || '',
+      Role: project.role || '',
+      'Business Line': project.businessLine || '',
+      'Start Date': project.startDate || '',
+      'End Date': project.endDate || '',
+      'Deal Stage': project.dealStage || '',
+      'Probability': project.probability ?? '',
+      'Period': consultant.currentPeriod.period,
+      'Current Load': consultant.currentPeriod.weightedLoad,
+      'Max Load': consultant.currentPeriod.maxLoad,
+      'Available Capacity': consultant.currentPeriod.capacity,
+      'Planned Absence': consultant.currentPeriod.absenceLoad,
+      'Status': CAPACITY_STATUS_LABELS[consultant.status],
+      'Forecast Layer': FORECAST_LAYERS[layer].label,
+      'Committed Load': layerLoads.committed,
+      'Weighted Pipeline Load': layerLoads.weighted,
+      'Best Case Load': layerLoads.bestCase,
+      'FTE': consultant.roster ? consultant.roster.fte : '',
+      'Seniority': consultant.roster ? consultant.roster.seniority : '',
+      'Home Business Line': consultant.roster ? consultant.roster.businessLine : '',
+      'Skills': consultant.roster ? consultant.roster.skills.join('; ') : ''
+    }));
+  })
+);
+
+export const buildCsvReport = (consultants, options) => Papa.unparse(buildReportRows(consultants, options));
+
+export const buildJsonReport = (consultants) => JSON.stringify(consultants, null, 2);
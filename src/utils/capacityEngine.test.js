@@ -0,0 +1,130 @@
+import Papa from 'papaparse';
+import { DEFAULT_SETTINGS } from './capacity';
+import {
+  buildCsvReport, buildReportRows, filterConsultants, filterDeals, getStatusPeriodOptions, parseDealsCsv,
+  resolveMapping, runCapacityEngine
+} from './capacityEngine';
+
+const CSV = [
+  'Deal Name,Contract Start Date,Contract End Date,Primary Business Line,Project Lead,Project Co-Lead,Project Strategic Advisors,Project Supporting Consultants',
+  'Acme,2025-01-01,2025-03-31,Data,Ann,Bob,,Cara;Dan',
+  'Globex,2025-01-01,2025-01-31,Strategy,Bob,,Ann,',
+  'Initech,2025-02-01,,Data,Cara,,,'
+].join('\n');
+
+const timelineOptions = { granularity: 'month', startDate: '2025-01-01', horizon: 3, layer: 'weighted' };
+
+const run = (options = {}) => {
+  const { headers, rows } = parseDealsCsv(CSV);
+  return runCapacityEngine(rows, { mapping: resolveMapping(headers).mapping, timelineOptions, ...options });
+};
+
+test('runs a HubSpot export through the built-in profile', () => {
+  const { headers } = parseDealsCsv(CSV);
+  expect(resolveMapping(headers).profileName).toBe('HubSpot default');
+
+  const { deals, consultants, issues } = run();
+  expect(deals).toHaveLength(3);
+  expect(consultants.map(c => c.name).sort()).toEqual(['Ann', 'Bob', 'Cara', 'Dan']);
+  const bob = consultants.find(c => c.name === 'Bob');
+  // Co-Lead on Acme plus Lead on Globex in January
+  expect(bob.timeline.map(entry => entry.weightedLoad)).toEqual([1.7, 0.7, 0.7]);
+  expect(issues.map(issue => issue.rowNumber)).toContain(4);
+  expect(() => parseDealsCsv('')).toThrow('no header row');
+  expect(() => runCapacityEngine([], {})).toThrow('column mapping');
+});
+
+test('filters by status, name and time off', () => {
+  const absences = [{ consultant: 'Dan', startDate: '2025-02-10', endDate: '2025-02-14' }];
+  const { consultants } = run({ absences });
+
+  expect(filterConsultants(consultants, { consultantSearch: 'an' }).map(c => c.name).sort()).toEqual(['Ann', 'Dan']);
+  expect(filterConsultants(consultants, { outFrom: '2025-02-01', outTo: '2025-02-28' }).map(c => c.name)).toEqual(['Dan']);
+  expect(filterConsultants(consultants, { capacityStatus: 'over-capacity' })).toEqual([]);
+});
+
+test('applies project filters before load is computed', () => {
+  const today = new Date(2025, 1, 10);
+  const { deals } = run();
+  expect(filterDeals(deals, { businessLines: [], roles: [], timeframe: 'all' })).toBe(deals);
+
+  // Bob's timeline and projects only keep his Data work
+  const data = run({ filters: { businessLines: ['Data'] } }).consultants;
+  const bob = data.find(c => c.name === 'Bob');
+  expect(bob.projects.map(p => p.projectName)).toEqual(['Acme']);
+  expect(bob.timeline.map(entry => entry.weightedLoad)).toEqual([0.7, 0.7, 0.7]);
+
+  // Globex finished in January, so it doesn't overlap the next month; Initech has no end date
+  const upcoming = filterDeals(deals, { timeframe: '1months' }, { today });
+  expect(upcoming.map(deal => deal.dealName)).toEqual(['Acme']);
+
+  // Only Leads, on either of two business lines
+  const leads = run({ filters: { roles: ['Lead'], businessLines: ['Data', 'Strategy'] } }).consultants;
+  expect(leads.map(c => c.name).sort()).toEqual(['Ann', 'Bob', 'Cara']);
+  expect(leads.find(c => c.name === 'Bob').timeline[0].weightedLoad).toBe(1);
+});
+
+test('matches a capacity status in any period of a quarter', () => {
+  const settings = { ...DEFAULT_SETTINGS, maxRecommendedLoad: 1.5 };
+  const filters = { capacityStatus: 'over-capacity', statusPeriod: '2025-Q1' };
+  // Bob is only over 1.5 in January
+  expect(run({ settings, filters }).consultants.map(c => c.name)).toEqual(['Bob']);
+  expect(run({ settings, filters: { ...filters, statusPeriod: 'any' } }).consultants.map(c => c.name)).toEqual(['Bob']);
+  expect(run({ settings, filters: { ...filters, statusPeriod: '2025-Q2' } }).consultants).toEqual([]);
+
+  expect(getStatusPeriodOptions({ granularity: 'month', startDate: '2025-02-01', horizon: 3 }).map(o => o.value))
+    .toEqual(['current', 'any', '2025-Q1', '2025-Q2']);
+});
+
+test('reads ambiguous dates day first and flags them, and follows fiscal quarters', () => {
+  const csv = [
+    'Deal Name,Contract Start Date,Contract End Date,Primary Business Line,Project Lead,Project Co-Lead,Project Strategic Advisors,Project Supporting Consultants',
+    'Acme,01/07/2025,05/09/2025,Data,Ann,,,',
+    'Globex,soon,2025-09-30,Data,Bob,,,'
+  ].join('\n');
+  const { headers, rows } = parseDealsCsv(csv);
+  const settings = { ...DEFAULT_SETTINGS, fiscalCalendar: { startMonth: 7, pattern: 'calendar' } };
+  const { deals, consultants, issues } = runCapacityEngine(rows, {
+    mapping: resolveMapping(headers).mapping,
+    settings,
+    timelineOptions: { granularity: 'quarter', startDate: '2025-07-01', horizon: 2, layer: 'weighted' }
+  });
+
+  expect(deals.map(d => [d.startDate, d.endDate])).toEqual([['2025-07-01', '2025-09-05'], [null, '2025-09-30']]);
+  expect(issues.map(issue => [issue.dealName, issue.type])).toEqual([['Acme', 'ambiguous-date'], ['Globex', 'invalid-date']]);
+  expect(issues[1].cause).toBe('Unreadable start date "soon"');
+  expect(consultants.find(c => c.name === 'Ann').timeline.map(entry => entry.period)).toEqual(['Q1 FY26', 'Q2 FY26']);
+  expect(getStatusPeriodOptions({ granularity: 'month', startDate: '2025-06-01', horizon: 2 }, settings.fiscalCalendar)
+    .map(o => o.label).slice(2)).toEqual(['Any Time in Q4 FY25', 'Any Time in Q1 FY26']);
+});
+
+test('joins a roster and filters on its fields', () => {
+  const roster = [
+    { name: 'Ann', fte: 0.5, seniority: 'Senior', businessLine: 'Data', skills: ['SQL'] },
+    { name: 'Eve', fte: 1, seniority: 'Junior', businessLine: 'Strategy', skills: ['Pricing', 'SQL'] }
+  ];
+  const { consultants } = run({ roster });
+  expect(consultants.find(c => c.name === 'Eve').projects).toEqual([]);
+  expect(consultants.find(c => c.name === 'Ann').maxLoad).toBe(4);
+
+  const names = (filters) => filterConsultants(consultants, filters).map(c => c.name).sort();
+  expect(names({ skills: ['SQL'] })).toEqual(['Ann', 'Eve']);
+  expect(names({ seniorities: ['Junior'], homeLines: ['Strategy'] })).toEqual(['Eve']);
+  // Idle members only show up under their own home business line
+  expect(run({ roster, filters: { businessLines: ['Data'] } }).consultants.map(c => c.name)).not.toContain('Eve');
+  expect(buildReportRows([consultants.find(c => c.name === 'Eve')])).toMatchObject([
+    { Consultant: 'Eve', Project: '', FTE: 1, Skills: 'Pricing; SQL' }
+  ]);
+});
+
+test('writes one CSV row per consultant and project', () => {
+  const { consultants } = run();
+  const { data, meta } = Papa.parse(buildCsvReport(consultants, { layer: 'committed' }), { header: true });
+  expect(meta.fields.slice(0, 3)).toEqual(['Consultant', 'Project', 'Role']);
+  expect(data).toHaveLength(7);
+  expect(data.find(row => row.Consultant === 'Ann' && row.Project === 'Globex')).toMatchObject({
+    Role: 'Strategic Advisor',
+    'Business Line': 'Strategy',
+    'Forecast Layer': 'Committed'
+  });
+});
@@ -0,0 +1,205 @@
+import _ from 'lodash';
+import { normalizeHeader } from './csvHeaders';
+import { DEFAULT_DATE_FORMAT, isAmbiguousDate, parseDateValue, resolveDateOrder, toISODate } from './dates';
+
+export const MAPPING_FIELDS = [
+  {
+    key: 'dealName',
+    label: 'Deal Name',
+    required: true,
+    synonyms: ['deal name', 'opportunity name', 'project name', 'engagement name', 'deal', 'opportunity', 'project', 'name']
+  },
+  {
+    key: 'startDate',
+    label: 'Start Date',
+    required: true,
+    synonyms: ['contract start date', 'project start date', 'start date', 'start', 'kickoff date', 'begin date']
+  },
+  {
+    key: 'endDate',
+    label: 'End Date',
+    required: true,
+    synonyms: ['contract end date', 'project end date', 'end date', 'end', 'finish date']
+  },
+  {
+    key: 'businessLine',
+    label: 'Business Line',
+    required: false,
+    synonyms: ['primary business line', 'business line', 'practice', 'service line', 'line of business', 'division']
+  },
+  {
+    key: 'dealStage',
+    label: 'Deal Stage',
+    required: false,
+    synonyms: ['deal stage', 'pipeline stage', 'sales stage', 'opportunity stage', 'stage']
+  },
+  {
+    key: 'probability',
+    label: 'Deal Probability',
+    required: false,
+    synonyms: ['deal probability', 'win probability', 'close probability', 'probability', 'likelihood']
+  }
+];
+
+export const ROLE_COLUMN_SYNONYMS = {
+  'Lead': ['project lead', 'lead', 'lead consultant', 'engagement lead', 'project manager'],
+  'Co-Lead': ['project co-lead', 'co-lead', 'co lead', 'colead', 'deputy lead'],
+  'Strategic Advisor': ['project strategic advisors', 'strategic advisors', 'strategic advisor', 'advisors', 'advisor'],
+  'Supporting': ['project supporting consultants', 'supporting consultants', 'supporting', 'consultants', 'team members', 'team']
+};
+
+export const DEFAULT_DELIMITER = ';';
+
+export const HUBSPOT_MAPPING = {
+  fields: {
+    dealName: 'Deal Name',
+    startDate: 'Contract Start Date',
+    endDate: 'Contract End Date',
+    businessLine: 'Primary Business Line'
+  },
+  roles: [
+    { column: 'Project Lead', role: 'Lead' },
+    { column: 'Project Co-Lead', role: 'Co-Lead' },
+    { column: 'Project Strategic Advisors', role: 'Strategic Advisor' },
+    { column: 'Project Supporting Consultants', role: 'Supporting' }
+  ],
+  delimiter: DEFAULT_DELIMITER,
+  dateFormat: DEFAULT_DATE_FORMAT
+};
+
+// HubSpot exports that include the pipeline stage of each deal
+export const HUBSPOT_PIPELINE_MAPPING = {
+  ...HUBSPOT_MAPPING,
+  fields: { ...HUBSPOT_MAPPING.fields, dealStage: 'Deal Stage' }
+};
+
+// Deals pulled through the HubSpot API (hubspotSync.js) are keyed by internal property names. Stages
+// come as internal ids, which only match the stage table for the default pipeline, so HubSpot's own
+// stage probability is mapped as the fallback.
+export const HUBSPOT_API_MAPPING = {
+  fields: {
+    dealName: 'dealname',
+    startDate: 'contract_start_date',
+    endDate: 'contract_end_date',
+    businessLine: 'primary_business_line',
+    dealStage: 'dealstage',
+    probability: 'hs_deal_stage_probability'
+  },
+  roles: [
+    { column: 'project_lead', role: 'Lead' },
+    { column: 'project_co_lead', role: 'Co-Lead' },
+    { column: 'project_strategic_advisors', role: 'Strategic Advisor' },
+    { column: 'project_supporting_consultants', role: 'Supporting' }
+  ],
+  delimiter: DEFAULT_DELIMITER,
+  dateFormat: DEFAULT_DATE_FORMAT
+};
+
+// Exact synonym matches beat partial ones; earlier synonyms beat later ones
+const scoreHeader = (header, synonyms) => {
+  const normalized = normalizeHeader(header);
+  let best = 0;
+  synonyms.forEach((synonym, idx) => {
+    const target = normalizeHeader(synonym);
+    if (normalized === target) {
+      best = Math.max(best, 100 - idx);
+    } else if (target.length > 4 && normalized.includes(target)) {
+      best = Math.max(best, 50 - idx);
+    }
+  });
+  return best;
+};
+
+export const detectMapping = (headers) => {
+  const used = new Set();
+  const pickColumn = (synonyms) => {
+    const [column, score] = headers
+      .filter(header => !used.has(header))
+      .map(header => [header, scoreHeader(header, synonyms)])
+      .reduce((best, candidate) => (candidate[1] > best[1] ? candidate : best), [null, 0]);
+    if (column && score > 0) {
+      used.add(column);
+      return column;
+    }
+    return '';
+  };
+
+  const fields = {};
+  MAPPING_FIELDS.forEach(field => {
+    fields[field.key] = pickColumn(field.synonyms);
+  });
+
+  const roles = [];
+  Object.entries(ROLE_COLUMN_SYNONYMS).forEach(([role, synonyms]) => {
+    const column = pickColumn(synonyms);
+    if (column) {
+      roles.push({ column, role });
+    }
+  });
+
+  return { fields, roles, delimiter: DEFAULT_DELIMITER, dateFormat: DEFAULT_DATE_FORMAT };
+};
+
+export const getMappedColumns = (mapping) => [
+  ...Object.values(mapping.fields),
+  ...mapping.roles.map(r => r.column)
+].filter(Boolean);
+
+export const getMissingFields = (mapping, headers) => MAPPING_FIELDS
+  .filter(field => field.required)
+  .filter(field => !mapping.fields[field.key] || (headers && !headers.includes(mapping.fields[field.key])))
+  .map(field => field.label);
+
+export const splitConsultants = (value, delimiter = DEFAULT_DELIMITER) => (
+  value === null || value === undefined || value === ''
+    ? []
+    : String(value).split(delimiter || DEFAULT_DELIMITER).map(s => s.trim()).filter(Boolean)
+);
+
+const getDateCells = (rows, mapping) => ['startDate', 'endDate']
+  .filter(key => mapping.fields[key])
+  .flatMap(key => rows.map(row => row[mapping.fields[key]]));
+
+// The day/month order of the mapped date columns (mapping.dateFormat: 'auto', 'dmy' or 'mdy'),
+// as resolveDateOrder returns it
+export const resolveMappingDates = (rows, mapping) => resolveDateOrder(getDateCells(rows, mapping), mapping.dateFormat);
+
+// Turns raw CSV rows into deals with a common shape, whatever the source headers.
+// Row numbers count the header line, so they match what a spreadsheet shows.
+// Dates become ISO strings, or null when unreadable, with the cells kept as rawDates. ambiguousDate
+// marks rows read in a day/month order nothing in the file confirmed. dates overrides the order
+// detected from these rows, e.g. when mapping a preview of a larger file.
+export const mapRowsToDeals = (rows, mapping, dates = resolveMappingDates(rows, mapping)) => rows.map((row, idx) => {
+  const value = (key) => (mapping.fields[key] ? row[mapping.fields[key]] : undefined);
+  const toDate = (key) => {
+    const date = parseDateValue(value(key), dates.order);
+    return date ? toISODate(date) : null;
+  };
+  return {
+    id: `row-${idx + 2}`,
+    rowNumber: idx + 2,
+    dealName: value('dealName'),
+    startDate: toDate('startDate'),
+    endDate: toDate('endDate'),
+    rawDates: { startDate: value('startDate'), endDate: value('endDate') },
+    ambiguousDate: dates.guessed && (isAmbiguousDate(value('startDate')) || isAmbiguousDate(value('endDate')))
+      ? dates.order
+      : null,
+    businessLine: value('businessLine'),
+    dealStage: value('dealStage'),
+    probability: value('probability'),
+    staffing: mapping.roles
+      .filter(r => r.column && r.role)
+      .map(r => ({
+        role: r.role,
+        column: r.column,
+        consultants: splitConsultants(row[r.column], mapping.delimiter)
+      }))
+  };
+});
+
+export const getBusinessLines = (deals) => _.uniq(
+  deals
+    .map(deal => deal.businessLine)
+    .filter(Boolean)
+);
@@ -0,0 +1,66 @@
+import { HUBSPOT_PIPELINE_MAPPING, detectMapping } from './columnMapping';
+import { BUILT_IN_PROFILES, findMatchingProfile } from './importProfiles';
+
+// Column order and spelling of a HubSpot "Export all properties" deals file
+const HUBSPOT_EXPORT_HEADERS = [
+  'Record ID', 'Deal Name', 'Deal Stage', 'Close Date', 'Deal Owner', 'Amount', 'Pipeline', 'Create Date',
+  'Deal probability', 'Forecast category', 'Deal Type', 'Last Activity Date', 'Associated Company',
+  'Contract Start Date', 'Contract End Date', 'Primary Business Line', 'Project Lead', 'Project Co-Lead',
+  'Project Strategic Advisors', 'Project Supporting Consultants'
+];
+
+test('detects every field and role in a HubSpot deals export', () => {
+  expect(detectMapping(HUBSPOT_EXPORT_HEADERS)).toEqual({
+    ...HUBSPOT_PIPELINE_MAPPING,
+    fields: { ...HUBSPOT_PIPELINE_MAPPING.fields, probability: 'Deal probability' }
+  });
+});
+
+test('leaves the deal owner out of the staffing', () => {
+  const headers = ['Deal Name', 'Deal Owner', 'Contract Start Date', 'Contract End Date', 'Project Supporting Consultants'];
+  expect(detectMapping(headers).roles).toEqual([{ column: 'Project Supporting Consultants', role: 'Supporting' }]);
+  expect(detectMapping(['Deal Name', 'Deal Owner', 'Project Manager']).roles).toEqual([
+    { column: 'Project Manager', role: 'Lead' }
+  ]);
+});
+
+test('detects a hand-made export with other spellings', () => {
+  const mapping = detectMapping(['Opportunity', 'Kickoff Date', 'Finish Date', 'Practice', 'Sales Stage', 'Lead Consultant', 'Team']);
+  expect(mapping.fields).toEqual({
+    dealName: 'Opportunity',
+    startDate: 'Kickoff Date',
+    endDate: 'Finish Date',
+    businessLine: 'Practice',
+    dealStage: 'Sales Stage',
+    probability: ''
+  });
+  expect(mapping.roles).toEqual([{ column: 'Lead Consultant', role: 'Lead' }, { column: 'Team', role: 'Supporting' }]);
+});
+
+test('matches HubSpot exports to the built-in profile that maps the most columns', () => {
+  expect(findMatchingProfile(BUILT_IN_PROFILES, HUBSPOT_EXPORT_HEADERS)).toBe('HubSpot with deal stage');
+
+  const withoutStage = HUBSPOT_EXPORT_HEADERS.filter(header => header !== 'Deal Stage');
+  expect(findMatchingProfile(BUILT_IN_PROFILES, withoutStage)).toBe('HubSpot default');
+
+  const apiHeaders = ['hs_object_id', 'dealname', 'dealstage', 'hs_deal_stage_probability', 'contract_start_date',
+    'contract_end_date', 'primary_business_line', 'project_lead', 'project_co_lead', 'project_strategic_advisors',
+    'project_supporting_consultants', 'hs_lastmodifieddate'];
+  expect(findMatchingProfile(BUILT_IN_PROFILES, apiHeaders)).toBe('HubSpot API');
+});
+
+test('needs every mapped column of a profile in the file', () => {
+  // A HubSpot export without the co-lead property goes through the mapping step
+  const withoutCoLead = HUBSPOT_EXPORT_HEADERS.filter(header => header !== 'Project Co-Lead');
+  expect(findMatchingProfile(BUILT_IN_PROFILES, withoutCoLead)).toBeNull();
+
+  const profiles = {
+    ...BUILT_IN_PROFILES,
+    'Sheet export': {
+      fields: { dealName: 'Project', startDate: 'Start', endDate: 'End' },
+      roles: [{ column: 'Lead', role: 'Lead' }]
+    }
+  };
+  expect(findMatchingProfile(profiles, ['Project', 'Start', 'End', 'Lead', 'Notes'])).toBe('Sheet export');
+  expect(findMatchingProfile(profiles, ['Project', 'Start', 'Lead'])).toBeNull();
+});
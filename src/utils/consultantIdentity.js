@@ -0,0 +1,136 @@
+import _ from 'lodash';
+
+// "Doe, Jane" -> "Jane Doe", with whitespace collapsed
+export const normalizeName = (name) => {
+  const cleaned = String(name).replace(/\s+/g, ' ').trim();
+  const parts = cleaned.split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length === 2 ? `${parts[1]} ${parts[0]}` : cleaned;
+};
+
+// Case, accent and punctuation insensitive comparison key
+export const nameKey = (name) => _.deburr(normalizeName(name))
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Maps alias keys to canonical names; aliases pointing at other aliases are followed
+export const buildAliasLookup = (aliases) => {
+  const direct = {};
+  aliases
+    .filter(({ alias, canonical }) => alias && canonical)
+    .forEach(({ alias, canonical }) => {
+      direct[nameKey(alias)] = String(canonical).replace(/\s+/g, ' ').trim();
+    });
+
+  const lookup = {};
+  Object.keys(direct).forEach(key => {
+    let canonical = direct[key];
+    const seen = new Set([key]);
+    while (direct[nameKey(canonical)] && !seen.has(nameKey(canonical))) {
+      seen.add(nameKey(canonical));
+      canonical = direct[nameKey(canonical)];
+    }
+    lookup[key] = canonical;
+  });
+  return lookup;
+};
+
+// Names without an alias are kept as spelled; merging is always an explicit choice
+export const resolveName = (name, aliasLookup) => (
+  aliasLookup[nameKey(name)] || String(name).replace(/\s+/g, ' ').trim()
+);
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (v, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Returns { score, reason } for two names, or null when they look like different people
+export const compareNames = (a, b) => {
+  const keyA = nameKey(a);
+  const keyB = nameKey(b);
+  if (!keyA || !keyB) {
+    return null;
+  }
+  if (keyA === keyB) {
+    return { score: 1, reason: 'Same name with different case, punctuation or order' };
+  }
+
+  const tokensA = keyA.split(' ');
+  const tokensB = keyB.split(' ');
+  if (_.isEqual([...tokensA].sort(), [...tokensB].sort())) {
+    return { score: 0.95, reason: 'Same name parts in a different order' };
+  }
+
+  // "J. Doe" / "Jane Doe": same surname and matching first initial
+  const lastA = _.last(tokensA);
+  const lastB = _.last(tokensB);
+  const firstA = tokensA[0];
+  const firstB = tokensB[0];
+  if (lastA === lastB && tokensA.length > 1 && tokensB.length > 1 && firstA[0] === firstB[0] &&
+    (firstA.length === 1 || firstB.length === 1)) {
+    return { score: 0.85, reason: 'First initial and surname match' };
+  }
+  // "J. Doe" / "M. Doe" are one letter apart but plainly different people
+  if (tokensA.length > 1 && tokensB.length > 1 && firstA[0] !== firstB[0] &&
+    (firstA.length === 1 || firstB.length === 1)) {
+    return null;
+  }
+
+  if (Math.abs(keyA.length - keyB.length) <= 3) {
+    const distance = levenshtein(keyA, keyB);
+    const similarity = 1 - distance / Math.max(keyA.length, keyB.length);
+    if (distance <= 2 && similarity >= 0.8) {
+      return { score: parseFloat((similarity * 0.9).toFixed(2)), reason: `Spelling differs by ${distance} character${distance > 1 ? 's' : ''}` };
+    }
+  }
+
+  return null;
+};
+
+export const pairKey = (a, b) => [a, b].sort().join('|');
+
+// Suggests likely duplicates among consultants, best matches first. The suggested
+// canonical name is the fullest, conventionally written spelling.
+export const suggestMerges = (consultants, dismissed = []) => {
+  const dismissedSet = new Set(dismissed);
+  const suggestions = [];
+
+  for (let i = 0; i < consultants.length; i++) {
+    for (let j = i + 1; j < consultants.length; j++) {
+      const a = consultants[i];
+      const b = consultants[j];
+      if (dismissedSet.has(pairKey(a.name, b.name))) {
+        continue;
+      }
+      const match = compareNames(a.name, b.name);
+      if (match) {
+        const [canonical, duplicate] = _.orderBy([a, b], [
+          c => nameKey(c.name).split(' ')[0].length,
+          c => !c.name.includes(','),
+          c => c.name !== c.name.toLowerCase(),
+          c => c.projects.length
+        ], ['desc', 'desc', 'desc', 'desc']);
+        suggestions.push({
+          canonical: canonical.name,
+          duplicate: duplicate.name,
+          ...match
+        });
+      }
+    }
+  }
+
+  return _.orderBy(suggestions, ['score'], ['desc']);
+};
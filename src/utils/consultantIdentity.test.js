@@ -0,0 +1,62 @@
+import { buildAliasLookup, compareNames, pairKey, resolveName, suggestMerges } from './consultantIdentity';
+
+const consultant = (name, projects = 1) => ({ name, projects: Array(projects).fill({}) });
+
+test('matches the same name written differently', () => {
+  expect(compareNames('Doe, Jane', 'jane  doe')).toMatchObject({ score: 1 });
+  expect(compareNames('José Núñez', 'Jose Nunez')).toMatchObject({ score: 1 });
+  expect(compareNames('Doe Jane', 'Jane Doe')).toMatchObject({ score: 0.95 });
+  expect(compareNames('', 'Jane Doe')).toBeNull();
+});
+
+test('matches initials only against the same first letter', () => {
+  expect(compareNames('J. Doe', 'Jane Doe')).toEqual({ score: 0.85, reason: 'First initial and surname match' });
+  expect(compareNames('Jane Doe', 'J Doe')).toMatchObject({ score: 0.85 });
+  expect(compareNames('J. Doe', 'M. Doe')).toBeNull();
+  expect(compareNames('M. Doe', 'Jane Doe')).toBeNull();
+  // A lone initial isn't enough without a surname
+  expect(compareNames('J', 'Jane')).toBeNull();
+});
+
+test('matches near-miss spellings and leaves different names apart', () => {
+  expect(compareNames('Ann Lee', 'Anne Lee')).toEqual({ score: 0.79, reason: 'Spelling differs by 1 character' });
+  expect(compareNames('Jane Doe', 'Janet Dole')).toEqual({ score: 0.72, reason: 'Spelling differs by 2 characters' });
+  expect(compareNames('Jon Doe', 'Jane Doe')).toBeNull();
+  expect(compareNames('Ann Lee', 'Bob Lee')).toBeNull();
+  expect(compareNames('Jane Doe', 'Jane Doe-Smithson')).toBeNull();
+});
+
+test('suggests merges best first with the fullest spelling as the canonical name', () => {
+  const consultants = [consultant('J. Doe', 3), consultant('Jane Doe'), consultant('doe, jane'), consultant('Ann Lee'), consultant('Anne Lee')];
+  expect(suggestMerges(consultants).map(s => [s.canonical, s.duplicate, s.score])).toEqual([
+    ['Jane Doe', 'doe, jane', 1],
+    ['Jane Doe', 'J. Doe', 0.85],
+    ['doe, jane', 'J. Doe', 0.85],
+    ['Anne Lee', 'Ann Lee', 0.79]
+  ]);
+
+  // Projects only settle a tie between otherwise equal spellings
+  expect(suggestMerges([consultant('Ann Lee'), consultant('Ann  Lee', 4)])[0].canonical).toBe('Ann  Lee');
+
+  const dismissed = [pairKey('Ann Lee', 'Anne Lee'), pairKey('J. Doe', 'doe, jane')];
+  expect(suggestMerges(consultants, dismissed).map(s => s.duplicate)).toEqual(['doe, jane', 'J. Doe']);
+});
+
+test('follows alias chains to the end and stops at cycles', () => {
+  const lookup = buildAliasLookup([
+    { alias: 'J. Doe', canonical: 'Jane  Doe' },
+    { alias: 'Jane Doe', canonical: 'Jane Doe-Smith' },
+    { alias: 'Ann', canonical: 'Bob' },
+    { alias: 'Bob', canonical: 'Ann' },
+    { alias: 'Cat', canonical: 'Cat' },
+    { alias: '', canonical: 'Nobody' }
+  ]);
+
+  expect(resolveName('j doe', lookup)).toBe('Jane Doe-Smith');
+  expect(resolveName('DOE, Jane', lookup)).toBe('Jane Doe-Smith');
+  // A cycle leaves each name where it started instead of looping
+  expect([resolveName('Ann', lookup), resolveName('Bob', lookup)]).toEqual(['Ann', 'Bob']);
+  expect(resolveName('Cat', lookup)).toBe('Cat');
+  expect(resolveName('  Dan   Fox ', lookup)).toBe('Dan Fox');
+  expect(Object.keys(lookup)).not.toContain('');
+});
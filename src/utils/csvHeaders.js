@@ -0,0 +1,9 @@
+// Header text as the import synonyms are written: lower case, words separated by single spaces
+export const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// The header matching the earliest synonym in the list, or null
+export const findColumn = (headers, synonyms) => {
+  const normalized = headers.map(normalizeHeader);
+  const synonym = synonyms.find(s => normalized.includes(s));
+  return synonym ? headers[normalized.indexOf(synonym)] : null;
+};
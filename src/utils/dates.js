@@ -0,0 +1,192 @@
+// Reading dates from CRM exports and showing them the same way in every browser.
+// Imported dates are stored as ISO "YYYY-MM-DD" strings; everything else parses those.
+
+// How numeric dates such as 03/04/2025 are read: day first, month first, or detected from the file
+export const DATE_FORMATS = {
+  auto: 'Detect from the file',
+  dmy: 'Day first (31/12/2025)',
+  mdy: 'Month first (12/31/2025)'
+};
+
+export const DEFAULT_DATE_FORMAT = 'auto';
+
+// Used when nothing in a file tells the two orders apart
+const FALLBACK_ORDER = 'dmy';
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Excel serial numbers count days from 30 Dec 1899; only 1954 to 2119 pass for a date
+const EXCEL_EPOCH = { year: 1899, month: 11, day: 30 };
+const EXCEL_SERIAL_RANGE = [20000, 80000];
+
+const ISO_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const YEAR_FIRST_PATTERN = /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/;
+const NUMERIC_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/;
+const DAY_MONTH_NAME_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)?[\s.-]+([a-z]{3,})\.?,?[\s.-]+(\d{2}|\d{4})$/i;
+const MONTH_NAME_DAY_PATTERN = /^([a-z]{3,})\.?[\s.-]+(\d{1,2})(?:st|nd|rd|th)?,?[\s.-]+(\d{2}|\d{4})$/i;
+
+// Two-digit years are read as 1970-2069
+const toFullYear = (year) => {
+  const number = Number(year);
+  if (year.length > 2) {
+    return number;
+  }
+  return number < 70 ? 2000 + number : 1900 + number;
+};
+
+// A local date, or null when the day doesn't exist in that month
+const makeDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  date.setFullYear(year);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+const monthFromName = (name) => {
+  const idx = MONTH_NAMES.findIndex(month => month.toLowerCase() === name.slice(0, 3).toLowerCase());
+  return idx >= 0 ? idx + 1 : null;
+};
+
+const fromExcelSerial = (serial) => {
+  const [min, max] = EXCEL_SERIAL_RANGE;
+  if (serial < min || serial > max) {
+    return null;
+  }
+  return new Date(EXCEL_EPOCH.year, EXCEL_EPOCH.month, EXCEL_EPOCH.day + Math.floor(serial));
+};
+
+// Timestamps at midnight UTC are whole-day values exported as instants, so they keep their UTC date;
+// any other time of day is read on the local calendar
+const fromInstant = (date) => {
+  if (isNaN(date)) {
+    return null;
+  }
+  const isMidnightUtc = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+    date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+  return isMidnightUtc
+    ? makeDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate())
+    : makeDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+};
+
+// The two numbers of a date like 03/04/2025 that could be day or month, or null for other values
+const getNumericParts = (value) => {
+  const match = typeof value === 'string' ? NUMERIC_PATTERN.exec(value.trim()) : null;
+  return match ? { first: Number(match[1]), second: Number(match[2]), year: toFullYear(match[3]) } : null;
+};
+
+// Reads a date cell as a local date, or null. Accepts ISO dates and timestamps, 2025/03/04, day- or
+// month-first numeric dates in the given order ('dmy' or 'mdy'), "4 Mar 2025", "March 4, 2025",
+// Excel serial numbers and Date objects. Anything else is null rather than a guess.
+export const parseDateValue = (value, order = FALLBACK_ORDER) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return fromInstant(value);
+  }
+  if (typeof value === 'number') {
+    return fromExcelSerial(value);
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return fromExcelSerial(Number(text));
+  }
+  const iso = ISO_PATTERN.exec(text);
+  if (iso) {
+    return iso[6] && `${iso[4]}:${iso[5]}` !== '00:00'
+      ? fromInstant(new Date(text))
+      : makeDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+  const yearFirst = YEAR_FIRST_PATTERN.exec(text);
+  if (yearFirst) {
+    return makeDate(Number(yearFirst[1]), Number(yearFirst[2]), Number(yearFirst[3]));
+  }
+  const numeric = getNumericParts(text);
+  if (numeric) {
+    const [day, month] = order === 'mdy' ? [numeric.second, numeric.first] : [numeric.first, numeric.second];
+    return makeDate(numeric.year, month, day);
+  }
+  const dayMonth = DAY_MONTH_NAME_PATTERN.exec(text);
+  if (dayMonth && monthFromName(dayMonth[2])) {
+    return makeDate(toFullYear(dayMonth[3]), monthFromName(dayMonth[2]), Number(dayMonth[1]));
+  }
+  const monthDay = MONTH_NAME_DAY_PATTERN.exec(text);
+  if (monthDay && monthFromName(monthDay[1])) {
+    return makeDate(toFullYear(monthDay[3]), monthFromName(monthDay[1]), Number(monthDay[2]));
+  }
+  return null;
+};
+
+export const toISODate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// A numeric date whose first two numbers could both be the month, such as 03/04/2025
+export const isAmbiguousDate = (value) => {
+  const parts = getNumericParts(value);
+  return Boolean(parts) && parts.first !== parts.second && parts.first <= 12 && parts.second <= 12;
+};
+
+// Settles the day/month order for a set of date cells. An explicit format wins; 'auto' looks for
+// values only one order can read (25/03/2025 or 03/25/2025) and takes the order most of them need.
+// Returns { order, guessed, ambiguous, example } where guessed means nothing in the values settled
+// it, ambiguous counts the values either order could read and example is the first of them.
+export const resolveDateOrder = (values, format = DEFAULT_DATE_FORMAT) => {
+  const ambiguousValues = values.filter(isAmbiguousDate);
+  const summary = { ambiguous: ambiguousValues.length, example: ambiguousValues[0] ?? null };
+  if (format === 'dmy' || format === 'mdy') {
+    return { ...summary, order: format, guessed: false };
+  }
+
+  let dayFirst = 0;
+  let monthFirst = 0;
+  values.map(getNumericParts).filter(Boolean).forEach(({ first, second }) => {
+    if (first > 12 && second <= 12) {
+      dayFirst += 1;
+    } else if (second > 12 && first <= 12) {
+      monthFirst += 1;
+    }
+  });
+  if (dayFirst === 0 && monthFirst === 0) {
+    return { ...summary, order: FALLBACK_ORDER, guessed: true };
+  }
+  return { ...summary, order: monthFirst > dayFirst ? 'mdy' : 'dmy', guessed: false };
+};
+
+const LABELS_SHOWN = 5;
+
+// A warning naming the rows whose numeric dates were read in a guessed order, or null when the order
+// wasn't guessed or no row needed it. rowLabels are like ['Row 3', 'Row 7'].
+export const describeGuessedDates = ({ order, guessed, example }, rowLabels) => {
+  if (!guessed || rowLabels.length === 0) {
+    return null;
+  }
+  const shown = rowLabels.slice(0, LABELS_SHOWN).join(', ');
+  const more = rowLabels.length > LABELS_SHOWN ? ` and ${rowLabels.length - LABELS_SHOWN} more` : '';
+  return `${shown}${more}: dates such as "${example}" could be day or month first and nothing in the file tells; ` +
+    `read as ${order === 'mdy' ? 'month' : 'day'} first`;
+};
+
+// Display formats don't depend on the browser's language: "4 Mar 2025", "Mar 25", "3 Mar 25"
+export const formatDate = (value) => {
+  const date = value instanceof Date ? value : parseDateValue(value);
+  return date ? `${date.getDate()} ${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}` : '';
+};
+
+// An instant such as a save or sync time in local time: "4 Mar 2025, 09:05"
+export const formatDateTime = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === null || value === undefined || value === '' || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  const time = [date.getHours(), date.getMinutes()].map(part => String(part).padStart(2, '0')).join(':');
+  return `${formatDate(date)}, ${time}`;
+};
+
+export const formatDateRange = (start, end) => `${formatDate(start) || '?'} – ${formatDate(end) || '?'}`;
+
+export const formatMonth = (date) => `${MONTH_NAMES[date.getMonth()]} ${String(date.getFullYear()).slice(-2)}`;
+
+export const formatWeek = (date) => `${date.getDate()} ${formatMonth(date)}`;
@@ -0,0 +1,55 @@
+import {
+  formatDate, formatDateRange, formatDateTime, isAmbiguousDate, parseDateValue, resolveDateOrder, toISODate
+} from './dates';
+
+const iso = (value, order) => {
+  const date = parseDateValue(value, order);
+  return date ? toISODate(date) : null;
+};
+
+test('reads the date formats CRM exports use', () => {
+  expect(iso('2025-03-04')).toBe('2025-03-04');
+  expect(iso('2025-03-04T00:00:00Z')).toBe('2025-03-04');
+  expect(iso('2025/03/04')).toBe('2025-03-04');
+  expect(iso('4 Mar 2025')).toBe('2025-03-04');
+  expect(iso('March 4, 2025')).toBe('2025-03-04');
+  expect(iso('04.03.25')).toBe('2025-03-04');
+  // Papa's dynamic typing turns ISO timestamps into Date objects at midnight UTC
+  expect(iso(new Date(Date.UTC(2025, 2, 4)))).toBe('2025-03-04');
+});
+
+test('reads Excel serial numbers', () => {
+  expect(iso(45720)).toBe('2025-03-04');
+  expect(iso('45720')).toBe('2025-03-04');
+  expect(iso(12)).toBeNull();
+});
+
+test('numeric dates follow the day/month order and must exist', () => {
+  expect(iso('03/04/2025', 'dmy')).toBe('2025-04-03');
+  expect(iso('03/04/2025', 'mdy')).toBe('2025-03-04');
+  expect(iso('31/02/2025', 'dmy')).toBeNull();
+  expect(iso('2025-13-01')).toBeNull();
+  expect(iso('next Tuesday')).toBeNull();
+  expect(iso('')).toBeNull();
+});
+
+test('detects the day/month order from values only one order can read', () => {
+  expect(isAmbiguousDate('03/04/2025')).toBe(true);
+  expect(isAmbiguousDate('03/03/2025')).toBe(false);
+  expect(isAmbiguousDate('25/03/2025')).toBe(false);
+
+  expect(resolveDateOrder(['03/04/2025', '12/25/2025'])).toMatchObject({ order: 'mdy', guessed: false, ambiguous: 1 });
+  expect(resolveDateOrder(['03/04/2025', '25/12/2025'])).toMatchObject({ order: 'dmy', guessed: false });
+  expect(resolveDateOrder(['03/04/2025', '2025-05-01'])).toEqual({ order: 'dmy', guessed: true, ambiguous: 1, example: '03/04/2025' });
+  // An explicit format is never a guess
+  expect(resolveDateOrder(['03/04/2025'], 'mdy')).toMatchObject({ order: 'mdy', guessed: false });
+});
+
+test('formats dates the same way in every locale', () => {
+  expect(formatDate('2025-03-04')).toBe('4 Mar 2025');
+  expect(formatDate('not a date')).toBe('');
+  expect(formatDateRange('2025-03-04', null)).toBe('4 Mar 2025 – ?');
+  expect(formatDateTime(new Date(2025, 2, 4, 9, 5))).toBe('4 Mar 2025, 09:05');
+  expect(formatDateTime(new Date(2025, 2, 4, 17, 30).getTime())).toBe('4 Mar 2025, 17:30');
+  expect(formatDateTime(null)).toBe('');
+});
@@ -0,0 +1,178 @@
+import _ from 'lodash';
+import { buildConsultants, getRoleWeight, parseDate, toISODate } from './capacity';
+import { DEFAULT_FORECAST_LAYER, FORECAST_LAYERS, getLayerFactor } from './pipeline';
+
+export const WARNING_WINDOWS = [1, 2, 3, 6];
+export const DEFAULT_WARNING_MONTHS = 3;
+
+// Load at or below this share of the ceiling counts as on the bench
+export const BENCH_THRESHOLD = 0.1;
+
+// Role whose deals need follow-on work lined up
+export const LEAD_ROLE = 'Lead';
+
+const round = (value) => parseFloat(value.toFixed(1));
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const projectDates = (project) => ({ start: parseDate(project.startDate), end: parseDate(project.endDate) });
+
+const isActiveOn = (project, day) => {
+  const { start, end } = projectDates(project);
+  return Boolean(start && end) && start <= day && day <= end;
+};
+
+// Load on a single day rather than prorated over a period, so a cliff lands on the day after a project ends
+const getLoadOn = (projects, day, settings, layer) => _.sumBy(
+  projects.filter(project => isActiveOn(project, day)),
+  project => getRoleWeight(project.role, settings) * getLayerFactor(project.probability, layer)
+);
+
+// Months over the status ceiling, with the deals active in the first of them
+const findOverload = (consultant, settings) => {
+  const months = consultant.timeline.filter(entry => entry.status === 'over-capacity');
+  if (months.length === 0) {
+    return null;
+  }
+  const [first] = months;
+  return {
+    type: 'overload',
+    consultant: consultant.name,
+    period: first.period,
+    startDate: first.startDate,
+    load: round(first.weightedLoad + first.absenceLoad),
+    limit: round(first.maxLoad * settings.statusThresholds.overCapacity),
+    otherPeriods: months.slice(1).map(entry => entry.period),
+    deals: _.orderBy(first.details, 'load', 'desc').map(({ name, role }) => ({ name, role }))
+  };
+};
+
+// First day in the window when load falls to bench level after a project ends
+const findBenchCliff = (consultant, settings, layer, today, windowEnd) => {
+  const benchLoad = consultant.maxLoad * BENCH_THRESHOLD;
+  const projects = consultant.assignments.filter(project => getLayerFactor(project.probability, layer) > 0);
+  const endDates = _.sortBy(
+    _.uniqBy(
+      projects.map(project => projectDates(project).end).filter(end => end && end >= today && end < windowEnd),
+      date => date.getTime()
+    ),
+    date => date.getTime()
+  );
+
+  for (const end of endDates) {
+    const before = getLoadOn(projects, end, settings, layer);
+    const date = addDays(end, 1);
+    const after = getLoadOn(projects, date, settings, layer);
+    if (before > benchLoad && after <= benchLoad) {
+      const nextStart = _.minBy(
+        projects.map(project => projectDates(project).start).filter(start => start && start > date),
+        start => start.getTime()
+      );
+      return {
+        type: 'bench',
+        consultant: consultant.name,
+        date: toISODate(date),
+        loadBefore: round(before),
+        loadAfter: round(after),
+        endingDeals: _.uniq(projects
+          .filter(project => projectDates(project).end?.getTime() === end.getTime())
+          .map(project => project.projectName)),
+        nextStart: nextStart ? toISODate(nextStart) : null
+      };
+    }
+  }
+  return null;
+};
+
+// Lead deals ending in the window when the Lead has nothing else running past the end date
+const findMissingFollowOns = (consultant, layer, today, windowEnd) => {
+  const projects = consultant.assignments.filter(project => getLayerFactor(project.probability, layer) > 0);
+  return projects
+    .filter(project => {
+      const { end } = projectDates(project);
+      return project.role === LEAD_ROLE && end && end >= today && end < windowEnd;
+    })
+    .filter(project => {
+      const { end } = projectDates(project);
+      return !projects.some(other => other.projectName !== project.projectName && projectDates(other).end > end);
+    })
+    .map(project => ({
+      type: 'follow-on',
+      consultant: consultant.name,
+      dealName: project.projectName,
+      businessLine: project.businessLine,
+      endDate: toISODate(projectDates(project).end)
+    }));
+};
+
+// Looks `months` calendar months ahead of `today` (the current month counts as the first) and returns
+// { overloads, benchCliffs, missingFollowOns }, each sorted by how soon it happens
+export const findEarlyWarnings = (deals, settings, {
+  aliasLookup = {},
+  absences = [],
+  roster = [],
+  layer = DEFAULT_FORECAST_LAYER,
+  months = DEFAULT_WARNING_MONTHS,
+  today = new Date(),
+  onProgress
+} = {}) => {
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const windowEnd = new Date(day.getFullYear(), day.getMonth() + months, 1);
+  const consultants = buildConsultants(deals, settings, {
+    aliasLookup,
+    absences,
+    roster,
+    timelineOptions: { granularity: 'month', startDate: toISODate(day), horizon: months, layer },
+    onProgress
+  });
+
+  return {
+    overloads: _.sortBy(consultants.map(c => findOverload(c, settings)).filter(Boolean), ['startDate', 'consultant']),
+    benchCliffs: _.sortBy(
+      consultants.map(c => findBenchCliff(c, settings, layer, day, windowEnd)).filter(Boolean),
+      ['date', 'consultant']
+    ),
+    missingFollowOns: _.sortBy(
+      consultants.flatMap(c => findMissingFollowOns(c, layer, day, windowEnd)),
+      ['endDate', 'dealName']
+    )
+  };
+};
+
+export const countWarnings = (warnings) => (
+  warnings.overloads.length + warnings.benchCliffs.length + warnings.missingFollowOns.length
+);
+
+const consultantLink = (name, baseUrl) => (
+  baseUrl ? `[${name}](${baseUrl}/consultants/${encodeURIComponent(name)})` : `**${name}**`
+);
+
+// Markdown digest for the weekly staffing meeting; baseUrl turns consultant names into dashboard links
+export const formatWarningsDigest = (warnings, { months, layer = DEFAULT_FORECAST_LAYER, today = new Date(), baseUrl } = {}) => {
+  const section = (title, items, format) => [
+    `## ${title} (${items.length})`,
+    '',
+    ...(items.length ? items.map(item => `- ${format(item)}`) : ['- None']),
+    ''
+  ];
+
+  return [
+    `# Staffing warnings – ${toISODate(today)}`,
+    '',
+    `Next ${months} month${months === 1 ? '' : 's'}, ${FORECAST_LAYERS[layer].label} layer.`,
+    '',
+    ...section('Over capacity', warnings.overloads, w => [
+      `${consultantLink(w.consultant, baseUrl)}: ${w.load} / ${w.limit} in ${w.period}`,
+      w.otherPeriods.length ? ` (also ${w.otherPeriods.join(', ')})` : '',
+      ` – ${w.deals.map(d => `${d.name} (${d.role})`).join(', ')}`
+    ].join('')),
+    ...section('Bench cliffs', warnings.benchCliffs, w => [
+      `${consultantLink(w.consultant, baseUrl)}: load drops from ${w.loadBefore} to ${w.loadAfter} on ${w.date}`,
+      ` after ${w.endingDeals.join(', ')} end${w.endingDeals.length === 1 ? 's' : ''}`,
+      w.nextStart ? `; next work starts ${w.nextStart}` : '; nothing lined up'
+    ].join('')),
+    ...section('Deals ending without follow-on for the Lead', warnings.missingFollowOns, w => (
+      `**${w.dealName}** ends ${w.endDate} – ${consultantLink(w.consultant, baseUrl)} has no work after it`
+    ))
+  ].join('\n');
+};
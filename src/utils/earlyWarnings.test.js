@@ -0,0 +1,72 @@
+import { DEFAULT_SETTINGS } from './capacity';
+import { findEarlyWarnings, formatWarningsDigest } from './earlyWarnings';
+
+const deal = (dealName, startDate, endDate, staffing) => ({
+  dealName,
+  startDate,
+  endDate,
+  businessLine: 'Data',
+  staffing: Object.entries(staffing).map(([role, consultants]) => ({ role, column: role, consultants }))
+});
+
+const settings = { ...DEFAULT_SETTINGS, maxRecommendedLoad: 2 };
+const today = new Date(2025, 0, 15);
+
+const deals = [
+  deal('Acme', '2025-01-01', '2025-03-31', { Lead: ['Ann'], 'Co-Lead': ['Bob'] }),
+  deal('Globex', '2025-02-01', '2025-06-30', { Lead: ['Ann', 'Bob'] }),
+  deal('Initech', '2025-01-01', '2025-02-28', { Lead: ['Cara'], 'Strategic Advisor': ['Ann'] }),
+  deal('Hooli', '2025-05-01', '2025-08-31', { Lead: ['Cara'] }),
+  deal('Umbrella', '2025-01-01', '2025-03-15', { Lead: ['Dan'] })
+];
+
+test('finds overloads, bench cliffs and Leads without follow-on work', () => {
+  const warnings = findEarlyWarnings(deals, settings, { months: 3, today });
+
+  // Ann leads Acme and Globex and advises on Initech in February
+  expect(warnings.overloads).toEqual([expect.objectContaining({
+    consultant: 'Ann',
+    startDate: '2025-02-01',
+    load: 2.3,
+    limit: 2,
+    otherPeriods: [],
+    deals: [{ name: 'Acme', role: 'Lead' }, { name: 'Globex', role: 'Lead' }, { name: 'Initech', role: 'Strategic Advisor' }]
+  })]);
+  expect(warnings.benchCliffs).toEqual([
+    expect.objectContaining({ consultant: 'Cara', date: '2025-03-01', loadBefore: 1, loadAfter: 0, nextStart: '2025-05-01' }),
+    expect.objectContaining({ consultant: 'Dan', date: '2025-03-16', endingDeals: ['Umbrella'], nextStart: null })
+  ]);
+  // Cara already has Hooli lined up after Initech
+  expect(warnings.missingFollowOns).toEqual([
+    expect.objectContaining({ consultant: 'Dan', dealName: 'Umbrella', endDate: '2025-03-15' })
+  ]);
+});
+
+test('counts every role someone holds on a deal', () => {
+  const warnings = findEarlyWarnings([deal('Stark', '2025-01-01', '2025-02-28', { Lead: ['Eve'], Supporting: ['Eve'] })], settings, {
+    months: 3, today
+  });
+
+  expect(warnings.benchCliffs).toEqual([
+    expect.objectContaining({ consultant: 'Eve', date: '2025-03-01', loadBefore: 1.5, loadAfter: 0, endingDeals: ['Stark'] })
+  ]);
+  expect(warnings.missingFollowOns).toEqual([
+    expect.objectContaining({ consultant: 'Eve', dealName: 'Stark', endDate: '2025-02-28' })
+  ]);
+});
+
+test('only looks as far ahead as the window', () => {
+  const warnings = findEarlyWarnings(deals, settings, { months: 1, today });
+  expect(warnings.overloads).toEqual([]);
+  expect(warnings.benchCliffs).toEqual([]);
+});
+
+test('formats a Markdown digest with dashboard links', () => {
+  const warnings = findEarlyWarnings(deals, settings, { months: 3, today });
+  const digest = formatWarningsDigest(warnings, { months: 3, today, baseUrl: 'https://capacity.example.com' });
+
+  expect(digest).toContain('# Staffing warnings – 2025-01-15');
+  expect(digest).toContain('## Over capacity (1)');
+  expect(digest).toContain('- [Dan](https://capacity.example.com/consultants/Dan): load drops from 1 to 0 on 2025-03-16 after Umbrella ends; nothing lined up');
+  expect(digest).toContain('- **Umbrella** ends 2025-03-15 – [Dan]');
+});
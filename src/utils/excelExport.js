@@ -0,0 +1,156 @@
+import { CAPACITY_STATUS_LABELS, getRoleWeight, parseDate } from './capacity';
+import { DEFAULT_FORECAST_LAYER, FORECAST_LAYERS, getLayerLoads } from './pipeline';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF3F4F6' } };
+const OVER_CAPACITY_STYLE = {
+  fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFEE2E2' } },
+  font: { color: { argb: 'FF991B1B' } }
+};
+const AT_CAPACITY_STYLE = {
+  fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFEF9C3' } },
+  font: { color: { argb: 'FF854D0E' } }
+};
+
+// Excel stores dates without a timezone, so keep the calendar day the user sees
+const toExcelDate = (value) => {
+  const date = parseDate(value);
+  return date ? new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())) : value;
+};
+
+const addTable = (worksheet, columns, rows, { freezeColumns = 0 } = {}) => {
+  worksheet.columns = columns;
+  rows.forEach(row => worksheet.addRow(row));
+
+  const header = worksheet.getRow(1);
+  header.font = { bold: true };
+  header.fill = HEADER_FILL;
+
+  worksheet.views = [{ state: 'frozen', xSplit: freezeColumns, ySplit: 1 }];
+  worksheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: Math.max(1, rows.length + 1), column: columns.length }
+  };
+};
+
+const addSummarySheet = (workbook, consultants, layer) => {
+  const worksheet = workbook.addWorksheet('Summary');
+  addTable(worksheet, [
+    { header: 'Consultant', key: 'consultant', width: 28 },
+    { header: 'Current Weighted Load', key: 'load', width: 22 },
+    { header: 'Available Capacity', key: 'capacity', width: 20 },
+    { header: 'Status', key: 'status', width: 18 },
+    { header: 'Forecast Layer', key: 'layer', width: 20 }
+  ], consultants.map(consultant => ({
+    consultant: consultant.name,
+    load: consultant.currentPeriod.weightedLoad,
+    capacity: consultant.currentPeriod.capacity,
+    status: CAPACITY_STATUS_LABELS[consultant.status],
+    layer: FORECAST_LAYERS[layer].label
+  })), { freezeColumns: 1 });
+};
+
+const addTimelineSheet = (workbook, consultants, settings) => {
+  const worksheet = workbook.addWorksheet('Timeline');
+  const periods = consultants.length ? consultants[0].timeline.map(entry => entry.period) : [];
+
+  addTable(worksheet, [
+    { header: 'Consultant', key: 'consultant', width: 28 },
+    ...periods.map((period, idx) => ({ header: period, key: `p${idx}`, width: 10 }))
+  ], consultants.map(consultant => {
+    const row = { consultant: consultant.name };
+    consultant.timeline.forEach((entry, idx) => {
+      row[`p${idx}`] = entry.weightedLoad;
+    });
+    return row;
+  }), { freezeColumns: 1 });
+
+  // Each cell is shaded like its period's status, against the consultant's own ceiling less any
+  // planned absence. Neighbouring cells with the same thresholds share a rule.
+  const { statusThresholds } = settings;
+  consultants.forEach((consultant, rowIdx) => {
+    const thresholds = consultant.timeline.map(entry => [
+      entry.maxLoad * statusThresholds.overCapacity - entry.absenceLoad,
+      entry.maxLoad * statusThresholds.atCapacity - entry.absenceLoad
+    ].map(value => parseFloat(value.toFixed(2))));
+    const row = rowIdx + 2;
+    let first = 0;
+    thresholds.forEach(([over, at], idx) => {
+      const next = thresholds[idx + 1];
+      if (next && next[0] === over && next[1] === at) {
+        return;
+      }
+      const from = `${worksheet.getColumn(first + 2).letter}${row}`;
+      const to = `${worksheet.getColumn(idx + 2).letter}${row}`;
+      first = idx + 1;
+      worksheet.addConditionalFormatting({
+        ref: from === to ? from : `${from}:${to}`,
+        rules: [
+          { type: 'cellIs', operator: 'greaterThan', priority: 1, formulae: [over], style: OVER_CAPACITY_STYLE },
+          { type: 'cellIs', operator: 'greaterThanOrEqual', priority: 2, formulae: [at], style: AT_CAPACITY_STYLE }
+        ]
+      });
+    });
+  });
+};
+
+// One row per consultant and layer so the layers can be compared or stacked in Excel
+const addLayersSheet = (workbook, consultants) => {
+  const worksheet = workbook.addWorksheet('Forecast Layers');
+  const periods = consultants.length ? consultants[0].timeline.map(entry => entry.period) : [];
+
+  addTable(worksheet, [
+    { header: 'Consultant', key: 'consultant', width: 28 },
+    { header: 'Layer', key: 'layer', width: 20 },
+    ...periods.map((period, idx) => ({ header: period, key: `p${idx}`, width: 10 }))
+  ], consultants.flatMap(consultant => Object.entries(FORECAST_LAYERS).map(([key, { label }]) => {
+    const row = { consultant: consultant.name, layer: label };
+    consultant.timeline.forEach((entry, idx) => {
+      row[`p${idx}`] = getLayerLoads(entry)[key];
+    });
+    return row;
+  })), { freezeColumns: 2 });
+};
+
+const addProjectsSheet = (workbook, consultants, settings) => {
+  const worksheet = workbook.addWorksheet('Projects');
+  addTable(worksheet, [
+    { header: 'Consultant', key: 'consultant', width: 28 },
+    { header: 'Project', key: 'project', width: 36 },
+    { header: 'Role', key: 'role', width: 18 },
+    { header: 'Role Weight', key: 'weight', width: 12 },
+    { header: 'Business Line', key: 'businessLine', width: 22 },
+    { header: 'Start Date', key: 'startDate', width: 14, style: { numFmt: 'yyyy-mm-dd' } },
+    { header: 'End Date', key: 'endDate', width: 14, style: { numFmt: 'yyyy-mm-dd' } },
+    { header: 'Deal Stage', key: 'dealStage', width: 22 },
+    { header: 'Probability', key: 'probability', width: 12, style: { numFmt: '0%' } }
+  ], consultants.flatMap(consultant =>
+    consultant.projects.map(project => ({
+      consultant: consultant.name,
+      project: project.projectName,
+      role: project.role,
+      weight: getRoleWeight(project.role, settings),
+      businessLine: project.businessLine,
+      startDate: toExcelDate(project.startDate),
+      endDate: toExcelDate(project.endDate),
+      dealStage: project.dealStage || '',
+      probability: project.probability
+    }))
+  ), { freezeColumns: 1 });
+};
+
+// Builds the Summary, Timeline, Forecast Layers and Projects workbook and resolves with its bytes.
+// ExcelJS is loaded on demand so it stays out of the main bundle.
+export const buildCapacityWorkbook = async (consultants, settings, { layer = DEFAULT_FORECAST_LAYER } = {}) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  addSummarySheet(workbook, consultants, layer);
+  addTimelineSheet(workbook, consultants, settings);
+  addLayersSheet(workbook, consultants);
+  addProjectsSheet(workbook, consultants, settings);
+
+  return workbook.xlsx.writeBuffer();
+};
@@ -0,0 +1,56 @@
+import ExcelJS from 'exceljs';
+import { DEFAULT_SETTINGS } from './capacity';
+import { buildCapacityWorkbook } from './excelExport';
+
+const timeline = [
+  { period: 'Jan 26', weightedLoad: 9, maxLoad: 8, absenceLoad: 0, capacity: 0, committedLoad: 8, pipelineLoad: 1, bestCaseLoad: 10 },
+  { period: 'Feb 26', weightedLoad: 4, maxLoad: 4, absenceLoad: 1, capacity: 0, committedLoad: 4, pipelineLoad: 0, bestCaseLoad: 4 }
+];
+
+const consultant = {
+  name: 'Jane Doe',
+  status: 'over-capacity',
+  timeline,
+  currentPeriod: timeline[0],
+  projects: [
+    {
+      projectName: 'Acme Rollout',
+      role: 'Lead',
+      businessLine: 'Strategy',
+      startDate: '2026-01-05',
+      endDate: '2026-02-20',
+      dealStage: 'Contract Sent',
+      probability: 0.9
+    }
+  ]
+};
+
+test('writes a workbook with summary, timeline, layer and projects sheets', async () => {
+  const buffer = await buildCapacityWorkbook([consultant], DEFAULT_SETTINGS);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Summary', 'Timeline', 'Forecast Layers', 'Projects']);
+
+  const summary = workbook.getWorksheet('Summary');
+  expect(summary.getRow(2).values.slice(1)).toEqual(['Jane Doe', 9, 0, 'Over Capacity', 'Weighted Pipeline']);
+
+  const timeline = workbook.getWorksheet('Timeline');
+  expect(timeline.getRow(1).values.slice(1)).toEqual(['Consultant', 'Jan 26', 'Feb 26']);
+  expect(timeline.views[0]).toMatchObject({ state: 'frozen', xSplit: 1, ySplit: 1 });
+  // A part-time, partly absent February gets its own thresholds
+  expect(timeline.conditionalFormattings.map(({ ref, rules }) => [ref, rules.map(rule => rule.formulae[0])])).toEqual([
+    ['B2', ['8', '6.4']],
+    ['C2', ['3', '2.2']]
+  ]);
+
+  const layers = workbook.getWorksheet('Forecast Layers');
+  expect(layers.getColumn(3).values.slice(2)).toEqual([8, 9, 10]);
+
+  const projects = workbook.getWorksheet('Projects');
+  const startDate = projects.getRow(2).getCell(6).value;
+  expect(startDate).toBeInstanceOf(Date);
+  expect(startDate.toISOString()).toBe('2026-01-05T00:00:00.000Z');
+  expect(projects.getRow(2).getCell(9).value).toBe(0.9);
+  expect(projects.autoFilter).toBeTruthy();
+});
@@ -0,0 +1,77 @@
+export const DEFAULT_FILTERS = {
+  businessLines: [],
+  roles: [],
+  timeframe: 'all',
+  capacityStatus: 'all',
+  statusPeriod: 'current',
+  consultantSearch: '',
+  outFrom: '',
+  outTo: '',
+  seniorities: [],
+  homeLines: [],
+  skills: []
+};
+
+// Short query string keys so shared links stay readable
+const FILTER_PARAMS = {
+  businessLines: 'line',
+  roles: 'role',
+  timeframe: 'timeframe',
+  capacityStatus: 'status',
+  statusPeriod: 'period',
+  consultantSearch: 'q',
+  outFrom: 'outFrom',
+  outTo: 'outTo',
+  seniorities: 'seniority',
+  homeLines: 'home',
+  skills: 'skill'
+};
+
+export const VIEW_MODES = ['cards', 'heatmap', 'gantt'];
+
+// Multi-select filters repeat their param, e.g. ?line=Data&line=Strategy
+const isMultiple = (key) => Array.isArray(DEFAULT_FILTERS[key]);
+
+export const readFilters = (searchParams) => Object.fromEntries(
+  Object.entries(FILTER_PARAMS).map(([key, param]) => [
+    key,
+    isMultiple(key) ? searchParams.getAll(param) : searchParams.get(param) ?? DEFAULT_FILTERS[key]
+  ])
+);
+
+export const readViewMode = (searchParams) => (
+  VIEW_MODES.includes(searchParams.get('view')) ? searchParams.get('view') : VIEW_MODES[0]
+);
+
+// Copies the current params with the given values applied; defaults are left out of the URL
+export const updateSearchParams = (searchParams, { filters, expanded, view } = {}) => {
+  const next = new URLSearchParams(searchParams);
+  const assign = (param, value, defaultValue) => {
+    if (value === undefined) {
+      return;
+    }
+    if (value === null || value === defaultValue) {
+      next.delete(param);
+    } else {
+      next.set(param, value);
+    }
+  };
+
+  if (filters) {
+    Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+      if (isMultiple(key) && filters[key] !== undefined) {
+        next.delete(param);
+        (filters[key] || []).forEach(value => next.append(param, value));
+      } else {
+        assign(param, filters[key], DEFAULT_FILTERS[key]);
+      }
+    });
+  }
+  assign('expanded', expanded, null);
+  assign('view', view, VIEW_MODES[0]);
+  return next;
+};
+
+export const consultantPath = (name) => `/consultants/${encodeURIComponent(name)}`;
+
+export const businessLinePath = (line) => `/business-lines/${encodeURIComponent(line)}`;
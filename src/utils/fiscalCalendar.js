@@ -0,0 +1,116 @@
+import { MONTH_NAMES, formatMonth, formatWeek } from './dates';
+
+// How a fiscal year splits into months: calendar months, or 13-week quarters of 4 and 5 week periods
+export const FISCAL_PATTERNS = {
+  calendar: 'Calendar months',
+  '4-4-5': '4-4-5 weeks',
+  '4-5-4': '4-5-4 weeks',
+  '5-4-4': '5-4-4 weeks'
+};
+
+// startMonth is 1 for January
+export const DEFAULT_FISCAL_CALENDAR = { startMonth: 1, pattern: 'calendar' };
+
+export const FISCAL_START_MONTHS = MONTH_NAMES.map((name, idx) => ({ value: idx + 1, label: name }));
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const isWeekPattern = (calendar) => calendar.pattern !== 'calendar';
+
+// Anything but calendar quarters from January
+export const isFiscalCalendar = (calendar) => Boolean(calendar) &&
+  (calendar.startMonth !== DEFAULT_FISCAL_CALENDAR.startMonth || calendar.pattern !== DEFAULT_FISCAL_CALENDAR.pattern);
+
+export const normalizeFiscalCalendar = (calendar = {}) => {
+  const startMonth = parseInt(calendar.startMonth, 10);
+  return {
+    startMonth: startMonth >= 1 && startMonth <= 12 ? startMonth : DEFAULT_FISCAL_CALENDAR.startMonth,
+    pattern: FISCAL_PATTERNS[calendar.pattern] ? calendar.pattern : DEFAULT_FISCAL_CALENDAR.pattern
+  };
+};
+
+// Fiscal years are named after the calendar year they end in, so with a July start FY26 begins in
+// July 2025. Week-based years begin on the Monday nearest the first of the start month, which makes
+// some of them 53 weeks long.
+const getYearStart = (fiscalYear, calendar) => {
+  const first = new Date(fiscalYear - (calendar.startMonth > 1 ? 1 : 0), calendar.startMonth - 1, 1);
+  if (!isWeekPattern(calendar)) {
+    return first;
+  }
+  const sinceMonday = (first.getDay() + 6) % 7;
+  return addDays(first, sinceMonday <= 3 ? -sinceMonday : 7 - sinceMonday);
+};
+
+const getFiscalYear = (date, calendar) => {
+  let year = date.getFullYear() + (calendar.startMonth > 1 ? 1 : 0);
+  while (date < getYearStart(year, calendar)) {
+    year -= 1;
+  }
+  while (date >= getYearStart(year + 1, calendar)) {
+    year += 1;
+  }
+  return year;
+};
+
+// First days of the year's 12 months and of the next year. In a 53-week year the extra week goes
+// to the last month.
+const getMonthStarts = (fiscalYear, calendar) => {
+  const start = getYearStart(fiscalYear, calendar);
+  const next = getYearStart(fiscalYear + 1, calendar);
+  if (!isWeekPattern(calendar)) {
+    return [...Array(12).keys()].map(idx => new Date(start.getFullYear(), start.getMonth() + idx, 1)).concat(next);
+  }
+  const weeks = calendar.pattern.split('-').map(Number);
+  const starts = [start];
+  for (let idx = 0; idx < 11; idx++) {
+    starts.push(addDays(starts[idx], weeks[idx % 3] * 7));
+  }
+  return starts.concat(next);
+};
+
+const shortYear = (year) => String(year).slice(-2);
+
+// Quarter keys such as '2025-Q3' use the fiscal year's number
+const getQuarterInfo = (date, calendar) => {
+  const fiscalYear = getFiscalYear(date, calendar);
+  const starts = getMonthStarts(fiscalYear, calendar);
+  const month = starts.findIndex((start, idx) => date >= start && date < starts[idx + 1]);
+  return { fiscalYear, starts, month, quarter: Math.floor(month / 3) + 1 };
+};
+
+export const getQuarterKey = (date, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const { fiscalYear, quarter } = getQuarterInfo(date, normalizeFiscalCalendar(calendar));
+  return `${fiscalYear}-Q${quarter}`;
+};
+
+// "Q3 2025", or "Q1 FY26" for a fiscal calendar
+export const formatQuarterKey = (key, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  const [year, quarter] = key.split('-');
+  return isFiscalCalendar(calendar) ? `${quarter} FY${shortYear(year)}` : `${quarter} ${year}`;
+};
+
+// The month, quarter or week (from Monday) containing `day`, as { start, end, label } with `end`
+// the first day of the next period. Months of a week-based calendar are labelled P1 to P12.
+export const getPeriodContaining = (day, granularity, calendar = DEFAULT_FISCAL_CALENDAR) => {
+  if (granularity === 'week') {
+    const start = addDays(day, -((day.getDay() + 6) % 7));
+    return { start, end: addDays(start, 7), label: formatWeek(start) };
+  }
+
+  const normalized = normalizeFiscalCalendar(calendar);
+  const fiscal = isFiscalCalendar(normalized);
+  const { fiscalYear, starts, month, quarter } = getQuarterInfo(day, normalized);
+  if (granularity === 'quarter') {
+    const first = (quarter - 1) * 3;
+    return {
+      start: starts[first],
+      end: starts[first + 3],
+      label: fiscal ? `Q${quarter} FY${shortYear(fiscalYear)}` : `Q${quarter} ${shortYear(fiscalYear)}`
+    };
+  }
+  return {
+    start: starts[month],
+    end: starts[month + 1],
+    label: isWeekPattern(normalized) ? `P${month + 1} FY${shortYear(fiscalYear)}` : formatMonth(starts[month])
+  };
+};
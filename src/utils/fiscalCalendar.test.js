@@ -0,0 +1,28 @@
+import { buildPeriods } from './capacity';
+import { formatQuarterKey, getPeriodContaining, getQuarterKey } from './fiscalCalendar';
+
+const july = { startMonth: 7, pattern: 'calendar' };
+const july445 = { startMonth: 7, pattern: '4-4-5' };
+
+test('fiscal years are named after the year they end in', () => {
+  expect(getQuarterKey(new Date(2025, 6, 1), july)).toBe('2026-Q1');
+  expect(getQuarterKey(new Date(2025, 5, 30), july)).toBe('2025-Q4');
+  expect(getQuarterKey(new Date(2025, 6, 1))).toBe('2025-Q3');
+  expect(formatQuarterKey('2026-Q1', july)).toBe('Q1 FY26');
+  expect(formatQuarterKey('2025-Q3')).toBe('Q3 2025');
+
+  const quarters = buildPeriods({ granularity: 'quarter', startDate: '2025-08-15', horizon: 2 }, july);
+  expect(quarters.map(p => p.label)).toEqual(['Q1 FY26', 'Q2 FY26']);
+  expect(quarters[0].start).toEqual(new Date(2025, 6, 1));
+});
+
+test('4-4-5 years start on the Monday nearest the first month and split into 4 and 5 week periods', () => {
+  const months = buildPeriods({ granularity: 'month', startDate: '2025-07-01', horizon: 3 }, july445);
+  expect(months.map(p => p.label)).toEqual(['P1 FY26', 'P2 FY26', 'P3 FY26']);
+  expect(months[0].start).toEqual(new Date(2025, 5, 30));
+  expect(months.map(p => Math.round((p.end - p.start) / (7 * 24 * 3600 * 1000)))).toEqual([4, 4, 5]);
+
+  const quarter = getPeriodContaining(new Date(2025, 8, 28), 'quarter', july445);
+  expect(quarter.label).toBe('Q1 FY26');
+  expect(quarter.end).toEqual(new Date(2025, 8, 29));
+});
@@ -0,0 +1,151 @@
+import _ from 'lodash';
+import { getRoleWeight, parseDate, toISODate } from './capacity';
+import { getLayerFactor } from './pipeline';
+import { MONTH_NAMES, formatMonth } from './dates';
+
+// Visible stretch of time; every zoom starts at the beginning of last month
+export const ZOOM_LEVELS = {
+  quarter: { label: '3 Months', months: 3, tickEvery: 1 },
+  half: { label: '6 Months', months: 6, tickEvery: 1 },
+  year: { label: '12 Months', months: 12, tickEvery: 1 },
+  twoYears: { label: '24 Months', months: 24, tickEvery: 3 }
+};
+
+export const DEFAULT_ZOOM = 'half';
+
+export const GROUP_BY = {
+  consultant: 'Consultant',
+  deal: 'Deal'
+};
+
+// Same hues as the role badges in the project tables
+const ROLE_COLORS = {
+  'Lead': '#22c55e',
+  'Co-Lead': '#3b82f6',
+  'Strategic Advisor': '#eab308',
+  'Supporting': '#9ca3af'
+};
+const EXTRA_ROLE_COLORS = ['#a855f7', '#f97316', '#14b8a6', '#ec4899', '#6366f1'];
+
+export const getRoleColor = (role, roles = []) => {
+  if (ROLE_COLORS[role]) {
+    return ROLE_COLORS[role];
+  }
+  const extraRoles = roles.filter(r => !ROLE_COLORS[r]);
+  const idx = extraRoles.indexOf(role);
+  return idx >= 0 ? EXTRA_ROLE_COLORS[idx % EXTRA_ROLE_COLORS.length] : '#6b7280';
+};
+
+export const getGanttRange = (zoom, today = new Date()) => {
+  const { months, tickEvery } = ZOOM_LEVELS[zoom] || ZOOM_LEVELS[DEFAULT_ZOOM];
+  const start = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+  const end = new Date(start.getFullYear(), start.getMonth() + months, 1);
+  const ticks = _.range(0, months, tickEvery).map(offset => {
+    const date = new Date(start.getFullYear(), start.getMonth() + offset, 1);
+    return {
+      date,
+      label: offset === 0 || date.getMonth() === 0 ? formatMonth(date) : MONTH_NAMES[date.getMonth()]
+    };
+  });
+  return { start, end, ticks };
+};
+
+// Position of a date across the range, clamped to 0-100
+export const toPercent = (date, range) => {
+  const share = (date - range.start) / (range.end - range.start);
+  return Math.min(100, Math.max(0, share * 100));
+};
+
+// Bars cover whole days: [start, day after end)
+const toBar = (project, settings, extra) => {
+  const start = parseDate(project.startDate);
+  const end = parseDate(project.endDate);
+  if (!start || !end || end < start) {
+    return null;
+  }
+  return {
+    dealName: project.projectName,
+    role: project.role,
+    weight: getRoleWeight(project.role, settings),
+    businessLine: project.businessLine,
+    probability: project.probability,
+    startDate: toISODate(start),
+    endDate: toISODate(end),
+    start,
+    end: new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1),
+    ...extra
+  };
+};
+
+const overlapsBar = (a, b) => a.start < b.end && b.start < a.end;
+
+// Stretches of time where two or more bars run at once
+export const findOverlaps = (bars) => {
+  const edges = _.sortBy(
+    bars.flatMap(bar => [{ at: bar.start, delta: 1 }, { at: bar.end, delta: -1 }]),
+    // Ends sort before starts on the same day so back-to-back projects don't overlap
+    [edge => edge.at.getTime(), 'delta']
+  );
+  const overlaps = [];
+  let active = 0;
+  let overlapStart = null;
+  edges.forEach(({ at, delta }) => {
+    active += delta;
+    if (active >= 2 && overlapStart === null) {
+      overlapStart = at;
+    } else if (active < 2 && overlapStart !== null) {
+      if (at > overlapStart) {
+        overlaps.push({ start: overlapStart, end: at });
+      }
+      overlapStart = null;
+    }
+  });
+  return overlaps;
+};
+
+// Greedy interval packing: each bar takes the first lane that is free when it starts
+export const assignLanes = (bars) => {
+  const laneEnds = [];
+  return _.sortBy(bars, [bar => bar.start.getTime(), 'dealName']).map(bar => {
+    let lane = laneEnds.findIndex(end => end <= bar.start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+    }
+    laneEnds[lane] = bar.end;
+    return { ...bar, lane };
+  });
+};
+
+const consultantBars = (consultant, settings, layer) => {
+  const bars = consultant.projects
+    .filter(project => getLayerFactor(project.probability, layer) > 0)
+    .map(project => toBar(project, settings, { consultant: consultant.name }))
+    .filter(Boolean);
+  // A bar is flagged when it shares time with another of the consultant's projects
+  return bars.map(bar => ({ ...bar, overlapping: bars.some(other => other !== bar && overlapsBar(bar, other)) }));
+};
+
+// Swimlane rows of laned bars. Consultant rows also carry the stretches where projects overlap.
+export const buildGanttRows = (consultants, settings, { groupBy = 'consultant', layer } = {}) => {
+  const bars = consultants.flatMap(consultant => consultantBars(consultant, settings, layer));
+
+  if (groupBy === 'deal') {
+    return _.sortBy(
+      Object.entries(_.groupBy(bars, 'dealName')).map(([dealName, dealBars]) => ({
+        key: dealName,
+        label: dealName,
+        bars: assignLanes(dealBars),
+        overlaps: []
+      })),
+      row => _.min(row.bars.map(bar => bar.start.getTime()))
+    );
+  }
+
+  return Object.entries(_.groupBy(bars, 'consultant')).map(([name, rowBars]) => ({
+    key: name,
+    label: name,
+    consultant: name,
+    bars: assignLanes(rowBars),
+    overlaps: findOverlaps(rowBars)
+  }));
+};
@@ -0,0 +1,49 @@
+import { DEFAULT_SETTINGS } from './capacity';
+import { buildGanttRows, getGanttRange, toPercent } from './gantt';
+
+const project = (projectName, role, startDate, endDate, probability = 1) => ({
+  projectName, role, startDate, endDate, businessLine: 'Data', probability
+});
+
+const consultants = [
+  {
+    name: 'Ann',
+    projects: [
+      project('Acme', 'Lead', '2025-01-01', '2025-03-31'),
+      project('Globex', 'Co-Lead', '2025-03-01', '2025-05-31'),
+      project('Initech', 'Lead', '2025-06-01', '2025-06-30'),
+      project('Lost', 'Lead', '2025-01-01', '2025-12-31', 0)
+    ]
+  },
+  { name: 'Bob', projects: [project('Acme', 'Supporting', '2025-02-01', '2025-02-28'), project('Undated', 'Lead', '', '')] }
+];
+
+test('lays out consultant swimlanes and highlights overlapping projects', () => {
+  const [ann, bob] = buildGanttRows(consultants, DEFAULT_SETTINGS);
+
+  expect(ann.bars.map(bar => [bar.dealName, bar.lane, bar.overlapping])).toEqual([
+    ['Acme', 0, true],
+    ['Globex', 1, true],
+    // Starts the day after Globex ends, so it reuses the first free lane
+    ['Initech', 0, false]
+  ]);
+  expect(ann.overlaps).toEqual([{ start: new Date(2025, 2, 1), end: new Date(2025, 3, 1) }]);
+  expect(ann.bars[1]).toMatchObject({ weight: 0.7, businessLine: 'Data', startDate: '2025-03-01', endDate: '2025-05-31' });
+  expect(bob.bars.map(bar => bar.dealName)).toEqual(['Acme']);
+  expect(bob.overlaps).toEqual([]);
+});
+
+test('groups bars by deal', () => {
+  const rows = buildGanttRows(consultants, DEFAULT_SETTINGS, { groupBy: 'deal', layer: 'bestCase' });
+  expect(rows.map(row => row.label)).toEqual(['Acme', 'Globex', 'Initech']);
+  expect(rows[0].bars.map(bar => [bar.consultant, bar.role, bar.lane])).toEqual([['Ann', 'Lead', 0], ['Bob', 'Supporting', 1]]);
+});
+
+test('zoom ranges start last month', () => {
+  const range = getGanttRange('quarter', new Date(2025, 0, 15));
+  expect(range.start).toEqual(new Date(2024, 11, 1));
+  expect(range.end).toEqual(new Date(2025, 2, 1));
+  expect(range.ticks.map(tick => tick.label)).toHaveLength(3);
+  expect(toPercent(new Date(2024, 0, 1), range)).toBe(0);
+  expect(toPercent(range.end, range)).toBe(100);
+});
@@ -0,0 +1,108 @@
+// Thin client for the HubSpot CRM deals API, authenticated with a private-app token.
+// fetch and the retry wait are injectable so it runs in the browser, in Node and against the
+// mock server in scripts/hubspot-mock-server.js.
+//
+//   const client = createHubSpotClient({ token });
+//   const deals = await client.fetchDeals({ properties: ['dealname', 'closedate'] });
+
+export const HUBSPOT_API_URL = 'https://api.hubapi.com';
+
+const DEALS_PATH = '/crm/v3/objects/deals';
+const SEARCH_PATH = '/crm/v3/objects/deals/search';
+const MODIFIED_PROPERTY = 'hs_lastmodifieddate';
+// The largest page either endpoint returns
+const PAGE_SIZE = 100;
+const MAX_RETRY_DELAY_MS = 10000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is in seconds; without it back off 1s, 2s, 4s...
+const getRetryDelay = (response, attempt) => {
+  const retryAfter = parseFloat(response.headers.get('retry-after'));
+  const delay = Number.isNaN(retryAfter) ? 1000 * 2 ** attempt : retryAfter * 1000;
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+};
+
+const toError = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  const detail = body.message || response.statusText;
+  const message = {
+    401: 'HubSpot rejected the access token; check the private app token',
+    403: 'The private app is missing the crm.objects.deals.read scope'
+  }[response.status] || `HubSpot API error ${response.status}${detail ? `: ${detail}` : ''}`;
+  return Object.assign(new Error(message), { status: response.status });
+};
+
+export const createHubSpotClient = ({
+  token,
+  baseUrl = HUBSPOT_API_URL,
+  fetch: fetchImpl = (...args) => fetch(...args),
+  maxRetries = 4,
+  sleep = wait
+}) => {
+  if (!token) {
+    throw new Error('A HubSpot private app token is required');
+  }
+
+  // Rate limits (429) and server errors are retried; anything else fails straight away
+  const request = async (method, path, { query, body, signal } = {}) => {
+    const url = `${baseUrl.replace(/\/$/, '')}${path}${query ? `?${new URLSearchParams(query)}` : ''}`;
+    for (let attempt = 0; ; attempt += 1) {
+      const response = await fetchImpl(url, {
+        method,
+        signal,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      if (response.ok) {
+        return response.json();
+      }
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        throw await toError(response);
+      }
+      await sleep(getRetryDelay(response, attempt));
+    }
+  };
+
+  const listPage = (properties, after, signal) => request('GET', DEALS_PATH, {
+    query: { limit: PAGE_SIZE, properties: properties.join(','), archived: 'false', ...(after ? { after } : {}) },
+    signal
+  });
+
+  const searchPage = (properties, modifiedSince, after, signal) => request('POST', SEARCH_PATH, {
+    body: {
+      filterGroups: [{
+        filters: [{ propertyName: MODIFIED_PROPERTY, operator: 'GTE', value: String(Date.parse(modifiedSince)) }]
+      }],
+      sorts: [{ propertyName: MODIFIED_PROPERTY, direction: 'ASCENDING' }],
+      properties,
+      limit: PAGE_SIZE,
+      ...(after ? { after } : {})
+    },
+    signal
+  });
+
+  // Every deal as { id, properties }, following the paging cursor. With modifiedSince (an ISO
+  // timestamp) only the deals changed since then, through the search endpoint.
+  // onPage(fetched, total) reports progress; total is only known for searches.
+  const fetchDeals = async ({ properties, modifiedSince = null, onPage = () => {}, signal } = {}) => {
+    const deals = [];
+    let after = null;
+    do {
+      const page = modifiedSince
+        ? await searchPage(properties, modifiedSince, after, signal)
+        : await listPage(properties, after, signal);
+      deals.push(...page.results.map(({ id, properties: values }) => ({ id, properties: values })));
+      after = page.paging && page.paging.next ? page.paging.next.after : null;
+      onPage(deals.length, page.total ?? null);
+    } while (after);
+    return deals;
+  };
+
+  return { fetchDeals };
+};
@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createHubSpotClient } from './hubspotClient';
+import { DEFAULT_HUBSPOT_PROPERTIES, describeSyncAge, syncDeals } from './hubspotSync';
+import { mapRowsToDeals } from './columnMapping';
+import { DEFAULT_SETTINGS } from './capacity';
+import { getDealProbability } from './pipeline';
+import { BUILT_IN_PROFILES, findMatchingProfile } from './importProfiles';
+import fullSync from '../../scripts/hubspot-recordings/full-sync.json';
+import incrementalSync from '../../scripts/hubspot-recordings/incremental-sync.json';
+import unauthorized from '../../scripts/hubspot-recordings/unauthorized.json';
+
+const { createMockServer } = require('../../scripts/hubspot-mock-server');
+
+// The test environment has no fetch, so requests go through Node's http module
+const httpFetch = (url, { method, headers, body }) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        headers: { get: name => res.headers[name.toLowerCase()] ?? null },
+        json: () => Promise.resolve(JSON.parse(text))
+      });
+    });
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+let server;
+afterEach(() => server && server.close());
+
+const replay = async (recording) => {
+  server = await createMockServer(recording);
+  const delays = [];
+  const client = createHubSpotClient({
+    token: 'test-token',
+    baseUrl: server.url,
+    fetch: httpFetch,
+    sleep: ms => {
+      delays.push(ms);
+      return Promise.resolve();
+    }
+  });
+  return { client, delays };
+};
+
+test('pages through every deal, retrying after a rate limit', async () => {
+  const { client, delays } = await replay(fullSync);
+  const pages = [];
+  const dataset = await syncDeals(client, {
+    properties: DEFAULT_HUBSPOT_PROPERTIES,
+    onProgress: fetched => pages.push(fetched)
+  });
+
+  expect(server.remaining()).toBe(0);
+  expect(delays).toEqual([1000]);
+  expect(pages).toEqual([2, 3]);
+  expect(server.requests.map(r => r.authorization)).toEqual(Array(3).fill('Bearer test-token'));
+
+  // The rows feed the same import step as a CSV, under the built-in API profile
+  const profileName = findMatchingProfile(BUILT_IN_PROFILES, dataset.headers);
+  expect(profileName).toBe('HubSpot API');
+  const deals = mapRowsToDeals(dataset.rows, BUILT_IN_PROFILES[profileName]);
+  expect(deals.map(d => d.dealName)).toEqual(['Data Platform Rollout', 'Pricing Review', 'Churn Model']);
+  expect(deals[0].staffing.map(s => s.consultants)).toEqual([['Ann Lee'], ['Ben Ode'], [], ['Cai Park', 'Dee Shaw']]);
+  // Internal stage ids of the default pipeline match the stage table
+  expect(deals.map(d => getDealProbability(d, DEFAULT_SETTINGS))).toEqual([1, 0.9, 0.4]);
+  expect(dataset.source).toMatchObject({ type: 'hubspot', incremental: false, changed: 3 });
+});
+
+test('an incremental refresh searches for changed deals and merges them by id', async () => {
+  const { client } = await replay(incrementalSync);
+  const previous = {
+    rows: [
+      { hs_object_id: '9001', dealname: 'Data Platform Rollout' },
+      { hs_object_id: '9002', dealname: 'Pricing Review', contract_end_date: '2025-04-30' }
+    ],
+    source: { type: 'hubspot', syncedAt: '2025-01-15T00:00:00.000Z', properties: DEFAULT_HUBSPOT_PROPERTIES }
+  };
+  const dataset = await syncDeals(client, { properties: DEFAULT_HUBSPOT_PROPERTIES, previous });
+
+  const [search] = server.requests;
+  expect(search.body.filterGroups[0].filters).toEqual([
+    { propertyName: 'hs_lastmodifieddate', operator: 'GTE', value: String(Date.parse('2025-01-15T00:00:00.000Z')) }
+  ]);
+  expect(dataset.rows.map(r => [r.hs_object_id, r.contract_end_date || ''])).toEqual([
+    ['9001', ''], ['9002', '2025-05-30'], ['9004', '2025-07-31']
+  ]);
+  expect(dataset.source).toMatchObject({ incremental: true, changed: 2 });
+});
+
+test('a rejected token fails without retrying', async () => {
+  const { client, delays } = await replay(unauthorized);
+  await expect(client.fetchDeals({ properties: ['dealname'] })).rejects.toThrow('rejected the access token');
+  expect(delays).toEqual([]);
+});
+
+test('describes the time since the last sync in English', () => {
+  const now = new Date('2025-03-10T12:00:00.000Z');
+  expect([
+    describeSyncAge('2025-03-10T11:59:30.000Z', now),
+    describeSyncAge('2025-03-10T11:55:00.000Z', now),
+    describeSyncAge('2025-03-10T09:00:00.000Z', now),
+    describeSyncAge('2025-03-09T11:00:00.000Z', now)
+  ]).toEqual(['now', '5 minutes ago', '3 hours ago', 'yesterday']);
+});
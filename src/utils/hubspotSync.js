@@ -0,0 +1,128 @@
+import _ from 'lodash';
+import { HUBSPOT_API_MAPPING } from './columnMapping';
+
+const STORAGE_KEY = 'capacityDashboard.hubspot';
+// The token stays in this tab's session unless the user asks for it to be remembered
+const TOKEN_KEY = 'capacityDashboard.hubspotToken';
+
+export const HUBSPOT_SOURCE = 'hubspot';
+export const HUBSPOT_FILE_NAME = 'HubSpot API';
+export const ID_PROPERTY = 'hs_object_id';
+
+// Internal names of the properties the API mapping reads
+export const DEFAULT_HUBSPOT_PROPERTIES = _.uniq([
+  ...Object.values(HUBSPOT_API_MAPPING.fields),
+  ...HUBSPOT_API_MAPPING.roles.map(r => r.column)
+]);
+
+// In the browser requests go through the /hubspot proxy (netlify.toml, src/setupProxy.js),
+// since HubSpot doesn't allow cross-origin calls
+export const DEFAULT_HUBSPOT_CONFIG = {
+  baseUrl: '/hubspot',
+  properties: DEFAULT_HUBSPOT_PROPERTIES,
+  autoSync: false,
+  lastSyncedAt: null
+};
+
+// Reads "dealname, dealstage" or one property per line
+export const parsePropertyList = (text) => _.uniq(
+  String(text).split(/[\s,]+/).map(name => name.trim()).filter(Boolean)
+);
+
+// One row per deal keyed by property name, like a parsed CSV; missing values are blank
+export const dealsToRows = (deals, properties) => deals.map(deal => ({
+  [ID_PROPERTY]: deal.id,
+  ...Object.fromEntries(properties.map(name => [name, deal.properties[name] ?? '']))
+}));
+
+// Changed deals replace their previous row in place; new ones are appended
+export const mergeRows = (previous, changed) => {
+  const changedById = _.keyBy(changed, ID_PROPERTY);
+  const previousIds = new Set(previous.map(row => row[ID_PROPERTY]));
+  return [
+    ...previous.map(row => changedById[row[ID_PROPERTY]] || row),
+    ...changed.filter(row => !previousIds.has(row[ID_PROPERTY]))
+  ];
+};
+
+// Pulls the deals into { headers, rows, source } ready for the import step. When `previous` is an
+// earlier sync's dataset with the same properties only deals modified since then are fetched.
+// Deals deleted in HubSpot stay until the next full refresh.
+export const syncDeals = async (client, { properties, previous = null, onProgress = () => {}, signal }) => {
+  const incremental = Boolean(previous && previous.source && previous.source.type === HUBSPOT_SOURCE &&
+    _.isEqual(previous.source.properties, properties));
+  // Taken before the first request so edits made during the sync are picked up next time
+  const syncedAt = new Date().toISOString();
+  const deals = await client.fetchDeals({
+    properties,
+    modifiedSince: incremental ? previous.source.syncedAt : null,
+    onPage: onProgress,
+    signal
+  });
+  const rows = dealsToRows(deals, properties);
+  return {
+    fileName: HUBSPOT_FILE_NAME,
+    headers: [ID_PROPERTY, ...properties],
+    rows: incremental ? mergeRows(previous.rows, rows) : rows,
+    source: { type: HUBSPOT_SOURCE, syncedAt, properties, incremental, changed: rows.length }
+  };
+};
+
+export const loadHubSpotConfig = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return { ...DEFAULT_HUBSPOT_CONFIG, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (err) {
+    console.warn('Could not load HubSpot settings:', err);
+    return { ...DEFAULT_HUBSPOT_CONFIG };
+  }
+};
+
+export const saveHubSpotConfig = (config) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (err) {
+    console.warn('Could not save HubSpot settings:', err);
+  }
+};
+
+export const loadHubSpotToken = () => {
+  try {
+    return window.sessionStorage.getItem(TOKEN_KEY) || window.localStorage.getItem(TOKEN_KEY) || '';
+  } catch (err) {
+    console.warn('Could not load HubSpot token:', err);
+    return '';
+  }
+};
+
+export const isHubSpotTokenRemembered = () => {
+  try {
+    return Boolean(window.localStorage.getItem(TOKEN_KEY));
+  } catch (err) {
+    return false;
+  }
+};
+
+// remember keeps the token in localStorage across sessions; otherwise it's forgotten with the tab
+export const saveHubSpotToken = (token, remember) => {
+  try {
+    window.sessionStorage.removeItem(TOKEN_KEY);
+    window.localStorage.removeItem(TOKEN_KEY);
+    if (token) {
+      (remember ? window.localStorage : window.sessionStorage).setItem(TOKEN_KEY, token);
+    }
+  } catch (err) {
+    console.warn('Could not save HubSpot token:', err);
+  }
+};
+
+const AGE_UNITS = [['day', 86400000], ['hour', 3600000], ['minute', 60000]];
+
+// "5 minutes ago", "yesterday"; under a minute reads "now". In English like the rest of the UI,
+// whatever the browser's language.
+export const describeSyncAge = (syncedAt, now = new Date()) => {
+  const elapsed = now - new Date(syncedAt);
+  const [unit, size] = AGE_UNITS.find(([, ms]) => elapsed >= ms) || ['second', 1000];
+  const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+  return unit === 'second' ? format.format(0, 'second') : format.format(-Math.floor(elapsed / size), unit);
+};
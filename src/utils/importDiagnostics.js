@@ -0,0 +1,140 @@
+import _ from 'lodash';
+import { parseDate } from './capacity';
+import { formatDate } from './dates';
+import { getStageProbability, parseProbability } from './pipeline';
+
+export const ISSUE_TYPES = {
+  'invalid-date': 'Invalid date',
+  'ambiguous-date': 'Ambiguous date',
+  'reversed-dates': 'Reversed date range',
+  'missing-name': 'Missing deal name',
+  'duplicate-deal': 'Duplicate deal',
+  'duplicate-consultant': 'Consultant in several roles',
+  'empty-staffing': 'No consultants',
+  'unknown-role': 'Unknown role',
+  'unknown-stage': 'Unknown deal stage'
+};
+
+const describeConsultants = (names) => (
+  names.length === 1 ? names[0] : `${names.length} consultants`
+);
+
+const getConsultants = (deal) => _.uniq(deal.staffing.flatMap(s => s.consultants));
+
+// Lists every row-level problem with its cause and what it does to the capacity figures
+export const analyzeDeals = (deals, settings) => {
+  const issues = [];
+  const addIssue = (deal, type, cause, effect) => {
+    issues.push({
+      rowNumber: deal.rowNumber,
+      dealName: deal.dealName,
+      type,
+      cause,
+      effect
+    });
+  };
+
+  const dealsByName = _.groupBy(deals.filter(deal => deal.dealName), deal => String(deal.dealName).trim());
+
+  deals.forEach(deal => {
+    const consultants = getConsultants(deal);
+    const startDate = parseDate(deal.startDate);
+    const endDate = parseDate(deal.endDate);
+
+    if (!startDate || !endDate) {
+      const describeDate = (label, value) => (
+        value === null || value === undefined || value === ''
+          ? `missing ${label}`
+          : `unreadable ${label} "${value}"`
+      );
+      // Mapped deals keep the unreadable cells in rawDates
+      const raw = deal.rawDates || deal;
+      const invalid = [
+        !startDate && describeDate('start date', raw.startDate),
+        !endDate && describeDate('end date', raw.endDate)
+      ].filter(Boolean).join(' and ');
+      addIssue(deal, 'invalid-date', _.upperFirst(invalid),
+        consultants.length
+          ? `Excluded from timelines and current load for ${describeConsultants(consultants)}`
+          : 'None');
+    } else if (endDate < startDate) {
+      addIssue(deal, 'reversed-dates', `End date ${deal.endDate} is before start date ${deal.startDate}`,
+        consultants.length
+          ? `Never counted as active for ${describeConsultants(consultants)}`
+          : 'None');
+    }
+
+    if (deal.ambiguousDate && startDate && endDate) {
+      const { rawDates } = deal;
+      addIssue(deal, 'ambiguous-date',
+        `"${rawDates.startDate}" to "${rawDates.endDate}" could be day or month first, and no date in the file tells`,
+        `Read as ${formatDate(startDate)} to ${formatDate(endDate)} (${deal.ambiguousDate === 'mdy' ? 'month' : 'day'} first); ` +
+          'set the date format in the column mapping if that is wrong');
+    }
+
+    if (!deal.dealName || !String(deal.dealName).trim()) {
+      addIssue(deal, 'missing-name', 'Deal name is empty',
+        consultants.length
+          ? 'Load still counted, but the project is listed without a name'
+          : 'None');
+    } else {
+      const duplicates = dealsByName[String(deal.dealName).trim()];
+      if (duplicates.length > 1) {
+        const otherRows = duplicates.filter(d => d !== deal).map(d => d.rowNumber);
+        addIssue(deal, 'duplicate-deal', `Same deal name as row ${otherRows.join(', ')}`,
+          'Load counted once per row; project lists show only one of the rows');
+      }
+    }
+
+    if (consultants.length === 0) {
+      addIssue(deal, 'empty-staffing', 'All staffing columns are empty',
+        'Adds no load to any consultant');
+    }
+
+    const rolesByConsultant = {};
+    deal.staffing.forEach(({ role, consultants: names }) => {
+      names.forEach(name => {
+        rolesByConsultant[name] = [...(rolesByConsultant[name] || []), role];
+      });
+    });
+    Object.entries(rolesByConsultant)
+      .filter(([, roles]) => roles.length > 1)
+      .forEach(([name, roles]) => {
+        addIssue(deal, 'duplicate-consultant', `${name} is listed as ${roles.join(' and ')}`,
+          `Every role adds load, but the project list only shows ${name} as ${roles[0]}`);
+      });
+
+    deal.staffing
+      .filter(({ role, consultants: names }) => names.length && settings.roleWeights[role] === undefined)
+      .forEach(({ role, column, consultants: names }) => {
+        addIssue(deal, 'unknown-role', `Role "${role}" (column "${column}") has no weight`,
+          `Counts as 0 load for ${describeConsultants(names)}`);
+      });
+
+    const hasStage = deal.dealStage !== null && deal.dealStage !== undefined && String(deal.dealStage).trim() !== '';
+    if (hasStage && getStageProbability(deal.dealStage, settings) === null) {
+      const probability = parseProbability(deal.probability);
+      addIssue(deal, 'unknown-stage', `Stage "${deal.dealStage}" is not in the stage probability table`,
+        probability === null
+          ? 'Counted as committed work'
+          : `Weighted by the deal's own probability of ${Math.round(probability * 100)}%`);
+    }
+  });
+
+  return _.sortBy(issues, 'rowNumber');
+};
+
+// Original rows that have at least one problem, with the problems appended
+export const getProblemRows = (rows, issues) => {
+  const issuesByRow = _.groupBy(issues, 'rowNumber');
+  return Object.keys(issuesByRow)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(rowNumber => ({
+      'Row Number': rowNumber,
+      ...rows[rowNumber - 2],
+      'Import Problems': issuesByRow[rowNumber]
+        .map(issue => `${ISSUE_TYPES[issue.type]}: ${issue.cause}`)
+        .join(' | ')
+    }));
+};
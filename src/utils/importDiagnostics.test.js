@@ -0,0 +1,77 @@
+import { DEFAULT_SETTINGS } from './capacity';
+import { HUBSPOT_PIPELINE_MAPPING, mapRowsToDeals } from './columnMapping';
+import { analyzeDeals, getProblemRows } from './importDiagnostics';
+
+const row = (dealName, startDate, endDate, lead, supporting = '', stage = 'Closed Won') => ({
+  'Deal Name': dealName,
+  'Contract Start Date': startDate,
+  'Contract End Date': endDate,
+  'Primary Business Line': 'Data',
+  'Deal Stage': stage,
+  'Project Lead': lead,
+  'Project Co-Lead': '',
+  'Project Strategic Advisors': '',
+  'Project Supporting Consultants': supporting
+});
+
+const rows = [
+  row('Acme', '2025-03-01', '2025-05-31', 'Ann', 'Bob'),
+  row('Globex', '', '2025-05-31', 'Ann'),
+  row('Initech', 'soon', 'later', ''),
+  row('Umbrella', '2025-06-30', '2025-06-01', 'Ann; Bob'),
+  row('Hooli', '2025-03-01', '2025-03-31', 'Cat', 'Cat', 'Maybe'),
+  row('', '2025-03-01', '2025-03-31', 'Dan'),
+  row('Acme', '2025-07-01', '2025-07-31', '')
+];
+
+const settings = { ...DEFAULT_SETTINGS, roleWeights: { 'Lead': 1, 'Co-Lead': 0.7, 'Strategic Advisor': 0.3 } };
+
+test('classifies each problem row with its cause and effect', () => {
+  const issues = analyzeDeals(mapRowsToDeals(rows, HUBSPOT_PIPELINE_MAPPING), settings);
+
+  expect(issues.map(issue => [issue.rowNumber, issue.type, issue.cause])).toEqual([
+    [2, 'duplicate-deal', 'Same deal name as row 8'],
+    [2, 'unknown-role', 'Role "Supporting" (column "Project Supporting Consultants") has no weight'],
+    [3, 'invalid-date', 'Missing start date'],
+    [4, 'invalid-date', 'Unreadable start date "soon" and unreadable end date "later"'],
+    [4, 'empty-staffing', 'All staffing columns are empty'],
+    [5, 'reversed-dates', 'End date 2025-06-01 is before start date 2025-06-30'],
+    [6, 'duplicate-consultant', 'Cat is listed as Lead and Supporting'],
+    [6, 'unknown-role', 'Role "Supporting" (column "Project Supporting Consultants") has no weight'],
+    [6, 'unknown-stage', 'Stage "Maybe" is not in the stage probability table'],
+    [7, 'missing-name', 'Deal name is empty'],
+    [8, 'duplicate-deal', 'Same deal name as row 2'],
+    [8, 'empty-staffing', 'All staffing columns are empty']
+  ]);
+
+  const effects = Object.fromEntries(issues.map(issue => [`${issue.rowNumber} ${issue.type}`, issue.effect]));
+  expect(effects['3 invalid-date']).toBe('Excluded from timelines and current load for Ann');
+  // Without consultants a broken row changes nothing
+  expect(effects['4 invalid-date']).toBe('None');
+  expect(effects['5 reversed-dates']).toBe('Never counted as active for 2 consultants');
+  expect(effects['2 unknown-role']).toBe('Counts as 0 load for Bob');
+  expect(effects['6 unknown-stage']).toBe('Counted as committed work');
+});
+
+test('flags dates that could be read either way', () => {
+  const deals = mapRowsToDeals([row('Acme', '03/04/2025', '05/06/2025', 'Ann')], HUBSPOT_PIPELINE_MAPPING);
+  expect(analyzeDeals(deals, DEFAULT_SETTINGS)).toMatchObject([{
+    rowNumber: 2,
+    type: 'ambiguous-date',
+    cause: '"03/04/2025" to "05/06/2025" could be day or month first, and no date in the file tells'
+  }]);
+  expect(analyzeDeals(mapRowsToDeals([row('Acme', '2025-03-04', '2025-06-05', 'Ann')], HUBSPOT_PIPELINE_MAPPING), DEFAULT_SETTINGS))
+    .toEqual([]);
+});
+
+test('appends the problems to the original rows', () => {
+  const issues = analyzeDeals(mapRowsToDeals(rows.slice(0, 3), HUBSPOT_PIPELINE_MAPPING), DEFAULT_SETTINGS);
+  const problemRows = getProblemRows(rows, issues);
+
+  expect(problemRows.map(r => r['Row Number'])).toEqual([3, 4]);
+  expect(problemRows[1]).toMatchObject({
+    'Deal Name': 'Initech',
+    'Import Problems': 'Invalid date: Unreadable start date "soon" and unreadable end date "later" | ' +
+      'No consultants: All staffing columns are empty'
+  });
+});
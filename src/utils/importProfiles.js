@@ -0,0 +1,47 @@
+import {
+  HUBSPOT_API_MAPPING, HUBSPOT_MAPPING, HUBSPOT_PIPELINE_MAPPING, getMappedColumns, getMissingFields
+} from './columnMapping';
+
+const STORAGE_KEY = 'capacityDashboard.importProfiles';
+
+export const BUILT_IN_PROFILES = {
+  'HubSpot default': HUBSPOT_MAPPING,
+  'HubSpot with deal stage': HUBSPOT_PIPELINE_MAPPING,
+  'HubSpot API': HUBSPOT_API_MAPPING
+};
+
+export const loadImportProfiles = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return { ...BUILT_IN_PROFILES, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (err) {
+    console.warn('Could not load saved import profiles:', err);
+    return { ...BUILT_IN_PROFILES };
+  }
+};
+
+export const saveImportProfiles = (profiles) => {
+  const custom = { ...profiles };
+  Object.keys(BUILT_IN_PROFILES).forEach(name => {
+    if (custom[name] === BUILT_IN_PROFILES[name]) {
+      delete custom[name];
+    }
+  });
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+  } catch (err) {
+    console.warn('Could not save import profiles:', err);
+  }
+};
+
+// Picks the profile whose mapped columns are all present, preferring the one
+// that accounts for the most columns of the file
+export const findMatchingProfile = (profiles, headers) => {
+  const candidates = Object.entries(profiles)
+    .filter(([, mapping]) => getMissingFields(mapping, headers).length === 0)
+    .filter(([, mapping]) => getMappedColumns(mapping).every(column => headers.includes(column)))
+    .sort(([, a], [, b]) => getMappedColumns(b).length - getMappedColumns(a).length);
+
+  return candidates.length ? candidates[0][0] : null;
+};
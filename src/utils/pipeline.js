@@ -0,0 +1,88 @@
+// Win probability of each stage in HubSpot's default sales pipeline
+export const DEFAULT_STAGE_PROBABILITIES = {
+  'Appointment Scheduled': 0.2,
+  'Qualified To Buy': 0.4,
+  'Presentation Scheduled': 0.6,
+  'Decision Maker Bought-In': 0.8,
+  'Contract Sent': 0.9,
+  'Closed Won': 1,
+  'Closed Lost': 0
+};
+
+export const FORECAST_LAYERS = {
+  committed: {
+    label: 'Committed',
+    description: 'Closed-won work only'
+  },
+  weighted: {
+    label: 'Weighted Pipeline',
+    description: 'Committed work plus open deals scaled by their probability'
+  },
+  bestCase: {
+    label: 'Best Case',
+    description: 'Committed work plus every open deal at full load'
+  }
+};
+
+export const DEFAULT_FORECAST_LAYER = 'weighted';
+
+// Ignores case, spacing and punctuation, so the API's internal ids ("closedwon") match the labels
+// of the default pipeline ("Closed Won")
+const stageKey = (stage) => String(stage).toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// Accepts 0.4, 40, "40%" or "0.4"; anything else is treated as missing
+export const parseProbability = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  const number = parseFloat(text.replace('%', ''));
+  if (isNaN(number) || number < 0) {
+    return null;
+  }
+  const probability = text.endsWith('%') || number > 1 ? number / 100 : number;
+  return Math.min(1, probability);
+};
+
+export const getStageProbability = (stage, settings) => {
+  if (stage === null || stage === undefined || String(stage).trim() === '') {
+    return null;
+  }
+  const key = stageKey(stage);
+  const match = Object.entries(settings.stageProbabilities || {}).find(([name]) => stageKey(name) === key);
+  return match ? match[1] : null;
+};
+
+// The stage table wins over the deal's own probability; deals with neither count as committed
+export const getDealProbability = (deal, settings) => {
+  const fromStage = getStageProbability(deal.dealStage, settings);
+  if (fromStage !== null) {
+    return fromStage;
+  }
+  const fromColumn = parseProbability(deal.probability);
+  return fromColumn !== null ? fromColumn : 1;
+};
+
+export const isCommitted = (probability) => probability >= 1;
+
+// Share of a project's load that counts towards the given layer
+export const getLayerFactor = (probability, layer = DEFAULT_FORECAST_LAYER) => {
+  if (isCommitted(probability)) {
+    return 1;
+  }
+  switch (layer) {
+    case 'committed':
+      return 0;
+    case 'bestCase':
+      return probability > 0 ? 1 : 0;
+    default:
+      return probability;
+  }
+};
+
+// Load of a timeline entry under each layer
+export const getLayerLoads = (entry) => ({
+  committed: entry.committedLoad,
+  weighted: parseFloat((entry.committedLoad + entry.pipelineLoad).toFixed(1)),
+  bestCase: entry.bestCaseLoad
+});
@@ -0,0 +1,166 @@
+import Papa from 'papaparse';
+import _ from 'lodash';
+import { findColumn } from './csvHeaders';
+import { describeGuessedDates, isAmbiguousDate, parseDateValue, resolveDateOrder, toISODate } from './dates';
+
+const STORAGE_KEY = 'capacityDashboard.roster';
+
+const CSV_COLUMNS = {
+  name: ['name', 'consultant', 'employee', 'person', 'team member'],
+  fte: ['fte', 'fte capacity', 'capacity', 'availability', 'allocation', 'part time'],
+  startDate: ['start date', 'start', 'joined', 'hire date', 'joining date'],
+  leaveDate: ['leave date', 'leaving date', 'end date', 'leaves', 'termination date', 'end'],
+  seniority: ['seniority', 'level', 'grade', 'rank', 'title'],
+  businessLine: ['home business line', 'business line', 'home line', 'practice', 'department'],
+  skills: ['skills', 'skill tags', 'tags', 'expertise']
+};
+
+// Skill tags may be separated by semicolons, commas or pipes
+const SKILL_SEPARATOR = /[;,|]/;
+
+// Reads 0.8, "80%" or 80 as 0.8; blank means full time. Bare numbers above 1 are percentages only
+// when they are whole, so 1.5 is an error rather than 1.5%. Returns null for anything else.
+export const parseFte = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return 1;
+  }
+  const text = String(value).trim();
+  const number = parseFloat(text.replace('%', ''));
+  if (Number.isNaN(number) || number < 0) {
+    return null;
+  }
+  const isPercentage = text.endsWith('%') || (Number.isInteger(number) && number >= 2 && number <= 100);
+  if (!isPercentage && number > 1) {
+    return null;
+  }
+  const fte = isPercentage ? number / 100 : number;
+  return fte <= 1 ? parseFloat(fte.toFixed(2)) : null;
+};
+
+const parseSkills = (value) => {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(SKILL_SEPARATOR);
+  return _.uniq(list.map(skill => String(skill).trim()).filter(Boolean));
+};
+
+const DATE_FIELDS = ['startDate', 'leaveDate'];
+
+// Turns one row or JSON object into a member, or an error message naming what is wrong with it.
+// order is the day/month order of numeric dates.
+const toMember = (fields, order) => {
+  const name = String(fields.name ?? '').trim();
+  if (!name) {
+    return { error: 'no name' };
+  }
+  const fte = parseFte(fields.fte);
+  if (fte === null) {
+    return { error: `${name}: unreadable FTE "${fields.fte}"` };
+  }
+  const dates = {};
+  for (const key of DATE_FIELDS) {
+    const text = String(fields[key] ?? '').trim();
+    const date = text ? parseDateValue(text, order) : null;
+    if (text && !date) {
+      return { error: `${name}: unreadable date "${text}"` };
+    }
+    dates[key] = date ? toISODate(date) : null;
+  }
+  if (dates.startDate && dates.leaveDate && dates.leaveDate < dates.startDate) {
+    return { error: `${name}: leave date is before start date` };
+  }
+  return {
+    member: {
+      name,
+      fte,
+      ...dates,
+      seniority: String(fields.seniority ?? '').trim(),
+      businessLine: String(fields.businessLine ?? '').trim(),
+      skills: parseSkills(fields.skills)
+    }
+  };
+};
+
+// Later rows for a name already on the roster are skipped. Numeric dates are read in the order
+// dateFormat gives, or the one the file's dates settle on for 'auto'.
+const collectMembers = (items, describe, dateFormat) => {
+  const dateCells = (fields) => DATE_FIELDS.map(key => String(fields[key] ?? '').trim());
+  const dateOrder = resolveDateOrder(items.flatMap(dateCells), dateFormat);
+  const members = [];
+  const errors = [];
+  const guessedRows = [];
+  const seen = new Set();
+  items.forEach((fields, idx) => {
+    const { member, error } = toMember(fields, dateOrder.order);
+    if (error) {
+      errors.push(`${describe(idx)}: ${error}`);
+    } else if (seen.has(member.name.toLowerCase())) {
+      errors.push(`${describe(idx)}: ${member.name} is already on the roster`);
+    } else {
+      seen.add(member.name.toLowerCase());
+      members.push(member);
+      if (dateCells(fields).some(isAmbiguousDate)) {
+        guessedRows.push(describe(idx));
+      }
+    }
+  });
+  const warning = describeGuessedDates(dateOrder, guessedRows);
+  return { members, errors, warnings: warning ? [warning] : [] };
+};
+
+// Returns { members, errors, warnings } where errors name the skipped rows and warnings the rows whose
+// dates could be read either way
+export const parseRosterCsv = (text, { dateFormat } = {}) => {
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const headers = meta.fields || [];
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([key, synonyms]) => [key, findColumn(headers, synonyms)])
+  );
+  if (!columns.name) {
+    throw new Error('No name column found (expected a header such as "Name" or "Consultant")');
+  }
+
+  const rows = data.map(row => _.mapValues(columns, column => (column ? row[column] : '')));
+  return collectMembers(rows, idx => `Row ${idx + 2}`, dateFormat);
+};
+
+// Accepts an array of members or { members: [...] }, with the same fields as the CSV columns
+// (name, fte, startDate, leaveDate, seniority, businessLine, skills)
+export const parseRosterJson = (text, { dateFormat } = {}) => {
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.members;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a list of consultants or { "members": [...] }');
+  }
+  return collectMembers(items, idx => `Entry ${idx + 1}`, dateFormat);
+};
+
+export const parseRoster = (text, fileName = '', options = {}) => (
+  /\.json$/i.test(fileName) ? parseRosterJson(text, options) : parseRosterCsv(text, options)
+);
+
+// Distinct values of a roster field, for the filter options
+export const getRosterValues = (members, key) => _.sortBy(_.uniq(
+  members.flatMap(member => (Array.isArray(member[key]) ? member[key] : [member[key]])).filter(Boolean)
+));
+
+// The saved roster: { fileName, members } or null
+export const loadRoster = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (err) {
+    console.warn('Could not load saved roster:', err);
+    return null;
+  }
+};
+
+export const saveRoster = (roster) => {
+  try {
+    if (roster) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(roster));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    console.warn('Could not save roster:', err);
+  }
+};
@@ -0,0 +1,53 @@
+import { getRosterValues, parseFte, parseRoster, parseRosterCsv } from './roster';
+
+test('reads a roster CSV and reports unusable rows', () => {
+  const csv = [
+    'Employee,FTE,Start Date,Leave Date,Level,Home Business Line,Skills',
+    'Ann,80%,2024-02-01,,Senior,Data,SQL; Python',
+    'Bob,,,,Junior,Strategy,',
+    'Cara,abc,,,,,',
+    'Dan,0.5,2025-06-01,2025-01-01,,,',
+    'ann,1,,,,,'
+  ].join('\n');
+
+  const { members, errors } = parseRosterCsv(csv);
+  expect(members).toEqual([
+    { name: 'Ann', fte: 0.8, startDate: '2024-02-01', leaveDate: null, seniority: 'Senior', businessLine: 'Data', skills: ['SQL', 'Python'] },
+    { name: 'Bob', fte: 1, startDate: null, leaveDate: null, seniority: 'Junior', businessLine: 'Strategy', skills: [] }
+  ]);
+  expect(errors).toEqual([
+    'Row 4: Cara: unreadable FTE "abc"',
+    'Row 5: Dan: leave date is before start date',
+    'Row 6: ann is already on the roster'
+  ]);
+  expect(() => parseRosterCsv('FTE\n1')).toThrow('No name column');
+  expect(getRosterValues(members, 'skills')).toEqual(['Python', 'SQL']);
+});
+
+test('reads a JSON roster and FTE as a fraction or percentage', () => {
+  const json = JSON.stringify({ members: [{ name: 'Ann', fte: 0.6, skills: ['Cloud', 'Cloud'] }, { fte: 1 }] });
+  const { members, errors } = parseRoster(json, 'team.json');
+  expect(members).toMatchObject([{ name: 'Ann', fte: 0.6, skills: ['Cloud'] }]);
+  expect(errors).toEqual(['Entry 2: no name']);
+  expect(() => parseRoster('{"people": []}', 'team.json')).toThrow('Expected a list');
+
+  expect([parseFte('50'), parseFte(0.75), parseFte('100%'), parseFte(''), parseFte('-1'), parseFte('150%')])
+    .toEqual([0.5, 0.75, 1, 1, null, null]);
+  // Bare numbers above 1 are whole percentages or mistakes, never 1.5%
+  expect([parseFte('1'), parseFte('2'), parseFte(100), parseFte('1.5'), parseFte('62.5'), parseFte('150')])
+    .toEqual([1, 0.02, 1, null, null, null]);
+  expect(parseRosterCsv('Name,FTE\nAnn,1.5\nBob,0.5').errors).toEqual(['Row 2: Ann: unreadable FTE "1.5"']);
+});
+
+test('reads roster dates in the order the file uses', () => {
+  const csv = 'Name,Start Date,Leave Date\nAnn,01/31/2024,\nBob,02/03/2024,06/30/2025';
+  const { members, warnings } = parseRosterCsv(csv);
+  expect(members.map(m => [m.startDate, m.leaveDate])).toEqual([['2024-01-31', null], ['2024-02-03', '2025-06-30']]);
+  expect(warnings).toEqual([]);
+
+  const json = JSON.stringify([{ name: 'Ann', startDate: '02/03/2024' }]);
+  expect(parseRoster(json, 'team.json').warnings).toEqual([
+    'Entry 1: dates such as "02/03/2024" could be day or month first and nothing in the file tells; read as day first'
+  ]);
+  expect(parseRoster(json, 'team.json', { dateFormat: 'mdy' }).members[0].startDate).toBe('2024-02-03');
+});
@@ -0,0 +1,124 @@
+import _ from 'lodash';
+import { getCapacityStatus } from './capacity';
+
+const STORAGE_KEY = 'capacityDashboard.scenarios';
+
+export const createScenario = (name) => ({
+  id: `scenario-${Date.now()}`,
+  name,
+  addedDeals: [],
+  // Keyed on deal name: { startDate, endDate, removedConsultants }
+  changes: {}
+});
+
+export const createHypotheticalDeal = (roles) => ({
+  id: `hypothetical-${Date.now()}`,
+  dealName: '',
+  startDate: '',
+  endDate: '',
+  businessLine: '',
+  staffing: roles.map(role => ({ role, consultants: [] }))
+});
+
+export const loadScenarios = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (err) {
+    console.warn('Could not load saved scenarios:', err);
+    return [];
+  }
+};
+
+export const saveScenarios = (scenarios) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  } catch (err) {
+    console.warn('Could not save scenarios:', err);
+  }
+};
+
+const dealKey = (deal) => String(deal.dealName ?? '').trim();
+
+// Returns a new deal list with the scenario's edits and hypothetical projects
+// layered on top; the imported deals are never modified
+export const applyScenario = (deals, scenario) => {
+  const changed = deals.map(deal => {
+    const change = scenario.changes[dealKey(deal)];
+    if (!change) {
+      return deal;
+    }
+    const removed = new Set(change.removedConsultants || []);
+    return {
+      ...deal,
+      startDate: change.startDate || deal.startDate,
+      endDate: change.endDate || deal.endDate,
+      staffing: deal.staffing.map(s => ({
+        ...s,
+        consultants: s.consultants.filter(name => !removed.has(name))
+      }))
+    };
+  });
+
+  const added = scenario.addedDeals
+    .filter(deal => deal.dealName && deal.startDate && deal.endDate)
+    .map(deal => ({ ...deal, hypothetical: true }));
+
+  return [...changed, ...added];
+};
+
+// Measured like the timeline status: time off counts against the period's own ceiling, which follows
+// the consultant's FTE
+const isOver = (entry, maxLoad, settings) => (
+  getCapacityStatus(entry.weightedLoad + (entry.absenceLoad || 0), { ...settings, maxRecommendedLoad: maxLoad })
+    === 'over-capacity'
+);
+
+// Pairs baseline and scenario timelines for every consultant the scenario touches
+export const compareScenario = (baselineConsultants, scenarioConsultants, settings) => {
+  const baselineByName = _.keyBy(baselineConsultants, 'name');
+  const scenarioByName = _.keyBy(scenarioConsultants, 'name');
+  const names = _.union(Object.keys(baselineByName), Object.keys(scenarioByName));
+
+  return names
+    .map(name => {
+      const scenarioTimeline = scenarioByName[name] ? scenarioByName[name].timeline : [];
+      const baselineTimeline = baselineByName[name]
+        ? baselineByName[name].timeline
+        : scenarioTimeline.map(entry => ({ ...entry, weightedLoad: 0, details: [] }));
+
+      const periods = baselineTimeline.map((baseline, idx) => {
+        const scenario = scenarioTimeline[idx] || { weightedLoad: 0, absenceLoad: baseline.absenceLoad, details: [] };
+        return {
+          period: baseline.period,
+          startDate: baseline.startDate,
+          endDate: baseline.endDate,
+          baselineLoad: baseline.weightedLoad,
+          scenarioLoad: scenario.weightedLoad,
+          delta: parseFloat((scenario.weightedLoad - baseline.weightedLoad).toFixed(1)),
+          maxLoad: baseline.maxLoad,
+          newlyOver: isOver(scenario, baseline.maxLoad, settings) && !isOver(baseline, baseline.maxLoad, settings),
+          details: scenario.details
+        };
+      });
+
+      return {
+        name,
+        isNew: !baselineByName[name],
+        maxLoad: (baselineByName[name] || scenarioByName[name]).maxLoad,
+        periods,
+        baselinePeak: _.max(periods.map(p => p.baselineLoad)) || 0,
+        scenarioPeak: _.max(periods.map(p => p.scenarioLoad)) || 0,
+        newlyOverCount: periods.filter(p => p.newlyOver).length
+      };
+    })
+    .filter(row => row.periods.some(p => p.delta !== 0))
+    .sort((a, b) => b.newlyOverCount - a.newlyOverCount || b.scenarioPeak - a.scenarioPeak);
+};
+
+export const summarizeComparison = (comparison) => ({
+  affectedConsultants: comparison.length,
+  newlyOverConsultants: comparison.filter(row => row.newlyOverCount > 0).length,
+  newlyOverPeriods: _.sumBy(comparison, 'newlyOverCount'),
+  addedLoad: parseFloat(_.sumBy(comparison, row => _.sumBy(row.periods, 'delta')).toFixed(1))
+});
@@ -0,0 +1,113 @@
+import { DEFAULT_SETTINGS, buildConsultants } from './capacity';
+import { applyScenario, compareScenario, summarizeComparison } from './scenarios';
+
+const settings = { ...DEFAULT_SETTINGS, maxRecommendedLoad: 2 };
+const options = { timelineOptions: { granularity: 'month', startDate: '2025-01-01', horizon: 2 } };
+
+const deal = (dealName, startDate, endDate, staffing) => ({
+  dealName,
+  startDate,
+  endDate,
+  staffing: staffing.map(([role, consultants]) => ({ role, column: `Project ${role}`, consultants }))
+});
+
+const deals = [
+  deal('Acme', '2025-01-01', '2025-02-28', [['Lead', ['Ann']], ['Supporting', ['Bob']]]),
+  deal('Beta', '2025-01-01', '2025-01-31', [['Lead', ['Ann']]])
+];
+
+const scenario = {
+  id: 'scenario-1',
+  name: 'Win Gamma',
+  addedDeals: [
+    { id: 'deal-1', ...deal('Gamma', '2025-01-01', '2025-01-31', [['Lead', ['Ann']], ['Supporting', ['Dee']]]) },
+    { id: 'deal-2', ...deal('Unfinished', '2025-01-01', '', [['Lead', ['Ann']]]) }
+  ],
+  changes: {
+    Acme: { removedConsultants: ['Bob'] },
+    Beta: { endDate: '2025-02-28' }
+  }
+};
+
+test('layers changes and complete hypothetical projects over the imported deals', () => {
+  const applied = applyScenario(deals, scenario);
+
+  expect(applied.map(d => d.dealName)).toEqual(['Acme', 'Beta', 'Gamma']);
+  expect(applied[0].staffing.map(s => s.consultants)).toEqual([['Ann'], []]);
+  expect(applied[1]).toMatchObject({ startDate: '2025-01-01', endDate: '2025-02-28' });
+  expect(applied[2].hypothetical).toBe(true);
+  // The imported deals are left as they were
+  expect(deals[0].staffing[1].consultants).toEqual(['Bob']);
+  expect(deals[1].endDate).toBe('2025-01-31');
+});
+
+test('compares scenario timelines with the baseline for every consultant it touches', () => {
+  const baseline = buildConsultants(deals, settings, options);
+  const comparison = compareScenario(baseline, buildConsultants(applyScenario(deals, scenario), settings, options), settings);
+
+  // Newly over capacity first, then by scenario peak
+  expect(comparison.map(row => [row.name, row.isNew, row.newlyOverCount, row.scenarioPeak])).toEqual([
+    ['Ann', false, 1, 3],
+    ['Dee', true, 0, 0.5],
+    ['Bob', false, 0, 0]
+  ]);
+
+  // Ann was at capacity in January and goes over; February rises to the ceiling without passing it
+  expect(comparison[0].periods.map(p => [p.baselineLoad, p.scenarioLoad, p.delta, p.newlyOver])).toEqual([
+    [2, 3, 1, true],
+    [1, 2, 1, false]
+  ]);
+  // Taken off Acme, Bob has no load left in the scenario
+  expect(comparison[2].periods.map(p => p.delta)).toEqual([-0.5, -0.5]);
+  // Dee isn't in the baseline, so that side counts as empty
+  expect(comparison[1].periods.map(p => [p.baselineLoad, p.scenarioLoad])).toEqual([[0, 0.5], [0, 0]]);
+
+  expect(summarizeComparison(comparison)).toEqual({
+    affectedConsultants: 3,
+    newlyOverConsultants: 1,
+    newlyOverPeriods: 1,
+    addedLoad: 1.5
+  });
+});
+
+test('a scenario that changes nothing affects no one', () => {
+  const baseline = buildConsultants(deals, settings, options);
+  const empty = { id: 'scenario-2', name: 'Empty', addedDeals: [], changes: {} };
+  const comparison = compareScenario(baseline, buildConsultants(applyScenario(deals, empty), settings, options), settings);
+
+  expect(comparison).toEqual([]);
+  expect(summarizeComparison(comparison)).toEqual({
+    affectedConsultants: 0, newlyOverConsultants: 0, newlyOverPeriods: 0, addedLoad: 0
+  });
+});
+
+test('time off counts towards going over capacity on both sides', () => {
+  const absences = [
+    { consultant: 'Ann', startDate: '2025-01-13', endDate: '2025-01-17', type: 'Vacation' },
+    { consultant: 'Bob', startDate: '2025-02-03', endDate: '2025-02-14', type: 'Vacation' }
+  ];
+  const withAbsences = { ...options, absences };
+  const delta = {
+    id: 'scenario-3',
+    name: 'Win Gamma and Delta',
+    addedDeals: [
+      { id: 'deal-1', ...deal('Gamma', '2025-01-01', '2025-01-31', [['Lead', ['Ann']]]) },
+      { id: 'deal-2', ...deal('Delta', '2025-02-01', '2025-02-28', [['Lead', ['Bob']]]) }
+    ],
+    changes: {}
+  };
+  const comparison = compareScenario(
+    buildConsultants(deals, settings, withAbsences),
+    buildConsultants(applyScenario(deals, delta), settings, withAbsences),
+    settings
+  );
+  const byName = Object.fromEntries(comparison.map(row => [row.name, row]));
+
+  // Ann's week off already puts January over, so Gamma doesn't newly push her there
+  expect(byName.Ann.periods.map(p => [p.baselineLoad, p.scenarioLoad, p.newlyOver])).toEqual([[2, 3, false], [1, 1, false]]);
+  // Delta alone would leave Bob under his ceiling; with half of February off it doesn't
+  expect(byName.Bob.periods.map(p => [p.baselineLoad, p.scenarioLoad, p.newlyOver])).toEqual([
+    [0.5, 0.5, false],
+    [0.5, 1.5, true]
+  ]);
+});
@@ -0,0 +1,127 @@
+import { DEFAULT_SETTINGS } from './capacity';
+import { normalizeFiscalCalendar } from './fiscalCalendar';
+
+const STORAGE_KEY = 'capacityDashboard.settingsPresets';
+
+export const DEFAULT_PRESET_NAME = 'Default';
+
+const defaultStore = () => ({
+  activePreset: DEFAULT_PRESET_NAME,
+  presets: { [DEFAULT_PRESET_NAME]: DEFAULT_SETTINGS }
+});
+
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return isNaN(number) || number < 0 ? fallback : number;
+};
+
+const readThresholds = (settings) => {
+  const thresholds = settings.statusThresholds || {};
+  return {
+    atCapacity: toNumber(thresholds.atCapacity, DEFAULT_SETTINGS.statusThresholds.atCapacity),
+    overCapacity: toNumber(thresholds.overCapacity, DEFAULT_SETTINGS.statusThresholds.overCapacity)
+  };
+};
+
+// A message when the at-capacity band would start above the over-capacity one, otherwise null
+export const checkStatusThresholds = ({ atCapacity, overCapacity }) => (
+  atCapacity > overCapacity
+    ? `The at capacity threshold (${atCapacity}) can't be above the over capacity threshold (${overCapacity})`
+    : null
+);
+
+// Coerces a (possibly hand-edited) settings object into a complete, valid one
+export const normalizeSettings = (settings = {}) => {
+  const roleWeights = {};
+  Object.entries(settings.roleWeights || DEFAULT_SETTINGS.roleWeights).forEach(([role, weight]) => {
+    const name = String(role).trim();
+    if (name) {
+      roleWeights[name] = toNumber(weight, 0);
+    }
+  });
+
+  const { atCapacity, overCapacity } = readThresholds(settings);
+
+  const stageProbabilities = {};
+  Object.entries(settings.stageProbabilities || DEFAULT_SETTINGS.stageProbabilities).forEach(([stage, probability]) => {
+    const name = String(stage).trim();
+    if (name) {
+      stageProbabilities[name] = Math.min(1, toNumber(probability, 0));
+    }
+  });
+
+  return {
+    roleWeights,
+    maxRecommendedLoad: toNumber(settings.maxRecommendedLoad, DEFAULT_SETTINGS.maxRecommendedLoad),
+    statusThresholds: {
+      atCapacity: Math.min(atCapacity, overCapacity),
+      overCapacity
+    },
+    stageProbabilities,
+    // Zero hours would make every logged hour infinite load
+    hoursPerDay: toNumber(settings.hoursPerDay, DEFAULT_SETTINGS.hoursPerDay) || DEFAULT_SETTINGS.hoursPerDay,
+    fiscalCalendar: normalizeFiscalCalendar(settings.fiscalCalendar)
+  };
+};
+
+const normalizeStore = (store) => {
+  const presets = {};
+  Object.entries((store && store.presets) || {}).forEach(([name, settings]) => {
+    presets[name] = normalizeSettings(settings);
+  });
+  if (Object.keys(presets).length === 0) {
+    return defaultStore();
+  }
+
+  const activePreset = presets[store.activePreset] ? store.activePreset : Object.keys(presets)[0];
+  return { activePreset, presets };
+};
+
+export const loadPresetStore = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? normalizeStore(JSON.parse(saved)) : defaultStore();
+  } catch (err) {
+    console.warn('Could not load saved settings presets:', err);
+    return defaultStore();
+  }
+};
+
+export const savePresetStore = (store) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (err) {
+    console.warn('Could not save settings presets:', err);
+  }
+};
+
+export const exportPresets = (store) => JSON.stringify({ presets: store.presets }, null, 2);
+
+// Accepts either an exported preset file or a single bare settings object.
+// Imported presets replace existing presets of the same name.
+export const importPresets = (store, text, fallbackName = 'Imported') => {
+  const parsed = JSON.parse(text);
+  if (!parsed || (!parsed.presets && !parsed.roleWeights && parsed.maxRecommendedLoad === undefined)) {
+    throw new Error('File does not contain capacity settings');
+  }
+
+  const imported = parsed.presets
+    ? parsed.presets
+    : { [fallbackName]: parsed };
+
+  const names = Object.keys(imported);
+  if (names.length === 0) {
+    throw new Error('No presets found in file');
+  }
+  names.forEach(name => {
+    const problem = checkStatusThresholds(readThresholds(imported[name] || {}));
+    if (problem) {
+      throw new Error(`Preset "${name}": ${problem}`);
+    }
+  });
+
+  return normalizeStore({
+    activePreset: names[0],
+    presets: { ...store.presets, ...imported }
+  });
+};
@@ -0,0 +1,26 @@
+import { DEFAULT_SETTINGS } from './capacity';
+import { DEFAULT_PRESET_NAME, checkStatusThresholds, importPresets, normalizeSettings } from './settingsStorage';
+
+const store = { activePreset: DEFAULT_PRESET_NAME, presets: { [DEFAULT_PRESET_NAME]: DEFAULT_SETTINGS } };
+
+test('rejects imported presets whose status bands are out of order', () => {
+  const crossed = { maxRecommendedLoad: 8, statusThresholds: { atCapacity: 1.2, overCapacity: 1 } };
+
+  expect(() => importPresets(store, JSON.stringify({ presets: { Crossed: crossed } })))
+    .toThrow('Preset "Crossed": The at capacity threshold (1.2) can\'t be above the over capacity threshold (1)');
+  // A missing band falls back to its default before the check
+  expect(() => importPresets(store, JSON.stringify({ maxRecommendedLoad: 8, statusThresholds: { atCapacity: 1.5 } })))
+    .toThrow('Preset "Imported"');
+
+  const imported = importPresets(store, JSON.stringify({ ...crossed, statusThresholds: { atCapacity: 0.9, overCapacity: 1.1 } }));
+  expect(imported.activePreset).toBe('Imported');
+  expect(imported.presets.Imported.statusThresholds).toEqual({ atCapacity: 0.9, overCapacity: 1.1 });
+});
+
+test('checks the bands the way the settings panel edits them', () => {
+  expect(checkStatusThresholds({ atCapacity: 1, overCapacity: 1 })).toBeNull();
+  expect(checkStatusThresholds({ atCapacity: 1.1, overCapacity: 1 })).toMatch('can\'t be above');
+  // Saved presets edited by hand are still clamped rather than dropped
+  expect(normalizeSettings({ statusThresholds: { atCapacity: 1.1, overCapacity: 1 } }).statusThresholds)
+    .toEqual({ atCapacity: 1, overCapacity: 1 });
+});
@@ -0,0 +1,79 @@
+import _ from 'lodash';
+import { buildConsultants } from './capacity';
+import { resolveName } from './consultantIdentity';
+
+const dealKey = (deal) => String(deal.dealName ?? '').trim();
+
+const formatDate = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : String(value ?? ''));
+
+// Consultant/role pairs staffed on every row of a deal
+const getAssignments = (deals, aliasLookup) => _.uniqBy(
+  deals.flatMap(deal => deal.staffing.flatMap(({ role, consultants }) =>
+    consultants.map(name => ({ name: resolveName(name, aliasLookup), role }))
+  )),
+  assignment => `${assignment.name}|${assignment.role}`
+);
+
+const assignmentKey = (assignment) => `${assignment.name}|${assignment.role}`;
+
+// Compares the deals of two snapshots and the weighted load they produce.
+// Deals are matched on their name; load is compared period by period.
+export const diffSnapshots = (beforeDeals, afterDeals, settings, { aliasLookup = {}, timelineOptions } = {}) => {
+  const before = _.groupBy(beforeDeals.filter(dealKey), dealKey);
+  const after = _.groupBy(afterDeals.filter(dealKey), dealKey);
+
+  const addedDeals = Object.keys(after).filter(name => !before[name]).sort();
+  const removedDeals = Object.keys(before).filter(name => !after[name]).sort();
+
+  const changedDeals = Object.keys(after)
+    .filter(name => before[name])
+    .sort()
+    .map(name => {
+      const [previous] = before[name];
+      const [current] = after[name];
+      const dateChanges = ['startDate', 'endDate']
+        .filter(field => formatDate(previous[field]) !== formatDate(current[field]))
+        .map(field => ({ field, before: formatDate(previous[field]), after: formatDate(current[field]) }));
+
+      const previousAssignments = getAssignments(before[name], aliasLookup);
+      const currentAssignments = getAssignments(after[name], aliasLookup);
+      const previousKeys = new Set(previousAssignments.map(assignmentKey));
+      const currentKeys = new Set(currentAssignments.map(assignmentKey));
+
+      return {
+        dealName: name,
+        dateChanges,
+        addedConsultants: currentAssignments.filter(a => !previousKeys.has(assignmentKey(a))),
+        removedConsultants: previousAssignments.filter(a => !currentKeys.has(assignmentKey(a)))
+      };
+    })
+    .filter(change => change.dateChanges.length || change.addedConsultants.length || change.removedConsultants.length);
+
+  const options = { aliasLookup, timelineOptions };
+  const beforeByName = _.keyBy(buildConsultants(beforeDeals, settings, options), 'name');
+  const afterByName = _.keyBy(buildConsultants(afterDeals, settings, options), 'name');
+
+  const loadChanges = _.union(Object.keys(beforeByName), Object.keys(afterByName))
+    .map(name => {
+      const reference = (afterByName[name] || beforeByName[name]).timeline;
+      const periods = reference.map((entry, idx) => {
+        const previousLoad = beforeByName[name] ? beforeByName[name].timeline[idx].weightedLoad : 0;
+        const currentLoad = afterByName[name] ? afterByName[name].timeline[idx].weightedLoad : 0;
+        return {
+          period: entry.period,
+          before: previousLoad,
+          after: currentLoad,
+          delta: parseFloat((currentLoad - previousLoad).toFixed(1))
+        };
+      });
+      return {
+        name,
+        periods,
+        totalDelta: parseFloat(_.sumBy(periods, 'delta').toFixed(1))
+      };
+    })
+    .filter(change => change.periods.some(period => period.delta !== 0))
+    .sort((a, b) => Math.abs(b.totalDelta) - Math.abs(a.totalDelta));
+
+  return { addedDeals, removedDeals, changedDeals, loadChanges };
+};
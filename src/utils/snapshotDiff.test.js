@@ -0,0 +1,39 @@
+import { DEFAULT_SETTINGS } from './capacity';
+import { diffSnapshots } from './snapshotDiff';
+
+const deal = (dealName, startDate, endDate, staffing) => ({
+  dealName,
+  startDate,
+  endDate,
+  businessLine: 'Data',
+  staffing: Object.entries(staffing).map(([role, consultants]) => ({ role, column: role, consultants }))
+});
+
+const timelineOptions = { granularity: 'month', startDate: '2025-01-01', horizon: 3 };
+
+test('reports added, removed and changed deals with the load they move', () => {
+  const before = [
+    deal('Acme', '2025-01-01', '2025-01-31', { Lead: ['Ann'], Consultant: ['Bob'] }),
+    deal('Globex', '2025-01-01', '2025-03-31', { Lead: ['Cara'] })
+  ];
+  const after = [
+    deal('Acme', '2025-01-01', '2025-02-28', { Lead: ['Ann'], Consultant: ['Dan'] }),
+    deal('Initech', '2025-03-01', '2025-03-31', { Lead: ['Cara'] })
+  ];
+
+  const diff = diffSnapshots(before, after, DEFAULT_SETTINGS, { timelineOptions });
+
+  expect(diff.addedDeals).toEqual(['Initech']);
+  expect(diff.removedDeals).toEqual(['Globex']);
+  expect(diff.changedDeals).toEqual([{
+    dealName: 'Acme',
+    dateChanges: [{ field: 'endDate', before: '2025-01-31', after: '2025-02-28' }],
+    addedConsultants: [{ name: 'Dan', role: 'Consultant' }],
+    removedConsultants: [{ name: 'Bob', role: 'Consultant' }]
+  }]);
+
+  const ann = diff.loadChanges.find(change => change.name === 'Ann');
+  expect(ann.periods.map(p => p.delta)).toEqual([0, 1, 0]);
+  const cara = diff.loadChanges.find(change => change.name === 'Cara');
+  expect(cara.periods.map(p => p.delta)).toEqual([-1, -1, 0]);
+});
@@ -0,0 +1,97 @@
+const DB_NAME = 'capacityDashboard';
+const DB_VERSION = 1;
+// Metadata and rows live apart so listing snapshots never loads every dataset
+const META_STORE = 'snapshots';
+const ROWS_STORE = 'snapshotRows';
+
+const openDb = () => new Promise((resolve, reject) => {
+  if (typeof window === 'undefined' || !window.indexedDB) {
+    reject(new Error('IndexedDB is not available in this browser'));
+    return;
+  }
+
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'id', autoIncrement: true });
+    }
+    if (!db.objectStoreNames.contains(ROWS_STORE)) {
+      db.createObjectStore(ROWS_STORE, { keyPath: 'id' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStores = (mode, callback) => openDb().then(db => new Promise((resolve, reject) => {
+  const transaction = db.transaction([META_STORE, ROWS_STORE], mode);
+  let result;
+  Promise.resolve(callback(transaction.objectStore(META_STORE), transaction.objectStore(ROWS_STORE)))
+    .then(value => {
+      result = value;
+    }, reject);
+  transaction.oncomplete = () => {
+    db.close();
+    resolve(result);
+  };
+  transaction.onerror = () => {
+    db.close();
+    reject(transaction.error);
+  };
+}));
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Saves an applied import ({ fileName, headers, rows, mapping, profileName, source? }) and resolves with its
+// metadata. source describes an API sync (see hubspotSync.js) and is null for uploaded files.
+export const saveSnapshot = (dataset) => withStores('readwrite', async (meta, rows) => {
+  const metadata = {
+    createdAt: new Date().toISOString(),
+    fileName: dataset.fileName,
+    rowCount: dataset.rows.length,
+    profileName: dataset.profileName || null,
+    source: dataset.source || null
+  };
+  const id = await requestToPromise(meta.add(metadata));
+  rows.put({
+    id,
+    headers: dataset.headers,
+    rows: dataset.rows,
+    mapping: dataset.mapping
+  });
+  return { ...metadata, id };
+});
+
+// Newest first
+export const listSnapshots = () => withStores('readonly', meta =>
+  requestToPromise(meta.getAll()).then(all => all.sort((a, b) => b.id - a.id))
+);
+
+// Resolves with a dataset in the same shape saveSnapshot accepts, plus its snapshot metadata
+export const loadSnapshot = (id) => withStores('readonly', async (meta, rows) => {
+  const [metadata, data] = await Promise.all([
+    requestToPromise(meta.get(id)),
+    requestToPromise(rows.get(id))
+  ]);
+  if (!metadata || !data) {
+    throw new Error(`Snapshot ${id} not found`);
+  }
+  return {
+    fileName: metadata.fileName,
+    profileName: metadata.profileName,
+    source: metadata.source || null,
+    headers: data.headers,
+    rows: data.rows,
+    mapping: data.mapping,
+    snapshot: metadata
+  };
+});
+
+export const deleteSnapshot = (id) => withStores('readwrite', (meta, rows) => {
+  meta.delete(id);
+  rows.delete(id);
+});
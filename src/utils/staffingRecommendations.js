@@ -0,0 +1,129 @@
+import _ from 'lodash';
+import { buildConsultants, getRoleWeight, parseDate } from './capacity';
+import { DEFAULT_FISCAL_CALENDAR, getPeriodContaining } from './fiscalCalendar';
+
+// Relative importance of each factor in the 0-100 suitability score
+export const SCORE_WEIGHTS = {
+  freeCapacity: 0.5,
+  experience: 0.3,
+  overload: 0.2
+};
+
+// Projects in the business line needed for full experience credit
+const EXPERIENCE_TARGET = 3;
+// Going this share of the ceiling over capacity takes the whole overload penalty
+const OVERLOAD_TOLERANCE = 0.25;
+
+const round = (value) => parseFloat(value.toFixed(1));
+
+// Months of the timeline from the one containing startDate to the one containing endDate, which
+// under a week-based fiscal calendar needn't match the calendar months
+const countMonths = (startDate, endDate, calendar) => {
+  const last = getPeriodContaining(endDate, 'month', calendar);
+  let period = getPeriodContaining(startDate, 'month', calendar);
+  let count = 1;
+  while (period.start < last.start) {
+    period = getPeriodContaining(period.end, 'month', calendar);
+    count += 1;
+  }
+  return count;
+};
+
+// Share of each month that the proposed project covers
+const getMonthlyCoverage = (period, startDate, endDate) => {
+  const periodStart = parseDate(period.startDate);
+  const periodEnd = parseDate(period.endDate);
+  const from = startDate > periodStart ? startDate : periodStart;
+  const to = endDate < periodEnd ? endDate : periodEnd;
+  const days = Math.round((to - from) / 86400000) + 1;
+  const periodDays = Math.round((periodEnd - periodStart) / 86400000) + 1;
+  return days > 0 ? days / periodDays : 0;
+};
+
+const scoreCandidate = (consultant, proposal, role, settings, startDate, endDate) => {
+  const { maxRecommendedLoad } = settings;
+  const weight = getRoleWeight(role, settings);
+  const periods = consultant.timeline.map(entry => {
+    const added = weight * getMonthlyCoverage(entry, startDate, endDate);
+    return { ...entry, after: entry.weightedLoad + entry.absenceLoad + added };
+  });
+
+  // Free capacity is measured against each person's own ceiling but scored against a full-time one
+  const averageFree = _.mean(periods.map(p => Math.max(0, p.maxLoad - p.weightedLoad - p.absenceLoad)));
+  const freeScore = maxRecommendedLoad > 0 ? Math.min(1, averageFree / maxRecommendedLoad) : 0;
+
+  const relevantProjects = proposal.businessLine
+    ? consultant.projects.filter(project => {
+      const projectStart = parseDate(project.startDate);
+      return project.businessLine === proposal.businessLine && (!projectStart || projectStart <= startDate);
+    })
+    : [];
+  const experienceScore = proposal.businessLine ? Math.min(1, relevantProjects.length / EXPERIENCE_TARGET) : 1;
+
+  const peak = _.maxBy(periods, p => p.after - p.maxLoad);
+  const overBy = Math.max(0, peak.after - peak.maxLoad);
+  const overloadPenalty = maxRecommendedLoad > 0
+    ? Math.min(1, overBy / (maxRecommendedLoad * OVERLOAD_TOLERANCE))
+    : 1;
+
+  const score = Math.round(100 * (
+    SCORE_WEIGHTS.freeCapacity * freeScore +
+    SCORE_WEIGHTS.experience * experienceScore +
+    SCORE_WEIGHTS.overload * (1 - overloadPenalty)
+  ));
+
+  const reasons = [
+    `${round(averageFree)} of ${consultant.maxLoad} free on average over the project`,
+    proposal.businessLine
+      ? `${relevantProjects.length} prior ${proposal.businessLine} project${relevantProjects.length === 1 ? '' : 's'}`
+      : null,
+    overBy > 0
+      ? `peak would reach ${round(peak.after)} in ${peak.period}, ${round(overBy)} over the ceiling`
+      : `peak would stay at ${round(peak.after)} (${peak.period})`
+  ].filter(Boolean);
+
+  return {
+    name: consultant.name,
+    role,
+    score,
+    averageFree: round(averageFree),
+    experience: relevantProjects.length,
+    peakAfter: round(peak.after),
+    peakPeriod: peak.period,
+    overBy: round(overBy),
+    explanation: reasons.join('; ')
+  };
+};
+
+// Ranks every consultant for each required role of a proposed engagement: best score first, then
+// the most free capacity, then by name.
+// proposal: { startDate, endDate, businessLine, roles: [role names] }
+export const recommendStaffing = (deals, proposal, settings, { aliasLookup, absences, roster, onProgress } = {}) => {
+  const startDate = parseDate(proposal.startDate);
+  const endDate = parseDate(proposal.endDate);
+  if (!startDate || !endDate || endDate < startDate) {
+    throw new Error('Enter a valid project start and end date');
+  }
+
+  const consultants = buildConsultants(deals, settings, {
+    aliasLookup,
+    absences,
+    roster,
+    onProgress,
+    timelineOptions: {
+      granularity: 'month',
+      startDate: proposal.startDate,
+      horizon: countMonths(startDate, endDate, settings.fiscalCalendar || DEFAULT_FISCAL_CALENDAR)
+    }
+  });
+
+  const rankings = {};
+  _.uniq(proposal.roles).forEach(role => {
+    rankings[role] = _.orderBy(
+      consultants.map(consultant => scoreCandidate(consultant, proposal, role, settings, startDate, endDate)),
+      ['score', 'averageFree', 'name'],
+      ['desc', 'desc', 'asc']
+    );
+  });
+  return rankings;
+};
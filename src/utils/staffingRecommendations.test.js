@@ -0,0 +1,77 @@
+import { DEFAULT_SETTINGS } from './capacity';
+import { recommendStaffing } from './staffingRecommendations';
+
+const settings = { ...DEFAULT_SETTINGS, roleWeights: { Lead: 1, Supporting: 0.8 } };
+const proposal = { startDate: '2026-01-01', endDate: '2026-01-31', businessLine: 'Data', roles: ['Lead', 'Supporting', 'Lead'] };
+
+const deal = (dealName, businessLine, startDate, endDate, role, consultant) => ({
+  dealName,
+  businessLine,
+  startDate,
+  endDate,
+  staffing: [{ role, column: `Project ${role}`, consultants: [consultant] }]
+});
+// Finished Data projects count as experience but add no load in January
+const pastData = (consultant, count) => Array.from({ length: count }, (v, idx) => (
+  deal(`${consultant} Data ${idx}`, 'Data', '2025-03-01', '2025-03-31', 'Lead', consultant)
+));
+// Projects running through January add their role's weight each
+const january = (consultant, count, role = 'Lead') => Array.from({ length: count }, (v, idx) => (
+  deal(`${consultant} Ops ${idx}`, 'Ops', '2026-01-01', '2026-01-31', role, consultant)
+));
+
+const deals = [
+  ...pastData('Zoe', 1).map(d => ({ ...d, businessLine: 'Strategy' })),
+  ...pastData('Ann', 1).map(d => ({ ...d, businessLine: 'Strategy' })),
+  ...pastData('Bob', 2),
+  ...pastData('Yan', 1), ...january('Yan', 2, 'Supporting'),
+  ...pastData('Cat', 3), ...january('Cat', 7),
+  ...pastData('Dan', 3), ...january('Dan', 9)
+];
+
+test('ranks by score, then free capacity, then name', () => {
+  const { Lead } = recommendStaffing(deals, proposal, settings);
+
+  expect(Lead.map(c => [c.name, c.score, c.averageFree, c.experience, c.overBy])).toEqual([
+    // Fully free with two of the three Data projects for full experience credit
+    ['Bob', 90, 8, 2, 0],
+    // Fully free without Data experience; equal candidates go by name
+    ['Ann', 70, 8, 0, 0],
+    ['Zoe', 70, 8, 0, 0],
+    // The same score from less free capacity and some experience ranks lower
+    ['Yan', 70, 6.4, 1, 0],
+    // Full experience can't make up for a nearly full month, which the project fills to the ceiling
+    ['Cat', 56, 1, 3, 0],
+    // Already over capacity: no free capacity and the whole overload penalty
+    ['Dan', 30, 0, 3, 2]
+  ]);
+  expect(Lead[5].explanation).toBe(
+    '0 of 8 free on average over the project; 3 prior Data projects; peak would reach 10 in Jan 26, 2 over the ceiling'
+  );
+});
+
+test('ranks each role once, weighing the overload by the role', () => {
+  const rankings = recommendStaffing(deals, proposal, settings);
+  expect(Object.keys(rankings)).toEqual(['Lead', 'Supporting']);
+
+  // A Supporting role adds 0.8, so Dan ends up 1.8 over: 90% of the overload penalty
+  const dan = rankings.Supporting.find(c => c.name === 'Dan');
+  expect(dan).toMatchObject({ score: 32, peakAfter: 9.8, overBy: 1.8 });
+  expect(rankings.Supporting.map(c => c.name)).toEqual(['Bob', 'Ann', 'Zoe', 'Yan', 'Cat', 'Dan']);
+
+  // Without a business line everyone gets full experience credit
+  const { Lead } = recommendStaffing(deals, { ...proposal, businessLine: '' }, settings);
+  expect(Lead.slice(0, 3).map(c => [c.name, c.score])).toEqual([['Ann', 100], ['Bob', 100], ['Zoe', 100]]);
+
+  expect(() => recommendStaffing(deals, { ...proposal, endDate: '2025-12-31' }, settings))
+    .toThrow('Enter a valid project start and end date');
+});
+
+test('covers the whole project under a week-based fiscal calendar', () => {
+  // FY26 of a 4-4-5 calendar starts on 29 Dec 2025, so 30 and 31 March fall in P4
+  const fiscalSettings = { ...settings, fiscalCalendar: { startMonth: 1, pattern: '4-4-5' } };
+  const april = Array.from({ length: 9 }, (v, idx) => deal(`Dan Ops ${idx}`, 'Ops', '2026-03-30', '2026-04-26', 'Lead', 'Dan'));
+  const { Lead } = recommendStaffing(april, { ...proposal, endDate: '2026-03-31' }, fiscalSettings);
+
+  expect(Lead[0]).toMatchObject({ name: 'Dan', peakPeriod: 'P4 FY26', peakAfter: 9.1, overBy: 1.1 });
+});
@@ -0,0 +1,170 @@
+import Papa from 'papaparse';
+import { findColumn } from './csvHeaders';
+import { describeGuessedDates, isAmbiguousDate, parseDateValue, resolveDateOrder, toISODate } from './dates';
+
+const STORAGE_KEY = 'capacityDashboard.timeOff';
+
+export const COMPANY_HOLIDAY_TYPE = 'Company Holiday';
+export const DEFAULT_ABSENCE_TYPE = 'Time Off';
+
+const CSV_COLUMNS = {
+  consultant: ['consultant', 'name', 'employee', 'person', 'team member'],
+  startDate: ['start date', 'start', 'from', 'first day', 'date'],
+  endDate: ['end date', 'end', 'to', 'until', 'last day'],
+  type: ['type', 'absence type', 'category', 'reason', 'leave type'],
+  description: ['description', 'notes', 'note', 'comment', 'holiday', 'summary']
+};
+
+let nextId = Date.now();
+const createId = () => `absence-${(nextId++).toString(36)}`;
+
+const createEntry = ({ consultant, startDate, endDate, type, description, source }) => ({
+  id: createId(),
+  consultant: consultant || null,
+  startDate: toISODate(startDate),
+  endDate: toISODate(endDate || startDate),
+  type: type || (consultant ? DEFAULT_ABSENCE_TYPE : COMPANY_HOLIDAY_TYPE),
+  description: description || '',
+  source
+});
+
+// Rows need a consultant unless the file is the company holiday calendar. Numeric dates are read day or
+// month first as dateFormat says ('auto' detects it from the file, see utils/dates).
+// Returns { entries, errors, warnings } where errors name the skipped rows and warnings the rows whose
+// dates could be read either way.
+export const parseTimeOffCsv = (text, { companyWide = false, source = '', dateFormat } = {}) => {
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const headers = meta.fields || [];
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([key, synonyms]) => [key, findColumn(headers, synonyms)])
+  );
+
+  if (!columns.startDate) {
+    throw new Error('No start date column found (expected a header such as "Start Date" or "Date")');
+  }
+  if (!companyWide && !columns.consultant) {
+    throw new Error('No consultant column found (expected a header such as "Consultant" or "Name")');
+  }
+
+  const cell = (row, key) => (columns[key] ? String(row[columns[key]] ?? '').trim() : '');
+  const dateOrder = resolveDateOrder(data.flatMap(row => [cell(row, 'startDate'), cell(row, 'endDate')]), dateFormat);
+  const entries = [];
+  const errors = [];
+  const guessedRows = [];
+  data.forEach((row, idx) => {
+    const rowNumber = idx + 2;
+    const value = (key) => cell(row, key);
+    const startDate = parseDateValue(value('startDate'), dateOrder.order);
+    const endDate = value('endDate') ? parseDateValue(value('endDate'), dateOrder.order) : startDate;
+
+    if (!startDate || !endDate) {
+      errors.push(`Row ${rowNumber}: unreadable date "${!startDate ? value('startDate') : value('endDate')}"`);
+    } else if (endDate < startDate) {
+      errors.push(`Row ${rowNumber}: end date is before start date`);
+    } else if (!companyWide && !value('consultant')) {
+      errors.push(`Row ${rowNumber}: no consultant`);
+    } else {
+      entries.push(createEntry({
+        consultant: companyWide ? null : value('consultant'),
+        startDate,
+        endDate,
+        type: value('type'),
+        description: value('description'),
+        source
+      }));
+      if (isAmbiguousDate(value('startDate')) || isAmbiguousDate(value('endDate'))) {
+        guessedRows.push(`Row ${rowNumber}`);
+      }
+    }
+  });
+  const warning = describeGuessedDates(dateOrder, guessedRows);
+  return { entries, errors, warnings: warning ? [warning] : [] };
+};
+
+// Continuation lines start with a space or tab (RFC 5545 §3.1)
+const unfoldLines = (text) => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').map(line => line.trimEnd());
+
+const unescapeText = (value) => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+// Reads DATE and DATE-TIME values; times are dropped since absences are whole days
+const parseIcsDate = (value) => {
+  const match = value && value.match(/^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2}))?/);
+  if (!match) {
+    return null;
+  }
+  return {
+    date: new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])),
+    isMidnight: !match[4] || (match[5] === '00' && match[6] === '00')
+  };
+};
+
+// Each VEVENT becomes one absence. DTEND is exclusive, so the day before it is the last day off.
+// Recurring events are read as their first occurrence only.
+export const parseIcs = (text, { consultant = null, source = '' } = {}) => {
+  const entries = [];
+  const errors = [];
+  let event = null;
+
+  unfoldLines(text).forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      const start = parseIcsDate(event.DTSTART);
+      const end = parseIcsDate(event.DTEND);
+      if (!start) {
+        errors.push(`Event "${event.SUMMARY || 'untitled'}": unreadable start "${event.DTSTART || ''}"`);
+      } else {
+        let endDate = end ? end.date : start.date;
+        if (end && end.isMidnight && end.date > start.date) {
+          endDate = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - 1);
+        }
+        entries.push(createEntry({
+          consultant,
+          startDate: start.date,
+          endDate,
+          type: event.CATEGORIES ? unescapeText(event.CATEGORIES).split(',')[0] : '',
+          description: unescapeText(event.SUMMARY || ''),
+          source
+        }));
+      }
+      event = null;
+      return;
+    }
+    if (event) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        // Property parameters such as ";VALUE=DATE" or ";TZID=..." are not needed
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        event[name] = line.slice(separator + 1);
+      }
+    }
+  });
+
+  if (entries.length === 0 && errors.length === 0) {
+    throw new Error('No events found in the calendar file');
+  }
+  // Calendar dates are never ambiguous
+  return { entries, errors, warnings: [] };
+};
+
+export const overlapsWindow = (entry, from, to) => (!to || entry.startDate <= to) && (!from || entry.endDate >= from);
+
+export const loadTimeOff = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (err) {
+    console.warn('Could not load saved time off:', err);
+    return [];
+  }
+};
+
+export const saveTimeOff = (entries) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn('Could not save time off:', err);
+  }
+};
@@ -0,0 +1,77 @@
+import { COMPANY_HOLIDAY_TYPE, overlapsWindow, parseIcs, parseTimeOffCsv } from './timeOff';
+
+test('reads consultant time off from a CSV and reports unusable rows', () => {
+  const csv = [
+    'Employee,From,To,Leave Type',
+    'Ann,2025-03-03,2025-03-07,Vacation',
+    'Bob,2025-03-10,,',
+    ',2025-03-10,2025-03-11,Vacation',
+    'Cara,2025-03-12,2025-03-11,Sick'
+  ].join('\n');
+
+  const { entries, errors } = parseTimeOffCsv(csv, { source: 'leave.csv' });
+  expect(entries).toMatchObject([
+    { consultant: 'Ann', startDate: '2025-03-03', endDate: '2025-03-07', type: 'Vacation', source: 'leave.csv' },
+    { consultant: 'Bob', startDate: '2025-03-10', endDate: '2025-03-10', type: 'Time Off' }
+  ]);
+  expect(errors).toEqual(['Row 4: no consultant', 'Row 5: end date is before start date']);
+  expect(() => parseTimeOffCsv('Start,End\n2025-03-03,2025-03-04')).toThrow('No consultant column');
+});
+
+test('company holiday CSVs only need a date', () => {
+  const { entries } = parseTimeOffCsv('Date,Holiday\n2025-12-25,Christmas Day', { companyWide: true });
+  expect(entries).toMatchObject([
+    { consultant: null, startDate: '2025-12-25', endDate: '2025-12-25', type: COMPANY_HOLIDAY_TYPE, description: 'Christmas Day' }
+  ]);
+});
+
+test('detects the date order of a time off file and warns about rows it could not settle', () => {
+  const us = parseTimeOffCsv('Consultant,Start,End\nAnn,12/22/2025,12/26/2025\nBob,03/04/2025,');
+  expect(us.entries.map(entry => entry.startDate)).toEqual(['2025-12-22', '2025-03-04']);
+  expect(us.warnings).toEqual([]);
+
+  const unclear = parseTimeOffCsv('Consultant,Start,End\nAnn,2025-03-03,\nBob,03/04/2025,05/04/2025');
+  expect(unclear.entries[1]).toMatchObject({ startDate: '2025-04-03', endDate: '2025-04-05' });
+  expect(unclear.warnings).toEqual([
+    'Row 3: dates such as "03/04/2025" could be day or month first and nothing in the file tells; read as day first'
+  ]);
+  expect(parseTimeOffCsv('Consultant,Start\nBob,03/04/2025', { dateFormat: 'mdy' })).toMatchObject({
+    entries: [{ startDate: '2025-03-04' }],
+    warnings: []
+  });
+});
+
+test('reads all-day and timed events from an iCalendar file', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20250804',
+    'DTEND;VALUE=DATE:20250816',
+    'SUMMARY:Summer holiday\\, Italy',
+    'CATEGORIES:Vacation',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20250902T090000Z',
+    'DTEND:20250902T170000Z',
+    'SUMMARY:Dentist and a very long',
+    '  description',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const { entries, errors } = parseIcs(ics, { consultant: 'Ann' });
+  expect(errors).toEqual([]);
+  // DTEND is exclusive for all-day events
+  expect(entries).toMatchObject([
+    { consultant: 'Ann', startDate: '2025-08-04', endDate: '2025-08-15', type: 'Vacation', description: 'Summer holiday, Italy' },
+    { consultant: 'Ann', startDate: '2025-09-02', endDate: '2025-09-02', description: 'Dentist and a very long description' }
+  ]);
+  expect(() => parseIcs('BEGIN:VCALENDAR\nEND:VCALENDAR')).toThrow('No events');
+});
+
+test('matches absences overlapping an open or closed window', () => {
+  const absence = { startDate: '2025-08-04', endDate: '2025-08-15' };
+  expect(overlapsWindow(absence, '2025-08-15', '2025-08-20')).toBe(true);
+  expect(overlapsWindow(absence, '2025-08-16', '')).toBe(false);
+  expect(overlapsWindow(absence, '', '2025-08-03')).toBe(false);
+});
@@ -0,0 +1,221 @@
+import Papa from 'papaparse';
+import _ from 'lodash';
+import { resolveName } from './consultantIdentity';
+import { findColumn } from './csvHeaders';
+import { describeGuessedDates, isAmbiguousDate, parseDateValue, resolveDateOrder, toISODate } from './dates';
+import { isCommitted } from './pipeline';
+
+const STORAGE_KEY = 'capacityDashboard.timesheet';
+
+// Hours logged against deals the consultant isn't staffed on, or against no deal at all
+export const UNPLANNED_ROLE = 'Not in staffing';
+
+const CSV_COLUMNS = {
+  consultant: ['consultant', 'name', 'employee', 'person', 'team member', 'user'],
+  deal: ['deal', 'deal name', 'project', 'project name', 'engagement', 'job', 'client'],
+  date: ['date', 'work date', 'entry date', 'spent date', 'day'],
+  hours: ['hours', 'hours logged', 'logged hours', 'time', 'duration', 'quantity']
+};
+
+// Reads 7.5, "7,5" or "7:30" as 7.5 hours. Returns null for anything else or more than a day.
+export const parseHours = (value) => {
+  const text = String(value ?? '').trim();
+  const clock = text.match(/^(\d{1,2}):([0-5]\d)$/);
+  const hours = clock
+    ? Number(clock[1]) + Number(clock[2]) / 60
+    : /^\d+([.,]\d+)?$/.test(text) ? parseFloat(text.replace(',', '.')) : NaN;
+  return hours >= 0 && hours <= 24 ? hours : null;
+};
+
+// One row per consultant, deal and day, with the hours of repeated rows added up
+const combineEntries = (entries) => _.sortBy(
+  Object.values(_.groupBy(entries, entry => [entry.consultant, entry.deal, entry.date].join('\u0000'))).map(group => ({
+    ...group[0],
+    hours: parseFloat(_.sumBy(group, 'hours').toFixed(2))
+  })),
+  ['date', 'consultant']
+);
+
+// Reads a timesheet export with consultant, deal, date and hours columns. Numeric dates are read day
+// or month first as dateFormat says ('auto' detects it as the deals import does).
+// Returns { timesheet: { fileName, entries, firstDate, lastDate }, errors, warnings } where errors name
+// the skipped rows and warnings the rows whose dates could be read either way.
+export const parseTimesheetCsv = (text, { fileName = '', dateFormat } = {}) => {
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const headers = meta.fields || [];
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([key, synonyms]) => [key, findColumn(headers, synonyms)])
+  );
+  const missing = ['consultant', 'date', 'hours'].filter(key => !columns[key]);
+  if (missing.length) {
+    throw new Error(`No ${missing.join(', ')} column found (expected headers such as "Consultant", "Deal", "Date" and "Hours")`);
+  }
+
+  const dateOrder = resolveDateOrder(data.map(row => row[columns.date]), dateFormat);
+  const entries = [];
+  const errors = [];
+  const guessedRows = [];
+  data.forEach((row, idx) => {
+    const rowNumber = idx + 2;
+    const value = (key) => (columns[key] ? String(row[columns[key]] ?? '').trim() : '');
+    const date = parseDateValue(value('date'), dateOrder.order);
+    const hours = parseHours(value('hours'));
+
+    if (!value('consultant')) {
+      errors.push(`Row ${rowNumber}: no consultant`);
+    } else if (!date) {
+      errors.push(`Row ${rowNumber}: unreadable date "${value('date')}"`);
+    } else if (hours === null) {
+      errors.push(`Row ${rowNumber}: unreadable hours "${value('hours')}"`);
+    } else if (hours > 0) {
+      entries.push({ consultant: value('consultant'), deal: value('deal'), date: toISODate(date), hours });
+      if (isAmbiguousDate(value('date'))) {
+        guessedRows.push(`Row ${rowNumber}`);
+      }
+    }
+  });
+  if (entries.length === 0) {
+    throw new Error(errors.length ? `No usable rows; ${errors[0]}` : 'No hours logged in the file');
+  }
+
+  const combined = combineEntries(entries);
+  const warning = describeGuessedDates(dateOrder, guessedRows);
+  return {
+    timesheet: {
+      fileName,
+      entries: combined,
+      firstDate: combined[0].date,
+      lastDate: combined[combined.length - 1].date
+    },
+    errors,
+    warnings: warning ? [warning] : []
+  };
+};
+
+// Consultant and deal names in the timesheet that match nothing in the deals or the roster, so
+// their hours are left out of the actuals or count as unplanned work
+export const findUnmatchedNames = (timesheet, consultants, deals, aliasLookup = {}) => {
+  const names = new Set(consultants.map(c => c.name));
+  const dealNames = new Set(deals.map(deal => String(deal.dealName ?? '').trim().toLowerCase()));
+  return {
+    consultants: _.sortBy(_.uniq(timesheet.entries
+      .map(entry => entry.consultant)
+      .filter(name => !names.has(resolveName(name, aliasLookup))))),
+    deals: _.sortBy(_.uniq(timesheet.entries
+      .map(entry => entry.deal)
+      .filter(deal => deal && !dealNames.has(deal.toLowerCase()))))
+  };
+};
+
+// Timeline entries the timesheet covers in full; partly covered periods would read as under-worked
+const getCoveredEntries = (consultant) => consultant.timeline.filter(entry => entry.actualComplete);
+
+// Planned load in hours, with a full-time period's working hours worth maxRecommendedLoad
+const toPlannedHours = (load, entry, settings) => (load / settings.maxRecommendedLoad) * entry.capacityHours;
+
+const roundHours = (hours) => parseFloat(hours.toFixed(1));
+
+const describeVariance = (plannedHours, actualHours) => ({
+  plannedHours: roundHours(plannedHours),
+  actualHours: roundHours(actualHours),
+  varianceHours: roundHours(actualHours - plannedHours),
+  variancePct: plannedHours > 0 ? Math.round(((actualHours - plannedHours) / plannedHours) * 100) : null
+});
+
+// Planned against logged hours over the periods the timesheet covers, per consultant and per role.
+// Planned hours follow the timeline's forecast layer; hours on deals a consultant isn't staffed on
+// count under UNPLANNED_ROLE.
+// Returns { consultants: [{ name, periods, plannedHours, actualHours, varianceHours, variancePct }], roles: [...] }
+export const buildVarianceReport = (consultants, settings) => {
+  const roles = {};
+  const addRoleHours = (role, key, hours) => {
+    roles[role] = roles[role] || { planned: 0, actual: 0 };
+    roles[role][key] += hours;
+  };
+
+  const rows = consultants.flatMap(consultant => {
+    const entries = getCoveredEntries(consultant);
+    if (entries.length === 0) {
+      return [];
+    }
+    entries.forEach(entry => {
+      entry.details.forEach(detail => addRoleHours(detail.role, 'planned', toPlannedHours(detail.load, entry, settings)));
+      entry.actualDetails.forEach(detail => addRoleHours(detail.role || UNPLANNED_ROLE, 'actual', detail.hours));
+    });
+    return [{
+      name: consultant.name,
+      periods: entries.length,
+      ...describeVariance(
+        _.sumBy(entries, entry => toPlannedHours(entry.weightedLoad, entry, settings)),
+        _.sumBy(entries, 'actualHours')
+      )
+    }];
+  });
+
+  return {
+    consultants: _.sortBy(rows, row => -Math.abs(row.varianceHours)),
+    roles: _.sortBy(
+      Object.entries(roles).map(([role, { planned, actual }]) => ({ role, ...describeVariance(planned, actual) })),
+      row => (row.role === UNPLANNED_ROLE ? 1 : 0), 'role'
+    )
+  };
+};
+
+// Suggests role weights from what committed assignments actually took: for each role, the load
+// logged on its assignments divided by the share of the periods they ran for. A weight of 1 means
+// a full-time period's hours spread over maxRecommendedLoad such assignments.
+// Returns one row per role: { role, currentWeight, suggestedWeight, assignments, periods, hours },
+// with suggestedWeight null for roles with nothing logged in covered periods.
+export const buildCalibrationReport = (consultants, settings) => {
+  const samples = {};
+  consultants.forEach(consultant => {
+    getCoveredEntries(consultant).forEach(entry => {
+      entry.details.filter(detail => isCommitted(detail.probability)).forEach(detail => {
+        const actual = entry.actualDetails.find(a => a.name === detail.name && a.role === detail.role);
+        const sample = samples[detail.role] || { share: 0, load: 0, hours: 0, periods: 0, assignments: new Set() };
+        sample.share += detail.share;
+        sample.load += actual ? actual.load : 0;
+        sample.hours += actual ? actual.hours : 0;
+        sample.periods += 1;
+        sample.assignments.add(`${consultant.name}\u0000${detail.name}`);
+        samples[detail.role] = sample;
+      });
+    });
+  });
+
+  const roles = _.uniq([...Object.keys(settings.roleWeights), ...Object.keys(samples)]);
+  return roles.map(role => {
+    const sample = samples[role];
+    return {
+      role,
+      currentWeight: settings.roleWeights[role] ?? 0,
+      suggestedWeight: sample && sample.share > 0 ? parseFloat((sample.load / sample.share).toFixed(2)) : null,
+      assignments: sample ? sample.assignments.size : 0,
+      periods: sample ? sample.periods : 0,
+      hours: sample ? roundHours(sample.hours) : 0
+    };
+  });
+};
+
+// The saved timesheet: { fileName, entries, firstDate, lastDate } or null
+export const loadTimesheet = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (err) {
+    console.warn('Could not load saved timesheet:', err);
+    return null;
+  }
+};
+
+export const saveTimesheet = (timesheet) => {
+  try {
+    if (timesheet) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(timesheet));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    console.warn('Could not save timesheet:', err);
+  }
+};
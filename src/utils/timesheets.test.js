@@ -0,0 +1,110 @@
+import { DEFAULT_SETTINGS, buildConsultants } from './capacity';
+import {
+  UNPLANNED_ROLE, buildCalibrationReport, buildVarianceReport, findUnmatchedNames, parseHours, parseTimesheetCsv
+} from './timesheets';
+
+const CSV = [
+  'Employee,Project,Date,Hours',
+  'Ann,Acme,03/03/2025,21',
+  'Ann,acme,2025-03-31,21',
+  'Ann,Internal,2025-03-10,7:30',
+  'Bob,Acme,2025-03-12,"10,5"',
+  'Bob,Acme,2025-03-12,10.5',
+  'Zed,Acme,2025-03-05,8',
+  'Ann,Acme,someday,4',
+  ',Acme,2025-03-05,3',
+  'Bob,Acme,2025-03-13,lots'
+].join('\n');
+
+const deals = [
+  {
+    dealName: 'Acme',
+    startDate: '2025-03-01',
+    endDate: '2025-04-30',
+    staffing: [
+      { role: 'Lead', column: 'Project Lead', consultants: ['Ann'] },
+      { role: 'Supporting', column: 'Project Supporting Consultants', consultants: ['Bob'] }
+    ]
+  },
+  {
+    dealName: 'Globex',
+    dealStage: 'Qualified To Buy',
+    startDate: '2025-03-01',
+    endDate: '2025-03-31',
+    staffing: [{ role: 'Lead', column: 'Project Lead', consultants: ['Ann'] }]
+  }
+];
+
+const timelineOptions = { granularity: 'month', startDate: '2025-03-01', horizon: 2 };
+
+test('reads a timesheet export and reports unusable rows', () => {
+  const { timesheet, errors, warnings } = parseTimesheetCsv(CSV, { fileName: 'march.csv' });
+  expect(timesheet).toMatchObject({ fileName: 'march.csv', firstDate: '2025-03-03', lastDate: '2025-03-31' });
+  // Bob's two rows for the same day are added up
+  expect(timesheet.entries).toHaveLength(5);
+  expect(timesheet.entries.find(e => e.consultant === 'Bob')).toEqual({ consultant: 'Bob', deal: 'Acme', date: '2025-03-12', hours: 21 });
+  expect(errors).toEqual([
+    'Row 8: unreadable date "someday"',
+    'Row 9: no consultant',
+    'Row 10: unreadable hours "lots"'
+  ]);
+  // 03/03/2025 reads the same either way round
+  expect(warnings).toEqual([]);
+  expect(() => parseTimesheetCsv('Consultant,Hours\nAnn,8')).toThrow('No date column');
+  expect([parseHours('7.5'), parseHours('7,5'), parseHours('0:45'), parseHours('25'), parseHours('-1')])
+    .toEqual([7.5, 7.5, 0.75, null, null]);
+});
+
+test('detects the date order of a timesheet and warns about rows it could not settle', () => {
+  const unclear = parseTimesheetCsv('Consultant,Deal,Date,Hours\nAnn,Acme,03/04/2025,8\nAnn,Acme,2025-04-07,8\nBob,Acme,05/04/2025,4');
+  expect(unclear.timesheet.entries.map(entry => entry.date)).toEqual(['2025-04-03', '2025-04-05', '2025-04-07']);
+  expect(unclear.warnings).toEqual([
+    'Row 2, Row 4: dates such as "03/04/2025" could be day or month first and nothing in the file tells; read as day first'
+  ]);
+
+  // One date only month first can read settles the rest
+  const us = parseTimesheetCsv('Consultant,Deal,Date,Hours\nAnn,Acme,03/04/2025,8\nBob,Acme,03/25/2025,4');
+  expect(us.timesheet.entries.map(entry => entry.date)).toEqual(['2025-03-04', '2025-03-25']);
+  expect(us.warnings).toEqual([]);
+  expect(parseTimesheetCsv('Consultant,Deal,Date,Hours\nAnn,Acme,03/04/2025,8', { dateFormat: 'mdy' }).warnings).toEqual([]);
+});
+
+test('adds logged hours to the timeline as actual load', () => {
+  const { timesheet } = parseTimesheetCsv(CSV);
+  const consultants = buildConsultants(deals, DEFAULT_SETTINGS, { timelineOptions, timesheet });
+  const ann = consultants.find(c => c.name === 'Ann');
+
+  // 49.5 of March's 168 working hours, against a plan of Acme plus 40% of Globex
+  expect(ann.timeline[0]).toMatchObject({ weightedLoad: 1.4, actualHours: 49.5, actualLoad: 2.4, actualComplete: true, capacityHours: 168 });
+  expect(ann.timeline[0].actualDetails).toEqual([
+    { name: 'Acme', role: 'Lead', hours: 42, load: 2 },
+    { name: 'Internal', role: null, hours: 7.5, load: 0.36 }
+  ]);
+  // April is past the last logged day
+  expect(ann.timeline[1]).toMatchObject({ actualHours: null, actualLoad: null, actualComplete: false });
+  expect(findUnmatchedNames(timesheet, consultants, deals)).toEqual({ consultants: ['Zed'], deals: ['Internal'] });
+});
+
+test('reports variance per consultant and role and suggests role weights', () => {
+  const { timesheet } = parseTimesheetCsv(CSV);
+  const consultants = buildConsultants(deals, DEFAULT_SETTINGS, { timelineOptions, timesheet });
+
+  const variance = buildVarianceReport(consultants, DEFAULT_SETTINGS);
+  expect(variance.consultants).toEqual([
+    { name: 'Ann', periods: 1, plannedHours: 29.4, actualHours: 49.5, varianceHours: 20.1, variancePct: 68 },
+    { name: 'Bob', periods: 1, plannedHours: 10.5, actualHours: 21, varianceHours: 10.5, variancePct: 100 }
+  ]);
+  expect(variance.roles.map(row => [row.role, row.plannedHours, row.actualHours, row.variancePct])).toEqual([
+    ['Lead', 29.4, 42, 43],
+    ['Supporting', 10.5, 21, 100],
+    [UNPLANNED_ROLE, 0, 7.5, null]
+  ]);
+
+  // Only the committed Acme counts: Ann's 42 hours are 2 loads for a whole month as Lead
+  const calibration = buildCalibrationReport(consultants, DEFAULT_SETTINGS);
+  expect(calibration.find(row => row.role === 'Lead')).toEqual({
+    role: 'Lead', currentWeight: 1, suggestedWeight: 2, assignments: 1, periods: 1, hours: 42
+  });
+  expect(calibration.find(row => row.role === 'Supporting').suggestedWeight).toBe(1);
+  expect(calibration.find(row => row.role === 'Co-Lead').suggestedWeight).toBeNull();
+});
@@ -0,0 +1,20 @@
+/* eslint-env worker */
+import { runTask } from './workerTasks';
+
+// Progress messages are throttled so a fast task doesn't flood the main thread
+const PROGRESS_INTERVAL_MS = 100;
+
+onmessage = ({ data: { id, type, payload } }) => {
+  let lastProgress = 0;
+  const onProgress = (done, total) => {
+    const now = Date.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL_MS || done >= total) {
+      lastProgress = now;
+      postMessage({ id, type: 'progress', done, total });
+    }
+  };
+
+  runTask(type, payload, onProgress)
+    .then(result => postMessage({ id, type: 'result', result }))
+    .catch(err => postMessage({ id, type: 'error', message: err.message }));
+};
@@ -0,0 +1,4 @@
+// Kept apart from taskRunner.js and only loaded through a dynamic import: Jest can't parse import.meta
+const spawnCapacityWorker = () => new Worker(new URL('./capacity.worker.js', import.meta.url));
+
+export default spawnCapacityWorker;
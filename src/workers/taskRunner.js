@@ -0,0 +1,98 @@
+import { runTask } from './workerTasks';
+
+const cancelledError = () => Object.assign(new Error('Cancelled'), { cancelled: true });
+
+export const isCancelled = (err) => Boolean(err && err.cancelled);
+
+// Runs one task at a time in its own Web Worker; starting a task cancels the one in flight.
+// Cancelling terminates the worker, and the next task starts a fresh one. Where workers aren't
+// available (tests, very old browsers) tasks run on the main thread and a cancelled result is dropped.
+export const createTaskRunner = () => {
+  let worker = null;
+  let current = null;
+  let nextId = 0;
+
+  const stopWorker = () => {
+    if (worker) {
+      worker.then(w => w.terminate(), () => {});
+      worker = null;
+    }
+  };
+
+  const cancel = () => {
+    if (current) {
+      const { reject } = current;
+      current = null;
+      stopWorker();
+      reject(cancelledError());
+    }
+  };
+
+  const run = (type, payload, { onProgress = () => {} } = {}) => {
+    cancel();
+    const id = ++nextId;
+    const isCurrent = () => current !== null && current.id === id;
+
+    const promise = new Promise((resolve, reject) => {
+      current = { id, reject };
+      const settle = (callback) => (value) => {
+        if (isCurrent()) {
+          current = null;
+          callback(value);
+        }
+      };
+      const reportProgress = (done, total) => {
+        if (isCurrent()) {
+          onProgress(done, total);
+        }
+      };
+
+      if (typeof Worker === 'undefined') {
+        runTask(type, payload, reportProgress).then(settle(resolve), settle(reject));
+        return;
+      }
+
+      if (!worker) {
+        worker = import('./spawnCapacityWorker').then(({ default: spawn }) => spawn());
+      }
+      worker.then(w => {
+        if (!isCurrent()) {
+          return;
+        }
+        w.onmessage = ({ data }) => {
+          if (data.id !== id) {
+            return;
+          }
+          if (data.type === 'progress') {
+            reportProgress(data.done, data.total);
+          } else if (data.type === 'result') {
+            settle(resolve)(data.result);
+          } else {
+            settle(reject)(new Error(data.message));
+          }
+        };
+        w.onerror = (event) => settle(reject)(new Error(event.message || 'Background worker failed'));
+        w.postMessage({ id, type, payload });
+      }, (err) => {
+        worker = null;
+        settle(reject)(err);
+      });
+    });
+
+    return {
+      promise,
+      cancel: () => {
+        if (isCurrent()) {
+          cancel();
+        }
+      }
+    };
+  };
+
+  const dispose = () => {
+    cancel();
+    stopWorker();
+  };
+
+  return { run, cancel, dispose };
+};
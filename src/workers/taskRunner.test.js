@@ -0,0 +1,73 @@
+import { DEFAULT_SETTINGS } from '../utils/capacity';
+import { createTaskRunner, isCancelled } from './taskRunner';
+
+const deal = (dealName, consultants) => ({
+  dealName,
+  startDate: '2025-01-01',
+  endDate: '2025-01-31',
+  staffing: [{ role: 'Lead', column: 'Project Lead', consultants }]
+});
+const payload = {
+  deals: [deal('Acme', ['Ann', 'Bob'])],
+  settings: DEFAULT_SETTINGS,
+  options: { timelineOptions: { granularity: 'month', startDate: '2025-01-01', horizon: 1 } }
+};
+
+test('computes consultants on the main thread when workers are unavailable, reporting progress', async () => {
+  const runner = createTaskRunner();
+  const progress = [];
+  const consultants = await runner.run('compute', payload, {
+    onProgress: (done, total) => progress.push(`${done}/${total}`)
+  }).promise;
+
+  expect(consultants.map(c => c.name)).toEqual(['Ann', 'Bob']);
+  expect(progress).toEqual(['1/2', '2/2']);
+});
+
+test('a new task cancels the one in flight', async () => {
+  const runner = createTaskRunner();
+  const first = runner.run('compute', payload);
+  const second = runner.run('compute', { ...payload, deals: [deal('Beta', ['Cat'])] });
+
+  const error = await first.promise.catch(err => err);
+  expect(isCancelled(error)).toBe(true);
+  const consultants = await second.promise;
+  expect(consultants.map(c => c.name)).toEqual(['Cat']);
+
+  const third = runner.run('compute', payload);
+  third.cancel();
+  await expect(third.promise).rejects.toMatchObject({ cancelled: true });
+});
+
+test('compares each scenario against the baseline', async () => {
+  const runner = createTaskRunner();
+  const baselineConsultants = await runner.run('compute', payload).promise;
+  const scenarios = [
+    { id: 'same', name: 'Same', addedDeals: [], changes: {} },
+    { id: 'extra', name: 'Extra', addedDeals: [deal('Beta', ['Ann'])], changes: {} }
+  ];
+  const progress = [];
+  const comparisons = await runner.run('compareScenarios', { ...payload, scenarios, baselineConsultants }, {
+    onProgress: (done, total) => progress.push(`${done}/${total}`)
+  }).promise;
+
+  expect(comparisons.same).toEqual([]);
+  expect(comparisons.extra.map(row => row.name)).toEqual(['Ann']);
+  expect(progress).toEqual(['1/2', '2/2']);
+});
+
+test('runs the early warning, staffing and business line tasks', async () => {
+  const runner = createTaskRunner();
+  const options = { months: 1, today: new Date(2025, 0, 10) };
+  const warnings = await runner.run('earlyWarnings', { ...payload, options }).promise;
+  expect(warnings.missingFollowOns.map(w => w.consultant)).toEqual(['Ann', 'Bob']);
+
+  const proposal = { startDate: '2025-01-01', endDate: '2025-01-31', businessLine: '', roles: ['Lead'] };
+  const rankings = await runner.run('recommendStaffing', { ...payload, proposal }).promise;
+  expect(rankings.Lead.map(c => c.name)).toEqual(['Ann', 'Bob']);
+  await expect(runner.run('recommendStaffing', { ...payload, proposal: { ...proposal, endDate: '' } }).promise)
+    .rejects.toThrow('Enter a valid project start and end date');
+
+  const analysis = await runner.run('businessLines', payload).promise;
+  expect(analysis.consultantMix.map(mix => mix.name)).toEqual(['Ann', 'Bob']);
+});
@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react';
+import { createTaskRunner, isCancelled } from './taskRunner';
+
+const IDLE = { result: null, error: null, progress: null };
+
+// Runs a worker task whenever the payload changes, so pass a memoized payload; null runs nothing.
+// Returns { result, error, progress } where the last result stays up until the next one arrives and
+// progress is { label, done, total } while the task runs.
+const useBackgroundTask = (type, payload, label) => {
+  const [runner] = useState(createTaskRunner);
+  const [state, setState] = useState(IDLE);
+
+  useEffect(() => () => runner.dispose(), [runner]);
+
+  useEffect(() => {
+    if (!payload) {
+      setState(IDLE);
+      return undefined;
+    }
+    const run = runner.run(type, payload, {
+      onProgress: (done, total) => setState(current => ({ ...current, progress: { label, done, total } }))
+    });
+    setState(current => ({ ...current, progress: { label, done: 0, total: 0 } }));
+    run.promise
+      .then(result => setState({ result, error: null, progress: null }))
+      .catch(err => {
+        if (!isCancelled(err)) {
+          setState({ result: null, error: err.message, progress: null });
+        }
+      });
+    return run.cancel;
+  }, [runner, type, payload, label]);
+
+  return state;
+};
+
+export default useBackgroundTask;
@@ -0,0 +1,64 @@
+import Papa from 'papaparse';
+import { analyzeBusinessLines } from '../utils/businessLineAnalytics';
+import { buildConsultants } from '../utils/capacity';
+import { findEarlyWarnings } from '../utils/earlyWarnings';
+import { applyScenario, compareScenario } from '../utils/scenarios';
+import { recommendStaffing } from '../utils/staffingRecommendations';
+
+// Rows are read in chunks of this many bytes so progress can be reported as the file streams in
+const PARSE_CHUNK_SIZE = 256 * 1024;
+
+const parseFile = ({ file }, onProgress) => new Promise((resolve, reject) => {
+  let headers = [];
+  let rows = [];
+  Papa.parse(file, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    chunkSize: PARSE_CHUNK_SIZE,
+    chunk: (results) => {
+      headers = results.meta.fields || headers;
+      rows = rows.concat(results.data);
+      onProgress(results.meta.cursor, file.size);
+    },
+    complete: () => resolve({ headers, rows }),
+    error: reject
+  });
+});
+
+const computeConsultants = ({ deals, settings, options }, onProgress) => (
+  buildConsultants(deals, settings, { ...options, onProgress })
+);
+
+// Each scenario's consultants against the baseline, keyed on scenario id
+const compareScenarios = ({ deals, scenarios, baselineConsultants, settings, options }, onProgress) => {
+  const byId = {};
+  scenarios.forEach((scenario, idx) => {
+    const scenarioConsultants = buildConsultants(applyScenario(deals, scenario), settings, options);
+    byId[scenario.id] = compareScenario(baselineConsultants, scenarioConsultants, settings);
+    onProgress(idx + 1, scenarios.length);
+  });
+  return byId;
+};
+
+const TASKS = {
+  parse: parseFile,
+  compute: computeConsultants,
+  compareScenarios,
+  earlyWarnings: ({ deals, settings, options }, onProgress) => findEarlyWarnings(deals, settings, { ...options, onProgress }),
+  recommendStaffing: ({ deals, proposal, settings, options }, onProgress) => (
+    recommendStaffing(deals, proposal, settings, { ...options, onProgress })
+  ),
+  businessLines: ({ deals, settings, options }, onProgress) => (
+    analyzeBusinessLines(buildConsultants(deals, settings, { ...options, onProgress }))
+  )
+};
+
+// Shared by the worker and the main-thread fallback. onProgress(done, total) counts bytes while
+// parsing, scenarios while comparing them and consultants in every other task.
+export const runTask = (type, payload, onProgress = () => {}) => {
+  if (!TASKS[type]) {
+    return Promise.reject(new Error(`Unknown task "${type}"`));
+  }
+  return Promise.resolve().then(() => TASKS[type](payload, onProgress));
+};